@@ -0,0 +1,37 @@
+// Small helpers for AbortSignal-based cancellation of long-running work.
+
+export function createAbortError(message = 'The operation was cancelled') {
+    return new DOMException(message, 'AbortError');
+}
+
+export function isAbortError(err) {
+    return Boolean(err) && err.name === 'AbortError';
+}
+
+export function throwIfAborted(signal) {
+    if (signal && signal.aborted) {
+        throw isAbortError(signal.reason) ? signal.reason : createAbortError();
+    }
+}
+
+// Settle with the promise, or reject with an AbortError as soon as the signal fires.
+// The underlying work keeps running; its result is simply ignored.
+export function abortable(promise, signal) {
+    if (!signal) return promise;
+    throwIfAborted(signal);
+
+    return new Promise((resolve, reject) => {
+        const onAbort = () => reject(createAbortError());
+        signal.addEventListener('abort', onAbort, { once: true });
+        promise.then(
+            (value) => {
+                signal.removeEventListener('abort', onAbort);
+                resolve(value);
+            },
+            (err) => {
+                signal.removeEventListener('abort', onAbort);
+                reject(err);
+            }
+        );
+    });
+}
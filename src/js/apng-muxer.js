@@ -0,0 +1,112 @@
+// Builds an animated PNG from individually encoded PNG frames (canvas.toBlob output).
+// Each frame's IDAT stream is reused as-is; only the animation chunks are added.
+
+import { PNG_SIGNATURE, parseIhdr, readPngChunks, writePngChunk } from './png.js';
+
+// Chunks that describe the image format and may precede the animation in frame 0.
+const HEADER_CHUNKS = new Set(['PLTE', 'tRNS', 'cHRM', 'gAMA', 'iCCP', 'sBIT', 'sRGB', 'pHYs']);
+
+function u32(value) {
+    return [(value >>> 24) & 0xff, (value >>> 16) & 0xff, (value >>> 8) & 0xff, value & 0xff];
+}
+
+function u16(value) {
+    return [(value >>> 8) & 0xff, value & 0xff];
+}
+
+function concat(parts) {
+    let length = 0;
+    for (const part of parts) length += part.length;
+    const out = new Uint8Array(length);
+    let offset = 0;
+    for (const part of parts) {
+        out.set(part, offset);
+        offset += part.length;
+    }
+    return out;
+}
+
+export class ApngMuxer {
+    constructor({ width, height, fps, plays = 0 }) {
+        this.width = width;
+        this.height = height;
+        this.fps = fps;
+        this.plays = plays;          // 0 = loop forever
+        this.ihdr = null;
+        this.headerChunks = [];
+        this.frames = [];
+    }
+
+    addFrame(pngBytes) {
+        const chunks = readPngChunks(pngBytes);
+        const ihdrChunk = chunks.find((chunk) => chunk.type === 'IHDR');
+        if (!ihdrChunk) {
+            throw new Error('PNG frame is missing IHDR');
+        }
+
+        if (!this.ihdr) {
+            this.ihdr = new Uint8Array(ihdrChunk.data);
+            this.headerChunks = chunks
+                .filter((chunk) => HEADER_CHUNKS.has(chunk.type))
+                .map((chunk) => ({ type: chunk.type, data: new Uint8Array(chunk.data) }));
+        } else if (!ihdrChunk.data.every((byte, i) => byte === this.ihdr[i])) {
+            // fdAT data must match the stream format declared once in IHDR.
+            const first = parseIhdr(this.ihdr);
+            const current = parseIhdr(ihdrChunk.data);
+            throw new Error(
+                `APNG frame format changed (${first.colorType}/${first.bitDepth} -> ${current.colorType}/${current.bitDepth})`
+            );
+        }
+
+        const idat = chunks.filter((chunk) => chunk.type === 'IDAT').map((chunk) => chunk.data);
+        this.frames.push(concat(idat));
+    }
+
+    buildFrameControl(sequence, delayNum, delayDen) {
+        return writePngChunk('fcTL', new Uint8Array([
+            ...u32(sequence),
+            ...u32(this.width),
+            ...u32(this.height),
+            ...u32(0), ...u32(0),       // x/y offset
+            ...u16(delayNum),
+            ...u16(delayDen),
+            0,                          // dispose: none
+            0                           // blend: source (frames are full replacements)
+        ]));
+    }
+
+    finalize() {
+        if (this.frames.length === 0) {
+            throw new Error('No APNG frames were encoded');
+        }
+
+        // Delay is 1/fps seconds; fps must fit the 16-bit denominator.
+        const delayNum = 1;
+        const delayDen = Math.max(1, Math.min(0xffff, Math.round(this.fps)));
+
+        const parts = [
+            PNG_SIGNATURE,
+            writePngChunk('IHDR', this.ihdr),
+            writePngChunk('acTL', new Uint8Array([...u32(this.frames.length), ...u32(this.plays)])),
+            ...this.headerChunks.map((chunk) => writePngChunk(chunk.type, chunk.data))
+        ];
+
+        let sequence = 0;
+        this.frames.forEach((data, index) => {
+            parts.push(this.buildFrameControl(sequence++, delayNum, delayDen));
+            if (index === 0) {
+                // The first frame doubles as the default image for non-APNG decoders.
+                parts.push(writePngChunk('IDAT', data));
+            } else {
+                const fdat = new Uint8Array(4 + data.length);
+                fdat.set(u32(sequence++), 0);
+                fdat.set(data, 4);
+                parts.push(writePngChunk('fdAT', fdat));
+            }
+        });
+
+        parts.push(writePngChunk('IEND', new Uint8Array(0)));
+        this.frames = [];
+        return new Blob(parts, { type: 'image/apng' });
+    }
+}
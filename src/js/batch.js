@@ -0,0 +1,215 @@
+// Folder batch mode: every queued image gets a fresh depth map, then one export with
+// the render and export settings captured when the batch was queued. The queue lives
+// in the media store (IndexedDB) so a reloaded tab can pick up where it stopped.
+
+import { isAbortError, throwIfAborted } from './abort.js';
+
+const MANIFEST_KEY = 'batch-manifest';
+const SOURCE_KEY_PREFIX = 'batch-source-';
+const IMAGE_EXTENSION_PATTERN = /\.(png|jpe?g|webp|gif|bmp|avif)$/i;
+
+export function isBatchImageFile(file) {
+    if (!(file instanceof Blob)) return false;
+    if (file.type) return file.type.startsWith('image/');
+    return IMAGE_EXTENSION_PATTERN.test(file.name || '');
+}
+
+// Dropped folders are only reachable through the entry API; walk them recursively.
+export async function collectDroppedFiles(dataTransfer) {
+    const entries = Array.from(dataTransfer.items || [])
+        .map((item) => (typeof item.webkitGetAsEntry === 'function' ? item.webkitGetAsEntry() : null))
+        .filter(Boolean);
+    if (entries.length === 0) {
+        return Array.from(dataTransfer.files || []);
+    }
+
+    const files = [];
+    const readEntries = (reader) => new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+    const visit = async (entry, path) => {
+        if (entry.isFile) {
+            const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+            files.push({ file, path: `${path}${file.name}` });
+            return;
+        }
+        if (!entry.isDirectory) return;
+
+        const reader = entry.createReader();
+        // readEntries() returns at most ~100 entries per call.
+        for (let batch = await readEntries(reader); batch.length > 0; batch = await readEntries(reader)) {
+            for (const child of batch) {
+                await visit(child, `${path}${entry.name}/`);
+            }
+        }
+    };
+
+    for (const entry of entries) {
+        await visit(entry, '');
+    }
+    files.sort((a, b) => a.path.localeCompare(b.path, undefined, { numeric: true }));
+    return files.map(({ file }) => file);
+}
+
+function getBaseName(fileName) {
+    const name = String(fileName || 'image').split('/').pop();
+    const dot = name.lastIndexOf('.');
+    const base = (dot > 0 ? name.slice(0, dot) : name).replace(/[\\/:*?"<>|]+/g, '_').trim();
+    return base || 'image';
+}
+
+export class BatchProcessor {
+    // media: { save(key, blob), load(key), remove(key) } backed by the app's media store.
+    constructor(recorder, depthEstimator, media) {
+        this.recorder = recorder;
+        this.depthEstimator = depthEstimator;
+        this.media = media;
+        this.isRunning = false;
+    }
+
+    async loadManifest() {
+        const blob = await this.media.load(MANIFEST_KEY);
+        if (!(blob instanceof Blob)) return null;
+
+        try {
+            const manifest = JSON.parse(await blob.text());
+            if (!manifest || manifest.version !== 1 || !Array.isArray(manifest.items)) return null;
+            return manifest;
+        } catch (err) {
+            console.warn('Ignoring unreadable batch manifest:', err);
+            return null;
+        }
+    }
+
+    async saveManifest(manifest) {
+        await this.media.save(MANIFEST_KEY, new Blob([JSON.stringify(manifest)], { type: 'application/json' }));
+    }
+
+    getPendingCount(manifest) {
+        return manifest ? manifest.items.filter((item) => item.status === 'pending').length : 0;
+    }
+
+    // Stores the sources before the manifest, so a manifest never points at missing files.
+    async queue(files, settings) {
+        const images = Array.from(files).filter(isBatchImageFile);
+        if (images.length === 0) {
+            throw new Error('No image files were selected');
+        }
+
+        await this.clear();
+
+        const usedNames = new Set();
+        const items = [];
+        for (let index = 0; index < images.length; index++) {
+            const file = images[index];
+            const base = getBaseName(file.name);
+            let outputName = base;
+            for (let n = 2; usedNames.has(outputName); n++) {
+                outputName = `${base}-${n}`;
+            }
+            usedNames.add(outputName);
+
+            const id = String(index);
+            await this.media.save(`${SOURCE_KEY_PREFIX}${id}`, file);
+            items.push({ id, name: file.webkitRelativePath || file.name, outputName, status: 'pending', error: null });
+        }
+
+        const manifest = {
+            version: 1,
+            createdAt: Date.now(),
+            settings,
+            items
+        };
+        await this.saveManifest(manifest);
+        return manifest;
+    }
+
+    async clear(manifest = null) {
+        const current = manifest || await this.loadManifest();
+        if (current) {
+            for (const item of current.items) {
+                await this.media.remove(`${SOURCE_KEY_PREFIX}${item.id}`);
+            }
+        }
+        await this.media.remove(MANIFEST_KEY);
+    }
+
+    // applySettings(settings) restores the queued camera/motion settings before each
+    // image; prepareImage(blob) loads the source into the renderer and returns it.
+    async run(manifest, { signal, onProgress, prepareImage, applySettings } = {}) {
+        if (this.isRunning || this.recorder.isRecording || this.recorder.isBatchRunning) return null;
+
+        const recorder = this.recorder;
+        const exportSettings = (manifest.settings && manifest.settings.export) || {};
+        const savedExport = recorder.saveExportSettings();
+        const baseState = recorder.state.snapshot();
+        const baseMotion = {
+            preset: recorder.motion.preset,
+            intensity: recorder.motion.intensity,
+            speed: recorder.motion.speed,
+            running: recorder.motion.running,
+            time: recorder.motion.time
+        };
+        const total = manifest.items.length;
+        const report = (item, index, progress) => {
+            if (onProgress) onProgress({ ...progress, item, index, total });
+        };
+
+        // The recorder's flag keeps the UI's export, preview and still buttons off
+        // the recorder while an image is between exports (depth estimation, loading)
+        this.isRunning = true;
+        recorder.isBatchRunning = true;
+        try {
+            for (let index = 0; index < total; index++) {
+                const item = manifest.items[index];
+                if (item.status !== 'pending') continue;
+                throwIfAborted(signal);
+
+                try {
+                    const source = await this.media.load(`${SOURCE_KEY_PREFIX}${item.id}`);
+                    if (!(source instanceof Blob)) {
+                        throw new Error('Source image is no longer stored');
+                    }
+
+                    // Settings first: maxResolution decides how the source is downscaled.
+                    // The export size depends on the render state, so it goes after it.
+                    applySettings(manifest.settings);
+                    recorder.applyExportSettings(exportSettings);
+
+                    report(item, index, { phase: 'depth' });
+                    const image = await prepareImage(source);
+                    await this.depthEstimator.init();
+                    await recorder.renderer.loadDepthMap(await this.depthEstimator.estimate(image, { signal }));
+
+                    const results = [];
+                    await recorder.startRecording((progress) => report(item, index, progress), {
+                        signal,
+                        onResult: (blob, extension) => results.push({ blob, extension })
+                    });
+                    for (const { blob, extension } of results) {
+                        recorder.downloadBlob(blob, `${item.outputName}${recorder.getQuiltTag()}.${extension}`);
+                    }
+
+                    item.status = 'done';
+                } catch (err) {
+                    if (isAbortError(err)) throw err;
+                    console.error(`Batch item "${item.name}" failed:`, err);
+                    item.status = 'failed';
+                    item.error = err && err.message ? err.message : String(err);
+                }
+
+                await this.saveManifest(manifest);
+            }
+
+            const failed = manifest.items.filter((item) => item.status === 'failed');
+            await this.clear(manifest);
+            return { total, failed };
+        } finally {
+            this.isRunning = false;
+            recorder.isBatchRunning = false;
+            recorder.restoreExportSettings(savedExport);
+            recorder.state.restore(baseState);
+            Object.assign(recorder.motion, baseMotion);
+            recorder.state.motionEnabled = baseMotion.running;
+            recorder.state._lastTime = performance.now();
+        }
+    }
+}
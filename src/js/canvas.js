@@ -0,0 +1,12 @@
+// Scratch 2D canvases for pixel work. The renderer also runs in a worker
+// (see render-worker.js), where there is no document to create elements in.
+export function createCanvas(width, height) {
+    if (typeof document === 'undefined') {
+        return new OffscreenCanvas(width, height);
+    }
+
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    return canvas;
+}
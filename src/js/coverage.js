@@ -0,0 +1,63 @@
+// Frame coverage for the 'autozoom' edge mode. Mirrors the ray setup of
+// computeParallax() in fragment.glsl: the march only samples between the ray's
+// start (z = 1 - height) and the focal-plane intersection, so if both ends stay
+// inside the image for every frame corner, no ray can leave it.
+
+const CORNERS = [[-1, -1], [1, -1], [-1, 1], [1, 1]];
+
+function rayStaysInside(pose, screenX, screenY, zoom, imageAspect) {
+    const relFocus = pose.focus * pose.height;
+    const relSteady = pose.steady * pose.height;
+    const camX = pose.offsetX + pose.centerX;
+    const camY = pose.offsetY + pose.centerY;
+
+    const originX = camX + screenX * zoom * pose.isometric + pose.originX;
+    const originY = camY + screenY * zoom * pose.isometric + pose.originY;
+    const originZ = -pose.dolly;
+
+    const rayX = camX + screenX * zoom - originX;
+    const rayY = camY + screenY * zoom - originY;
+    const t = (1 - originZ) / (1 - relFocus - originZ);
+
+    let endX = pose.centerX + originX + t * rayX;
+    let endY = pose.centerY + originY + t * rayY;
+    if (Math.abs(1 - relSteady) > 0.001) {
+        endX -= camX / (1 - relSteady);
+        endY -= camY / (1 - relSteady);
+    }
+
+    const safe = 1 - pose.height;
+    const startX = originX + (endX - originX) * safe;
+    const startY = originY + (endY - originY) * safe;
+
+    return Math.abs(startX) <= imageAspect && Math.abs(endX) <= imageAspect &&
+        Math.abs(startY) <= 1 && Math.abs(endY) <= 1;
+}
+
+function covers(pose, zoom, screenAspect, imageAspect) {
+    return CORNERS.every(([x, y]) => rayStaysInside(pose, x * screenAspect, y, zoom, imageAspect));
+}
+
+// Largest factor (<= 1) to multiply each pose's zoom by so a frame of
+// screenAspect stays covered by the image in every pose.
+export function fillZoomFactor(poses, { screenAspect, imageAspect, minFactor = 0.05 }) {
+    let factor = 1;
+
+    for (const pose of poses) {
+        if (covers(pose, pose.zoom * factor, screenAspect, imageAspect)) continue;
+
+        let lo = minFactor;
+        let hi = factor;
+        for (let i = 0; i < 24; i++) {
+            const mid = (lo + hi) / 2;
+            if (covers(pose, pose.zoom * mid, screenAspect, imageAspect)) {
+                lo = mid;
+            } else {
+                hi = mid;
+            }
+        }
+        factor = lo;
+    }
+
+    return factor;
+}
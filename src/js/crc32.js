@@ -0,0 +1,22 @@
+// CRC-32 (IEEE 802.3), as used by ZIP and PNG.
+
+const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = (c & 1) ? (0xedb88320 ^ (c >>> 1)) : (c >>> 1);
+        }
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+// Pass the previous result as `crc` to continue a checksum across several buffers.
+export function crc32(bytes, crc = 0) {
+    let c = (crc ^ 0xffffffff) >>> 0;
+    for (let i = 0; i < bytes.length; i++) {
+        c = CRC_TABLE[(c ^ bytes[i]) & 0xff] ^ (c >>> 8);
+    }
+    return (c ^ 0xffffffff) >>> 0;
+}
@@ -0,0 +1,70 @@
+// Parser for Adobe/Resolve .cube 3D LUT files. Table rows are ordered with red
+// changing fastest, which is also the texel order texImage3D expects.
+
+const MAX_LUT_SIZE = 128;
+
+export function parseCubeLut(text) {
+    let title = '';
+    let size = 0;
+    const domainMin = [0, 0, 0];
+    const domainMax = [1, 1, 1];
+    const values = [];
+
+    const lines = String(text).split(/\r?\n/);
+    for (const rawLine of lines) {
+        const line = rawLine.trim();
+        if (!line || line.startsWith('#')) continue;
+
+        const parts = line.split(/\s+/);
+        const keyword = parts[0].toUpperCase();
+
+        if (keyword === 'TITLE') {
+            title = line.slice(5).trim().replace(/^"|"$/g, '');
+        } else if (keyword === 'LUT_3D_SIZE') {
+            size = parseInt(parts[1], 10);
+        } else if (keyword === 'LUT_1D_SIZE') {
+            throw new Error('1D .cube LUTs are not supported; export a 3D LUT instead');
+        } else if (keyword === 'DOMAIN_MIN' || keyword === 'DOMAIN_MAX') {
+            const target = keyword === 'DOMAIN_MIN' ? domainMin : domainMax;
+            for (let i = 0; i < 3; i++) {
+                const value = parseFloat(parts[i + 1]);
+                if (!Number.isFinite(value)) {
+                    throw new Error(`Invalid ${keyword} in .cube file`);
+                }
+                target[i] = value;
+            }
+        } else if (/^[-+.\d]/.test(keyword)) {
+            if (parts.length < 3) {
+                throw new Error(`Invalid LUT row: "${line}"`);
+            }
+            for (let i = 0; i < 3; i++) {
+                const value = parseFloat(parts[i]);
+                if (!Number.isFinite(value)) {
+                    throw new Error(`Invalid LUT row: "${line}"`);
+                }
+                values.push(value);
+            }
+        }
+        // Other keywords (LUT_IN_VIDEO_RANGE, vendor extensions) are ignored.
+    }
+
+    if (!Number.isInteger(size) || size < 2 || size > MAX_LUT_SIZE) {
+        throw new Error('Missing or unsupported LUT_3D_SIZE in .cube file');
+    }
+    if (values.length !== size * size * size * 3) {
+        throw new Error(`Expected ${size * size * size} LUT rows, found ${values.length / 3}`);
+    }
+    for (let i = 0; i < 3; i++) {
+        if (domainMax[i] <= domainMin[i]) {
+            throw new Error('DOMAIN_MAX must be greater than DOMAIN_MIN');
+        }
+    }
+
+    return {
+        title,
+        size,
+        domainMin,
+        domainMax,
+        data: new Float32Array(values)
+    };
+}
@@ -0,0 +1,84 @@
+// Float depth maps: { width, height, data } with one Float32 per pixel, rows top
+// to bottom, normalized so 0 = far and 1 = near. Kept at full precision from the
+// model output to the GPU; 8-bit copies are only made for canvas-based consumers.
+
+import { createCanvas } from './canvas.js';
+import { decodePng16, encodeGray16Png, isPng } from './png.js';
+
+// Min/max-normalize a model output tensor (dims [..., height, width])
+export function depthMapFromTensor(tensor) {
+    const [height, width] = tensor.dims.slice(-2);
+    const source = tensor.data;
+    const count = width * height;
+
+    let min = Infinity;
+    let max = -Infinity;
+    for (let i = 0; i < count; i++) {
+        const v = source[i];
+        if (v < min) min = v;
+        if (v > max) max = v;
+    }
+
+    const range = max - min || 1;
+    const data = new Float32Array(count);
+    for (let i = 0; i < count; i++) {
+        data[i] = (source[i] - min) / range;
+    }
+
+    return { width, height, data };
+}
+
+export function depthMapFromImageData(imageData) {
+    const { width, height } = imageData;
+    const data = new Float32Array(width * height);
+    for (let i = 0; i < data.length; i++) {
+        data[i] = imageData.data[i * 4] / 255;
+    }
+    return { width, height, data };
+}
+
+export function depthMapToImageData({ width, height, data }) {
+    const imageData = new ImageData(width, height);
+    for (let i = 0; i < data.length; i++) {
+        const v = Math.round(data[i] * 255);
+        imageData.data[i * 4] = v;
+        imageData.data[i * 4 + 1] = v;
+        imageData.data[i * 4 + 2] = v;
+        imageData.data[i * 4 + 3] = 255;
+    }
+    return imageData;
+}
+
+// 16-bit grayscale PNG for storage: 65536 levels where an 8-bit PNG keeps 256
+export function encodeDepthPng({ width, height, data }) {
+    const samples = new Uint16Array(data.length);
+    for (let i = 0; i < data.length; i++) {
+        samples[i] = Math.round(Math.min(1, Math.max(0, data[i])) * 65535);
+    }
+    return encodeGray16Png(width, height, samples);
+}
+
+// Depth image file to a depth map. 16-bit PNGs are decoded here, since
+// browsers reduce them to 8 bits; everything else goes through a canvas.
+export async function decodeDepthBlob(blob) {
+    const bytes = new Uint8Array(await blob.arrayBuffer());
+    if (isPng(bytes)) {
+        const png = await decodePng16(bytes);
+        if (png) {
+            const data = new Float32Array(png.samples.length);
+            for (let i = 0; i < data.length; i++) {
+                data[i] = png.samples[i] / 65535;
+            }
+            return { width: png.width, height: png.height, data };
+        }
+    }
+
+    const img = await createImageBitmap(blob);
+    try {
+        const ctx = createCanvas(img.width, img.height).getContext('2d');
+        ctx.drawImage(img, 0, 0);
+        return depthMapFromImageData(ctx.getImageData(0, 0, img.width, img.height));
+    } finally {
+        img.close();
+    }
+}
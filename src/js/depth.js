@@ -1,4 +1,6 @@
 import { env, pipeline } from 'https://cdn.jsdelivr.net/npm/@huggingface/transformers@3.8.1';
+import { abortable, throwIfAborted } from './abort.js';
+import { depthMapFromTensor } from './depth-map.js';
 
 const DEPTH_MODEL_ID = 'onnx-community/depth-anything-v2-small';
 const MODEL_CACHE_DB_NAME = 'depthflow-model-cache.v1';
@@ -160,6 +162,7 @@ export class DepthEstimator {
     constructor() {
         this.model = null;
         this.loading = false;
+        this.initPromise = null;
         this.configureModelCache();
     }
 
@@ -187,17 +190,26 @@ export class DepthEstimator {
         });
     }
 
+    // Concurrent callers (e.g. a retry after a cancelled wait) share one in-flight load.
     async init(onProgress) {
-        if (this.model || this.loading) return;
-        this.loading = true;
+        if (this.model) return;
+        if (!this.initPromise) {
+            this.loading = true;
+            this.initPromise = this.loadModel(onProgress).finally(() => {
+                this.loading = false;
+                this.initPromise = null;
+            });
+        }
+        await this.initPromise;
+    }
 
+    async loadModel(onProgress) {
         try {
             // Try WebGPU first — navigator.gpu may exist but adapter creation can still fail
             if (navigator.gpu) {
                 const adapter = await navigator.gpu.requestAdapter();
                 if (adapter) {
                     this.model = await this.createDepthPipeline('webgpu', onProgress);
-                    this.loading = false;
                     return;
                 }
             }
@@ -207,28 +219,16 @@ export class DepthEstimator {
 
         // Fallback to WASM
         this.model = await this.createDepthPipeline('wasm', onProgress);
-
-        this.loading = false;
     }
 
-    async estimate(imageSource) {
+    // Inference itself cannot be interrupted; an aborted call rejects right away
+    // and the eventual result is discarded.
+    // Returns a float depth map (depth-map.js) from the raw predicted_depth tensor,
+    // which the pipeline has already resized to the input image.
+    async estimate(imageSource, { signal } = {}) {
         if (!this.model) throw new Error('Model not initialized');
-        const result = await this.model(imageSource);
-        return result.depth;
-    }
-
-    toImageData(depthImage) {
-        const { width, height, data } = depthImage;
-        const imageData = new ImageData(width, height);
-
-        for (let i = 0; i < data.length; i++) {
-            const val = data[i];
-            imageData.data[i * 4] = val;
-            imageData.data[i * 4 + 1] = val;
-            imageData.data[i * 4 + 2] = val;
-            imageData.data[i * 4 + 3] = 255;
-        }
-
-        return imageData;
+        throwIfAborted(signal);
+        const result = await abortable(this.model(imageSource), signal);
+        return depthMapFromTensor(result.predicted_depth);
     }
 }
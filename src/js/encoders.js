@@ -0,0 +1,554 @@
+// Frame encoders for offline export. Each encoder receives fully rendered frames
+// one at a time from Recorder.recordOffline() and produces a single Blob.
+// cancel() discards everything and releases workers/codecs without producing output.
+
+import { createAbortError } from './abort.js';
+import { ApngMuxer } from './apng-muxer.js';
+import { Mp4Muxer } from './mp4-muxer.js';
+import { WebmMuxer } from './webm-muxer.js';
+import { WebpMuxer } from './webp-muxer.js';
+import { ZipWriter } from './zip-writer.js';
+
+// WebCodecs candidates in preference order. Levels are high enough for 4K60.
+const VIDEO_CODEC_CANDIDATES = {
+    mp4: [
+        { family: 'avc', codec: 'avc1.640034' },     // H.264 High
+        { family: 'avc', codec: 'avc1.4d0034' },     // H.264 Main
+        { family: 'avc', codec: 'avc1.420034' },     // H.264 Baseline
+        { family: 'av1', codec: 'av01.0.13M.08' },
+        { family: 'vp9', codec: 'vp09.00.51.08' }
+    ],
+    webm: [
+        { family: 'vp9', codec: 'vp09.00.51.08' },
+        { family: 'av1', codec: 'av01.0.13M.08' },
+        { family: 'vp8', codec: 'vp8' }
+    ]
+};
+
+// Codecs whose WebM encoding can carry alpha as side data next to each frame
+const ALPHA_CODEC_FAMILIES = ['vp9', 'vp8'];
+
+const MAX_ENCODE_QUEUE = 4;
+
+function sleep(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function canvasToBlob(canvas, mimeType, quality) {
+    return new Promise((resolve, reject) => {
+        canvas.toBlob(
+            (blob) => (blob ? resolve(blob) : reject(new Error(`Could not encode ${mimeType} frame`))),
+            mimeType,
+            quality
+        );
+    });
+}
+
+export class MediaRecorderEncoder {
+    constructor(canvas, { fps, mimeType, videoBitsPerSecond }) {
+        this.canvas = canvas;
+        this.fps = fps;
+        this.mimeType = mimeType;
+        this.videoBitsPerSecond = videoBitsPerSecond;
+        this.stream = null;
+        this.track = null;
+        this.mediaRecorder = null;
+        this.chunks = [];
+        this.stopped = null;
+        this.startTime = 0;
+    }
+
+    async begin() {
+        if (typeof MediaRecorder === 'undefined') {
+            throw new Error('MediaRecorder is not supported in this browser');
+        }
+
+        // Frame rate 0 means frames are only pushed on requestFrame().
+        this.stream = this.canvas.captureStream(0);
+        this.track = this.stream.getVideoTracks()[0];
+
+        const options = { videoBitsPerSecond: this.videoBitsPerSecond };
+        if (this.mimeType) {
+            options.mimeType = this.mimeType;
+        }
+
+        this.mediaRecorder = new MediaRecorder(this.stream, options);
+        this.chunks = [];
+        this.mediaRecorder.ondataavailable = (event) => {
+            if (event.data && event.data.size > 0) {
+                this.chunks.push(event.data);
+            }
+        };
+
+        this.stopped = new Promise((resolve, reject) => {
+            this.mediaRecorder.onstop = () => resolve();
+            this.mediaRecorder.onerror = (err) => reject(err.error || new Error('Recording failed'));
+        });
+
+        this.mediaRecorder.start(100);
+        this.startTime = performance.now();
+    }
+
+    async addFrame(index) {
+        // MediaRecorder stamps frames on arrival, so pace them at the export rate.
+        // Frame content stays deterministic; only delivery is tied to the clock.
+        const wait = this.startTime + (index * 1000) / this.fps - performance.now();
+        if (wait > 0) {
+            await sleep(wait);
+        }
+
+        if (typeof this.track.requestFrame === 'function') {
+            this.track.requestFrame();
+        }
+    }
+
+    async finish() {
+        // Hold the last frame for one period so it gets a full frame duration.
+        await sleep(1000 / this.fps);
+
+        if (this.mediaRecorder.state === 'recording') {
+            this.mediaRecorder.stop();
+        }
+
+        try {
+            await this.stopped;
+        } finally {
+            this.stream.getTracks().forEach((track) => track.stop());
+        }
+
+        const type = (this.mimeType || '').includes('mp4') ? 'video/mp4' : 'video/webm';
+        return {
+            blob: new Blob(this.chunks, { type }),
+            extension: type === 'video/mp4' ? 'mp4' : 'webm'
+        };
+    }
+
+    cancel() {
+        if (this.mediaRecorder && this.mediaRecorder.state !== 'inactive') {
+            this.mediaRecorder.ondataavailable = null;
+            this.mediaRecorder.stop();
+        }
+        if (this.stream) {
+            this.stream.getTracks().forEach((track) => track.stop());
+        }
+        this.chunks = [];
+    }
+}
+
+export class WebCodecsEncoder {
+    constructor(canvas, { container, family, config, fps }) {
+        this.canvas = canvas;
+        this.container = container;
+        this.family = family;
+        this.config = config;
+        this.fps = fps;
+        this.keyframeInterval = Math.max(1, Math.round(fps * 2));
+        this.encoder = null;
+        this.muxer = null;
+        this.error = null;
+        this.wakeQueue = null;  // resolves addFrame()'s wait for room in the encode queue
+    }
+
+    static isSupported() {
+        return typeof VideoEncoder !== 'undefined' && typeof VideoFrame !== 'undefined';
+    }
+
+    // Probe codecs for the container and return the first supported config, or null.
+    // With alpha, VP9/VP8 configs that keep the alpha channel are tried first;
+    // if none is supported the video is encoded opaque.
+    static async selectConfig({ container, width, height, fps, bitrate, alpha = false }) {
+        if (!WebCodecsEncoder.isSupported()) return null;
+
+        const candidates = VIDEO_CODEC_CANDIDATES[container] || [];
+        const alphaCandidates = alpha && container === 'webm'
+            ? candidates.filter((candidate) => ALPHA_CODEC_FAMILIES.includes(candidate.family))
+                .map((candidate) => ({ ...candidate, alpha: true }))
+            : [];
+
+        for (const candidate of [...alphaCandidates, ...candidates]) {
+            const config = {
+                codec: candidate.codec,
+                width,
+                height,
+                bitrate,
+                framerate: fps,
+                latencyMode: 'quality'
+            };
+            if (candidate.family === 'avc') {
+                config.avc = { format: 'avc' };
+            }
+            if (candidate.alpha) {
+                config.alpha = 'keep';
+            }
+
+            try {
+                const support = await VideoEncoder.isConfigSupported(config);
+                if (support.supported) {
+                    return { family: candidate.family, config };
+                }
+            } catch {
+                // Malformed or unknown codec strings throw in some browsers; try the next one.
+            }
+        }
+
+        return null;
+    }
+
+    async begin() {
+        const { width, height, codec } = this.config;
+        this.muxer = this.container === 'mp4'
+            ? new Mp4Muxer({ family: this.family, codec, width, height, fps: this.fps })
+            : new WebmMuxer({ family: this.family, width, height, fps: this.fps, alpha: this.config.alpha === 'keep' });
+
+        this.encoder = new VideoEncoder({
+            output: (chunk, metadata) => this.muxer.addChunk(chunk, metadata),
+            error: (err) => {
+                this.error = err;
+                this.wakeQueueWait();
+            }
+        });
+        this.encoder.addEventListener('dequeue', () => this.wakeQueueWait());
+        this.encoder.configure(this.config);
+    }
+
+    wakeQueueWait() {
+        if (this.wakeQueue) {
+            this.wakeQueue();
+            this.wakeQueue = null;
+        }
+    }
+
+    throwIfFailed() {
+        if (this.error) {
+            throw this.error;
+        }
+    }
+
+    async addFrame(index) {
+        this.throwIfFailed();
+
+        // Timestamps come from the frame index, so the stream is constant frame rate.
+        const frame = new VideoFrame(this.canvas, {
+            timestamp: Math.round((index * 1e6) / this.fps),
+            duration: Math.round(1e6 / this.fps)
+        });
+
+        try {
+            this.encoder.encode(frame, { keyFrame: index % this.keyframeInterval === 0 });
+        } finally {
+            frame.close();
+        }
+
+        // Browsers without the dequeue event get polled
+        const polled = !('ondequeue' in this.encoder);
+        while (this.encoder.encodeQueueSize > MAX_ENCODE_QUEUE && !this.error) {
+            await (polled ? sleep(1) : new Promise((resolve) => {
+                this.wakeQueue = resolve;
+            }));
+        }
+    }
+
+    async finish() {
+        this.throwIfFailed();
+        await this.encoder.flush();
+        this.encoder.close();
+        this.throwIfFailed();
+
+        return {
+            blob: this.muxer.finalize(),
+            extension: this.container
+        };
+    }
+
+    cancel() {
+        this.error = this.error || createAbortError();
+        if (this.encoder && this.encoder.state !== 'closed') {
+            this.encoder.close();
+        }
+        this.muxer = null;
+        this.wakeQueueWait();
+    }
+}
+
+// GIF dithering kernels understood by gif.worker.js; append '-serpentine' for alternating rows.
+export const GIF_DITHER_MODES = ['FloydSteinberg', 'FalseFloydSteinberg', 'Stucki', 'Atkinson'];
+
+// gif.js's frame encoder worker, vendored under its version: GifEncoder speaks the
+// worker's message format directly, so a newer worker needs that format checked first.
+const GIF_WORKER_VERSION = '0.2.0';
+const GIF_WORKER_URL = new URL(`../vendor/gif.worker-${GIF_WORKER_VERSION}.js`, import.meta.url);
+
+// Streams frames straight to gif.js workers as they are rendered. Each worker quantizes
+// and LZW-encodes one frame at a time, so only the compressed output is kept in memory.
+// gif.js's GIF class can't do that (it holds every frame until render() starts its
+// workers), so the pool below posts the tasks GIF.getTask() would:
+//   { index, last, delay, transparent, width, height, quality, dither, globalPalette,
+//     repeat, canTransfer, data }
+// and reads back { index, data (pages), cursor, pageSize, globalPalette }.
+export class GifEncoder {
+    constructor(canvas, ctx, { fps, quality, repeat = 0, dither = false, globalPalette = false, workers = 2, workerScript = GIF_WORKER_URL, onProgress }) {
+        this.canvas = canvas;
+        this.ctx = ctx;
+        this.fps = fps;
+        this.quality = quality;
+        this.repeat = repeat;
+        this.dither = dither;
+        this.globalPalette = globalPalette;
+        this.workerCount = Math.max(1, workers);
+        this.workerScript = workerScript;
+        this.onProgress = onProgress;
+
+        this.workers = [];
+        this.idleWorkers = [];
+        this.workerWaiters = [];
+        this.pages = [];
+        this.submitted = 0;
+        this.finished = 0;
+        this.finishing = false;
+        this.error = null;
+        this.palette = null;
+        this.paletteReady = null;
+        this.resolvePalette = null;
+    }
+
+    static isSupported() {
+        return typeof Worker !== 'undefined';
+    }
+
+    async begin() {
+        if (this.globalPalette) {
+            // Frame 0 computes the shared palette; later frames wait for it.
+            this.paletteReady = new Promise((resolve) => {
+                this.resolvePalette = resolve;
+            });
+        }
+
+        for (let i = 0; i < this.workerCount; i++) {
+            const worker = new Worker(this.workerScript);
+            worker.onmessage = (event) => this.onFrameEncoded(worker, event.data);
+            worker.onerror = (event) => this.fail(new Error(event.message || 'GIF worker failed'));
+            this.workers.push(worker);
+            this.idleWorkers.push(worker);
+        }
+    }
+
+    fail(err) {
+        if (!this.error) {
+            this.error = err;
+        }
+        // Wake everything that is waiting so the error surfaces.
+        for (const wake of this.workerWaiters.splice(0)) wake();
+        if (this.resolvePalette) this.resolvePalette();
+    }
+
+    throwIfFailed() {
+        if (this.error) {
+            throw this.error;
+        }
+    }
+
+    acquireWorker() {
+        if (this.idleWorkers.length > 0 || this.error) {
+            return Promise.resolve(this.idleWorkers.shift());
+        }
+        return new Promise((resolve) => {
+            this.workerWaiters.push(() => resolve(this.idleWorkers.shift()));
+        });
+    }
+
+    releaseWorker(worker) {
+        this.idleWorkers.push(worker);
+        const wake = this.workerWaiters.shift();
+        if (wake) wake();
+    }
+
+    onFrameEncoded(worker, frame) {
+        this.pages[frame.index] = { pages: frame.data, cursor: frame.cursor, pageSize: frame.pageSize };
+        this.finished++;
+
+        if (frame.index === 0 && this.globalPalette) {
+            this.palette = frame.globalPalette;
+            this.resolvePalette();
+        }
+
+        // Share of the frames submitted so far; during capture that trails the capture
+        if (this.onProgress) {
+            this.onProgress(this.finished / this.submitted);
+        }
+
+        this.releaseWorker(worker);
+    }
+
+    // Centisecond delays that add up exactly to frames / fps, instead of rounding each frame.
+    getFrameDelayMs(index) {
+        return (Math.round(((index + 1) * 100) / this.fps) - Math.round((index * 100) / this.fps)) * 10;
+    }
+
+    async addFrame(index) {
+        this.throwIfFailed();
+
+        const { width, height } = this.canvas;
+        const data = this.ctx.getImageData(0, 0, width, height).data;
+
+        if (this.globalPalette && index > 0) {
+            await this.paletteReady;
+        }
+        const worker = await this.acquireWorker();
+        this.throwIfFailed();
+
+        this.submitted++;
+        worker.postMessage({
+            index,
+            last: false,                // the trailer is appended in finish()
+            delay: this.getFrameDelayMs(index),
+            transparent: null,
+            width,
+            height,
+            quality: this.quality,
+            dither: this.dither,
+            globalPalette: this.globalPalette ? (index === 0 ? true : this.palette) : false,
+            repeat: this.repeat,
+            canTransfer: true,
+            data
+        }, [data.buffer]);
+    }
+
+    async finish() {
+        this.finishing = true;
+        if (this.onProgress) this.onProgress(this.submitted > 0 ? this.finished / this.submitted : 0);
+
+        try {
+            // Every worker is idle again once all submitted frames are encoded.
+            for (let i = 0; i < this.workers.length; i++) {
+                await this.acquireWorker();
+                this.throwIfFailed();
+            }
+        } finally {
+            this.workers.forEach((worker) => worker.terminate());
+            this.workers = [];
+            this.idleWorkers = [];
+        }
+
+        if (this.pages.length === 0) {
+            throw new Error('No GIF frames were encoded');
+        }
+
+        const parts = [];
+        for (const frame of this.pages) {
+            frame.pages.forEach((page, i) => {
+                parts.push(i === frame.pages.length - 1 ? page.subarray(0, frame.cursor) : page.subarray(0, frame.pageSize));
+            });
+        }
+        parts.push(new Uint8Array([0x3b]));   // GIF trailer
+        this.pages = [];
+
+        return { blob: new Blob(parts, { type: 'image/gif' }), extension: 'gif' };
+    }
+
+    cancel() {
+        this.fail(createAbortError());
+        this.workers.forEach((worker) => worker.terminate());
+        this.workers = [];
+        this.idleWorkers = [];
+        this.pages = [];
+    }
+}
+
+export class ImageSequenceEncoder {
+    constructor(canvas, { imageType, quality, frameCount, baseName = 'depthflow' }) {
+        this.canvas = canvas;
+        this.imageType = imageType === 'jpeg' ? 'jpeg' : 'png';
+        this.quality = quality;            // 0-1, JPEG only
+        this.baseName = baseName;
+        this.digits = Math.max(4, String(Math.max(0, frameCount - 1)).length);
+        this.zip = null;
+    }
+
+    async begin() {
+        this.zip = new ZipWriter();
+    }
+
+    getFrameName(index) {
+        const extension = this.imageType === 'jpeg' ? 'jpg' : 'png';
+        return `${this.baseName}_${String(index).padStart(this.digits, '0')}.${extension}`;
+    }
+
+    async addFrame(index) {
+        const blob = await canvasToBlob(
+            this.canvas,
+            `image/${this.imageType}`,
+            this.imageType === 'jpeg' ? this.quality : undefined
+        );
+
+        // The Blob goes into the archive as-is; its bytes are only read for the checksum.
+        await this.zip.addBlob(this.getFrameName(index), blob);
+    }
+
+    async finish() {
+        return {
+            blob: this.zip.finalize(),
+            extension: 'zip'
+        };
+    }
+
+    cancel() {
+        this.zip = null;
+    }
+}
+
+export class ApngEncoder {
+    constructor(canvas, { fps, plays = 0 }) {
+        this.canvas = canvas;
+        this.fps = fps;
+        this.plays = plays;
+        this.muxer = null;
+    }
+
+    async begin() {
+        this.muxer = new ApngMuxer({ width: this.canvas.width, height: this.canvas.height, fps: this.fps, plays: this.plays });
+    }
+
+    async addFrame() {
+        const blob = await canvasToBlob(this.canvas, 'image/png');
+        this.muxer.addFrame(new Uint8Array(await blob.arrayBuffer()));
+    }
+
+    async finish() {
+        return { blob: this.muxer.finalize(), extension: 'png' };
+    }
+
+    cancel() {
+        this.muxer = null;
+    }
+}
+
+export class WebpEncoder {
+    constructor(canvas, { fps, quality, plays = 0 }) {
+        this.canvas = canvas;
+        this.fps = fps;
+        this.quality = quality;      // 0-1; 1 asks the browser for its best (often lossless) encoding
+        this.plays = plays;
+        this.muxer = null;
+    }
+
+    async begin() {
+        this.muxer = new WebpMuxer({ width: this.canvas.width, height: this.canvas.height, fps: this.fps, plays: this.plays });
+    }
+
+    async addFrame() {
+        const blob = await canvasToBlob(this.canvas, 'image/webp', this.quality);
+        // Browsers without a WebP encoder fall back to PNG instead of failing.
+        if (blob.type !== 'image/webp') {
+            throw new Error('This browser cannot encode WebP images');
+        }
+        this.muxer.addFrame(new Uint8Array(await blob.arrayBuffer()));
+    }
+
+    async finish() {
+        return { blob: this.muxer.finalize(), extension: 'webp' };
+    }
+
+    cancel() {
+        this.muxer = null;
+    }
+}
@@ -0,0 +1,294 @@
+// Background layer for disocclusion: foreground pixels close to a depth edge are
+// removed and refilled from the surrounding background with a push-pull fill, so
+// the shader has something plausible to show when the camera looks behind an edge.
+// Runs as a classic worker; see Inpainter in inpaint.js.
+
+// Depth jump (0-1) that counts as an occluding edge.
+const EDGE_THRESHOLD = 0.06;
+
+// How far behind an edge the background is rebuilt, as a fraction of the long side.
+const BAND_FRACTION = 0.04;
+
+// Separable min filter: distance-limited erosion of the nearness map.
+function erode(src, width, height, radius) {
+    const temp = new Float32Array(src.length);
+    const out = new Float32Array(src.length);
+
+    for (let y = 0; y < height; y++) {
+        const row = y * width;
+        for (let x = 0; x < width; x++) {
+            const x0 = Math.max(0, x - radius);
+            const x1 = Math.min(width - 1, x + radius);
+            let min = 1;
+            for (let k = x0; k <= x1; k++) {
+                const v = src[row + k];
+                if (v < min) min = v;
+            }
+            temp[row + x] = min;
+        }
+    }
+
+    for (let x = 0; x < width; x++) {
+        for (let y = 0; y < height; y++) {
+            const y0 = Math.max(0, y - radius);
+            const y1 = Math.min(height - 1, y + radius);
+            let min = 1;
+            for (let k = y0; k <= y1; k++) {
+                const v = temp[k * width + x];
+                if (v < min) min = v;
+            }
+            out[y * width + x] = min;
+        }
+    }
+
+    return out;
+}
+
+// Fill unknown pixels of a multi-channel image from known ones. Known pixels are
+// averaged down a pyramid with `weights`; holes are then filled top-down from the
+// next coarser level, interpolating with the same weights so a hole takes on the
+// heavier (background) side of its border instead of a blend of both sides.
+function pushPull(values, known, weights, width, height, channels = 4) {
+    const levels = [];
+    let level = {
+        width,
+        height,
+        values,
+        weights: new Float32Array(width * height),
+        filled: new Uint8Array(width * height)
+    };
+    for (let i = 0; i < width * height; i++) {
+        if (known[i]) {
+            level.weights[i] = weights[i];
+            level.filled[i] = 1;
+        }
+    }
+    levels.push(level);
+
+    while (level.width > 1 || level.height > 1) {
+        const pw = Math.max(1, Math.ceil(level.width / 2));
+        const ph = Math.max(1, Math.ceil(level.height / 2));
+        const parent = {
+            width: pw,
+            height: ph,
+            values: new Float32Array(pw * ph * channels),
+            weights: new Float32Array(pw * ph),
+            filled: new Uint8Array(pw * ph)
+        };
+
+        for (let py = 0; py < ph; py++) {
+            for (let px = 0; px < pw; px++) {
+                let weight = 0;
+                const sum = new Array(channels).fill(0);
+                for (let dy = 0; dy < 2; dy++) {
+                    const cy = py * 2 + dy;
+                    if (cy >= level.height) continue;
+                    for (let dx = 0; dx < 2; dx++) {
+                        const cx = px * 2 + dx;
+                        if (cx >= level.width) continue;
+                        const c = cy * level.width + cx;
+                        const w = level.weights[c];
+                        weight += w;
+                        for (let ch = 0; ch < channels; ch++) {
+                            sum[ch] += level.values[c * channels + ch] * w;
+                        }
+                    }
+                }
+
+                const p = py * pw + px;
+                if (weight > 0) {
+                    parent.weights[p] = weight / 4;
+                    parent.filled[p] = 1;
+                    for (let ch = 0; ch < channels; ch++) {
+                        parent.values[p * channels + ch] = sum[ch] / weight;
+                    }
+                }
+            }
+        }
+
+        levels.push(parent);
+        level = parent;
+    }
+
+    for (let l = levels.length - 2; l >= 0; l--) {
+        const fine = levels[l];
+        const coarse = levels[l + 1];
+
+        for (let y = 0; y < fine.height; y++) {
+            const sy = Math.min(coarse.height - 1, Math.max(0, (y + 0.5) / 2 - 0.5));
+            const y0 = Math.floor(sy);
+            const y1 = Math.min(coarse.height - 1, y0 + 1);
+            const fy = sy - y0;
+
+            for (let x = 0; x < fine.width; x++) {
+                const i = y * fine.width + x;
+                if (fine.filled[i]) continue;
+
+                const sx = Math.min(coarse.width - 1, Math.max(0, (x + 0.5) / 2 - 0.5));
+                const x0 = Math.floor(sx);
+                const x1 = Math.min(coarse.width - 1, x0 + 1);
+                const fx = sx - x0;
+
+                const taps = [
+                    [y0 * coarse.width + x0, (1 - fx) * (1 - fy)],
+                    [y0 * coarse.width + x1, fx * (1 - fy)],
+                    [y1 * coarse.width + x0, (1 - fx) * fy],
+                    [y1 * coarse.width + x1, fx * fy]
+                ];
+
+                let weight = 0;
+                const sum = new Array(channels).fill(0);
+                for (const [c, b] of taps) {
+                    const w = b * coarse.weights[c];
+                    weight += w;
+                    for (let ch = 0; ch < channels; ch++) {
+                        sum[ch] += coarse.values[c * channels + ch] * w;
+                    }
+                }
+
+                if (weight > 0) {
+                    for (let ch = 0; ch < channels; ch++) {
+                        fine.values[i * channels + ch] = sum[ch] / weight;
+                    }
+                }
+                fine.weights[i] = weight;
+                fine.filled[i] = 1;
+            }
+        }
+    }
+
+    return levels[0].values;
+}
+
+// Depth bytes as 0-1 nearness (1 = closest to the camera), blended toward the
+// inverted map like surfaceDepth() in fragment.glsl
+function readNearness(depth, count, invert) {
+    const nearness = new Float32Array(count);
+    for (let i = 0; i < count; i++) {
+        const d = depth[i * 4] / 255;
+        nearness[i] = d + invert * (1 - 2 * d);
+    }
+    return nearness;
+}
+
+// Nearness back to a depth map value; at an even blend every value lands on 0.5
+function writeDepth(out, i, nearness, invert) {
+    const scale = 1 - 2 * invert;
+    const value = Math.abs(scale) < 1e-3 ? 0.5 : (nearness - invert) / scale;
+    const d = Math.round(Math.min(1, Math.max(0, value)) * 255);
+    out[i * 4] = d;
+    out[i * 4 + 1] = d;
+    out[i * 4 + 2] = d;
+    out[i * 4 + 3] = 255;
+}
+
+// color/depth: RGBA bytes at the same size. invert: 0-1 blend toward the inverted depth map.
+function buildBackgroundLayer({ width, height, color, depth, invert }) {
+    const count = width * height;
+    const nearness = readNearness(depth, count, invert);
+
+    const radius = Math.max(4, Math.round(Math.max(width, height) * BAND_FRACTION));
+    const nearestBackground = erode(nearness, width, height, radius);
+
+    // Foreground pixels with much farther surface within reach can be uncovered.
+    const known = new Uint8Array(count);
+    const weights = new Float32Array(count);
+    const values = new Float32Array(count * 4);
+    for (let i = 0; i < count; i++) {
+        known[i] = nearness[i] - nearestBackground[i] > EDGE_THRESHOLD ? 0 : 1;
+        // Farther pixels dominate the fill so holes take on background content.
+        const far = 1 - nearness[i];
+        weights[i] = 0.01 + far * far * far * far;
+        values[i * 4] = color[i * 4];
+        values[i * 4 + 1] = color[i * 4 + 1];
+        values[i * 4 + 2] = color[i * 4 + 2];
+        values[i * 4 + 3] = nearness[i];
+    }
+
+    const filled = pushPull(values, known, weights, width, height);
+
+    const outColor = new Uint8ClampedArray(count * 4);
+    const outDepth = new Uint8ClampedArray(count * 4);
+    for (let i = 0; i < count; i++) {
+        outColor[i * 4] = filled[i * 4];
+        outColor[i * 4 + 1] = filled[i * 4 + 1];
+        outColor[i * 4 + 2] = filled[i * 4 + 2];
+        outColor[i * 4 + 3] = 255;
+
+        // The rebuilt surface can sit behind the foreground, never in front of it.
+        writeDepth(outDepth, i, Math.min(filled[i * 4 + 3], nearness[i]), invert);
+    }
+
+    return { color: outColor, depth: outDepth };
+}
+
+// Layered depth image: the depth range is cut at `splits` (0-1 nearness) into
+// front-to-back layers. Each layer keeps its own pixels with alpha 1, and the
+// area hidden by nearer layers is refilled from it and everything behind it, so
+// the layer can be seen once the camera moves. The back layer is fully opaque.
+function buildDepthLayers({ width, height, color, depth, invert, splits }) {
+    const count = width * height;
+    const nearness = readNearness(depth, count, invert);
+    const bounds = [...new Set(splits)]
+        .filter((split) => split > 0 && split < 1)
+        .sort((a, b) => b - a);
+
+    const layers = [];
+    for (let k = 0; k <= bounds.length; k++) {
+        const hi = k === 0 ? Infinity : bounds[k - 1];
+        const lo = k === bounds.length ? -Infinity : bounds[k];
+
+        const known = new Uint8Array(count);
+        const weights = new Float32Array(count);
+        const coverageWeights = new Float32Array(count).fill(1);
+        const values = new Float32Array(count * 4);
+        const coverage = new Float32Array(count);
+        for (let i = 0; i < count; i++) {
+            const inLayer = nearness[i] >= lo;
+            known[i] = nearness[i] < hi ? 1 : 0;
+            // Prefer this layer's own pixels, then the farthest ones behind it
+            const far = 1 - nearness[i];
+            weights[i] = (inLayer ? 1 : 0.05) * (0.01 + far * far * far * far);
+            values[i * 4] = color[i * 4];
+            values[i * 4 + 1] = color[i * 4 + 1];
+            values[i * 4 + 2] = color[i * 4 + 2];
+            values[i * 4 + 3] = nearness[i];
+            coverage[i] = inLayer ? 1 : 0;
+        }
+
+        // The front layer hides nothing, so it has nothing to fill
+        const filled = k === 0 ? values : pushPull(values, known, weights, width, height);
+        const filledCoverage = k === 0 ? coverage : pushPull(coverage, known, coverageWeights, width, height, 1);
+
+        const outColor = new Uint8ClampedArray(count * 4);
+        const outDepth = new Uint8ClampedArray(count * 4);
+        for (let i = 0; i < count; i++) {
+            outColor[i * 4] = filled[i * 4];
+            outColor[i * 4 + 1] = filled[i * 4 + 1];
+            outColor[i * 4 + 2] = filled[i * 4 + 2];
+            const alpha = k === bounds.length ? 1 : Math.min(1, Math.max(0, (filledCoverage[i] - 0.25) * 2));
+            outColor[i * 4 + 3] = alpha * 255;
+            writeDepth(outDepth, i, Math.min(filled[i * 4 + 3], nearness[i]), invert);
+        }
+
+        layers.push({ color: outColor, depth: outDepth });
+    }
+
+    return layers;
+}
+
+self.onmessage = (event) => {
+    const { id, type } = event.data;
+    try {
+        if (type === 'layers') {
+            const layers = buildDepthLayers(event.data);
+            const buffers = layers.flatMap((layer) => [layer.color.buffer, layer.depth.buffer]);
+            self.postMessage({ id, layers }, buffers);
+        } else {
+            const { color, depth } = buildBackgroundLayer(event.data);
+            self.postMessage({ id, color, depth }, [color.buffer, depth.buffer]);
+        }
+    } catch (err) {
+        self.postMessage({ id, error: err && err.message ? err.message : String(err) });
+    }
+};
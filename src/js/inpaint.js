@@ -0,0 +1,104 @@
+import { createAbortError } from './abort.js';
+
+// Working size for the background layer; the fill is smooth, so more pixels buy little.
+export const INPAINT_MAX_SIZE = 1024;
+
+// Runs inpaint-worker.js off the main thread. Only the latest request of each
+// type matters: starting a new one rejects the pending promise with an AbortError.
+export class Inpainter {
+    constructor(workerScript) {
+        this.workerScript = workerScript;
+        this.worker = null;
+        this.nextId = 1;
+        this.pending = new Map();   // type -> { id, resolve, reject }
+    }
+
+    static isSupported() {
+        return typeof Worker !== 'undefined';
+    }
+
+    getWorker() {
+        if (this.worker) return this.worker;
+
+        this.worker = new Worker(this.workerScript);
+        this.worker.onmessage = (event) => {
+            const { id, error } = event.data;
+            for (const [type, pending] of this.pending) {
+                if (pending.id !== id) continue;
+
+                this.pending.delete(type);
+                if (error) {
+                    pending.reject(new Error(error));
+                } else {
+                    pending.resolve(event.data);
+                }
+                return;
+            }
+        };
+        this.worker.onerror = (event) => {
+            event.preventDefault();
+            const pending = [...this.pending.values()];
+            this.terminate();
+            for (const { reject } of pending) {
+                reject(new Error(event.message || 'Inpainting worker failed'));
+            }
+        };
+        return this.worker;
+    }
+
+    request(type, color, depth, options) {
+        if (color.width !== depth.width || color.height !== depth.height) {
+            return Promise.reject(new Error('Inpainting needs color and depth at the same size'));
+        }
+
+        this.cancel(type);
+        const id = this.nextId++;
+        const { width, height } = color;
+
+        return new Promise((resolve, reject) => {
+            this.pending.set(type, { id, resolve, reject });
+            // Copies, so the caller's ImageData stays usable after the transfer.
+            const colorBytes = new Uint8ClampedArray(color.data);
+            const depthBytes = new Uint8ClampedArray(depth.data);
+            this.getWorker().postMessage(
+                { ...options, id, type, width, height, color: colorBytes, depth: depthBytes },
+                [colorBytes.buffer, depthBytes.buffer]
+            );
+        });
+    }
+
+    // color/depth: ImageData of the same size. invert: the 0-1 blend toward the
+    // inverted depth map, as in the shader.
+    async run(color, depth, { invert = 0 } = {}) {
+        const result = await this.request('background', color, depth, { invert });
+        return {
+            color: new ImageData(result.color, color.width, color.height),
+            depth: new ImageData(result.depth, color.width, color.height)
+        };
+    }
+
+    // Front-to-back RGBA + depth layers cut at `splits` (0-1 nearness, 1 = near)
+    async splitLayers(color, depth, { invert = 0, splits = [] } = {}) {
+        const result = await this.request('layers', color, depth, { invert, splits });
+        return result.layers.map((layer) => ({
+            color: new ImageData(layer.color, color.width, color.height),
+            depth: new ImageData(layer.depth, color.width, color.height)
+        }));
+    }
+
+    cancel(type = null) {
+        for (const [key, { reject }] of this.pending) {
+            if (type !== null && key !== type) continue;
+            this.pending.delete(key);
+            reject(createAbortError('Inpainting superseded'));
+        }
+    }
+
+    terminate() {
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+        this.pending.clear();
+    }
+}
@@ -5,16 +5,19 @@ import { UI } from './ui.js';
 import { DepthEstimator } from './depth.js';
 import { MotionController } from './motion.js';
 import { Recorder } from './recorder.js';
+import { WorkerRenderer } from './worker-renderer.js';
 
 class DepthFlowApp {
     constructor() {
         this.canvas = document.getElementById('canvas');
         this.state = new State();
-        this.renderer = new Renderer(this.canvas, this.state);
+        // Draw in a worker where the canvas can be handed over, else on this thread
+        this.renderer = WorkerRenderer.create(this.canvas, this.state)
+            || new Renderer(this.canvas, this.state);
         this.input = new InputHandler(this.canvas, this.state);
         this.depthEstimator = new DepthEstimator();
         this.motion = new MotionController(this.state);
-        this.recorder = new Recorder(this.canvas, this.state, this.motion);
+        this.recorder = new Recorder(this.canvas, this.state, this.motion, this.renderer);
         this.ui = new UI(this.state, this.renderer, this.depthEstimator, this.motion);
         this.lastTime = performance.now();
         this.rafId = null;
@@ -33,12 +36,24 @@ class DepthFlowApp {
         if (this.state.devMode) {
             this.createFPSDisplay();
         }
+        // Context attributes (alpha) are fixed at creation, so saved settings go first
+        this.ui.applyPersistedSettings();
         await this.renderer.init();
         this.ui.init();
         this.recorder.initOverlay();
         this.ui.setRecorder(this.recorder);
         this.input.init();
         this.setupRenderTriggers();
+        this.renderer.onLayersReady = () => this.markActive();
+        this.renderer.onContextLost = () => {
+            this.recorder.handleContextLost();
+            this.ui.showContextLost();
+        };
+        this.renderer.onContextRestored = (err) => {
+            this.ui.showContextRestored(err);
+            if (!err) this.markActive();
+        };
+        this.renderer.getCyclePoses = () => this.motion.getCyclePoses();
         const restoredMedia = await this.ui.restorePersistedMedia();
         if (!restoredMedia) {
             await this.loadDefaultImages();
@@ -106,7 +121,16 @@ class DepthFlowApp {
         const s = this.state;
         const values = [
             s.height, s.steady, s.focus, s.zoom, s.isometric, s.dolly,
-            s.invert, s.mirror ? 1 : 0, s.quality, s.smoothing, s.edgeFix, s.ssaa,
+            s.invert, s.edgeMode, s.edgeColor, s.quality, s.smoothing, s.edgeFix, s.edgeFixSmoothing, s.ssaa, s.inpaint ? 1 : 0, s.hierarchicalMarch ? 1 : 0,
+            s.accumulationSamples, s.progressiveRefine ? 1 : 0,
+            s.alphaOutput ? 1 : 0, s.alphaDepthCutoff, s.stereoMode, s.stereoSeparation,
+            s.quiltEnabled ? 1 : 0, s.quiltColumns, s.quiltRows, s.quiltViewCone, s.debugMode,
+            s.focalDepth, s.aperture, s.bokehBlades, s.layerMode, s.layerSplitNear, s.layerSplitFar,
+            s.postOrder.join(','),
+            s.gradeEnabled ? 1 : 0, s.lift, s.gamma, s.gain, s.lutEnabled ? 1 : 0, s.lutStrength, s.lutName,
+            s.sharpenEnabled ? 1 : 0, s.sharpenAmount, s.chromaticEnabled ? 1 : 0, s.chromaticAmount,
+            s.vignetteEnabled ? 1 : 0, s.vignetteAmount, s.vignetteSoftness,
+            s.grainEnabled ? 1 : 0, s.grainAmount, s.grainSize,
             s.offsetX, s.offsetY, s._targetOffsetX, s._targetOffsetY,
             s.centerX, s.centerY, s.originX, s.originY
         ];
@@ -120,6 +144,17 @@ class DepthFlowApp {
         const deltaTime = frameTime / 1000;
         this.lastTime = now;
 
+        // Offline export steps motion, smoothing and rendering itself.
+        if (this.recorder.isRenderingOffline) {
+            this.requestRender();
+            return;
+        }
+
+        // Nothing draws until the renderer is rebuilt; onContextRestored wakes the loop
+        if (this.renderer.isContextLost()) {
+            return;
+        }
+
         this.motion.update(deltaTime);
         this.state.update();
         this.ui.syncZoomSlider();
@@ -131,12 +166,14 @@ class DepthFlowApp {
             this.lastActivityTime = now;
         }
 
-        if (!this.needsRender && !this.motion.running && !stateChanged && (now - this.lastActivityTime) > 100) {
+        // Idle frames refine the previous one until its samples are used up
+        const idle = !this.needsRender && !this.motion.running && !stateChanged && (now - this.lastActivityTime) > 100;
+        if (idle && !this.renderer.isRefining()) {
             return;
         }
 
         this.needsRender = false;
-        this.renderer.render();
+        this.renderer.render({ refine: idle });
         this.recorder.captureFrame();
         this.recorder.updatePreview();
         if (this.fpsDisplay) {
@@ -159,7 +196,7 @@ class DepthFlowApp {
         }
 
         const stillActive = this.motion.running || this.recorder.isRecording || this.recorder.isPreviewing || stateChanged || (performance.now() - this.lastActivityTime) <= 100;
-        if (this.needsRender || stillActive) {
+        if (this.needsRender || stillActive || this.renderer.isRefining()) {
             this.requestRender();
         }
     }
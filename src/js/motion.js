@@ -28,6 +28,10 @@ export const PRESETS = {
     orbital: {
         name: 'Orbital',
         defaults: { steady: 0.3, focus: 0.3, zoom: 0.98 }
+    },
+    focusPull: {
+        name: 'Focus Pull',
+        defaults: { height: 0.2, steady: 0.3, isometric: 0.6, aperture: 0.6 }
     }
 };
 
@@ -39,9 +43,19 @@ export class MotionController {
         this.speed = 1.0;
         this.time = 0;
         this.running = false;
+
+        this.cyclePoses = null;     // last sampleCyclePoses() result, see getCyclePoses()
+        this.cyclePosesKey = '';
     }
 
     setPreset(presetName) {
+        // Focus Pull opens the aperture and animates the focus; don't leave the
+        // next preset with the blur it was last racked to
+        if (this.preset === 'focusPull' && presetName !== 'focusPull') {
+            this.state.aperture = 0.0;
+            this.state.focalDepth = 0.5;
+        }
+
         this.preset = presetName;
         this.time = 0;
 
@@ -74,9 +88,12 @@ export class MotionController {
         if (!this.running) return;
 
         this.time += deltaTime * this.speed;
-        const t = this.time;
-        const i = this.intensity;
+        this.applyPreset(this.time, this.intensity);
+        // Grain animates with the motion, so an offline export gets the same grain every time
+        this.state.grainSeed = (this.time * 60) % 1024;
+    }
 
+    applyPreset(t, i) {
         switch (this.preset) {
             case 'circle':
                 this.animateCircle(t, i);
@@ -96,7 +113,54 @@ export class MotionController {
             case 'orbital':
                 this.animateOrbital(t, i);
                 break;
+            case 'focusPull':
+                this.animateFocusPull(t, i);
+                break;
+        }
+    }
+
+    // Camera poses at evenly spaced points of one cycle, leaving the state untouched.
+    // Targets stand in for the smoothed values, which only lag behind them.
+    sampleCyclePoses(count = 48) {
+        const saved = this.state.snapshot();
+        const steps = this.preset === 'none' ? 1 : count;
+        const poses = [];
+
+        for (let k = 0; k < steps; k++) {
+            if (steps > 1) {
+                this.applyPreset((k / steps) * Math.PI * 2, this.intensity);
+            }
+            poses.push(this.currentPose());
+            this.state.restore(saved);
+        }
+
+        return poses;
+    }
+
+    // sampleCyclePoses(), sampled again only when the cycle changes. Presets only
+    // write the state, so the cycle follows from the preset, the intensity and the
+    // pose at its start, which costs one sample to check instead of the whole cycle.
+    getCyclePoses() {
+        const saved = this.state.snapshot();
+        this.applyPreset(0, this.intensity);
+        const key = JSON.stringify([this.preset, this.intensity, this.currentPose()]);
+        this.state.restore(saved);
+
+        if (key !== this.cyclePosesKey) {
+            this.cyclePoses = this.sampleCyclePoses();
+            this.cyclePosesKey = key;
         }
+        return this.cyclePoses;
+    }
+
+    currentPose() {
+        const s = this.state;
+        return {
+            height: s.height, steady: s.steady, focus: s.focus, zoom: s._targetZoom,
+            isometric: s.isometric, dolly: s.dolly,
+            offsetX: s._targetOffsetX, offsetY: s._targetOffsetY,
+            centerX: s.centerX, centerY: s.centerY, originX: s.originX, originY: s.originY
+        };
     }
 
     // Smooth easing function
@@ -140,4 +204,11 @@ export class MotionController {
         this.state._targetOffsetX = intensity / 4 * Math.sin(t);
         this.state._targetOffsetY = 0;
     }
+
+    animateFocusPull(t, intensity) {
+        // Rack focus between background and foreground with a slow drift
+        this.state.focalDepth = 0.5 - Math.cos(t) * Math.min(1, intensity) * 0.45;
+        this.state._targetOffsetX = Math.sin(t) * intensity * 0.1;
+        this.state._targetOffsetY = 0;
+    }
 }
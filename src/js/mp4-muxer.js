@@ -0,0 +1,282 @@
+// Minimal ISO BMFF (MP4) muxer for a single constant-frame-rate video track.
+// Samples come from WebCodecs EncodedVideoChunks; the file is written with the
+// moov box ahead of mdat ("fast start") so players can begin without seeking.
+
+const textEncoder = new TextEncoder();
+
+function u8(value) {
+    return [value & 0xff];
+}
+
+function u16(value) {
+    return [(value >>> 8) & 0xff, value & 0xff];
+}
+
+function u24(value) {
+    return [(value >>> 16) & 0xff, (value >>> 8) & 0xff, value & 0xff];
+}
+
+function u32(value) {
+    return [(value >>> 24) & 0xff, (value >>> 16) & 0xff, (value >>> 8) & 0xff, value & 0xff];
+}
+
+function u64(value) {
+    const high = Math.floor(value / 0x100000000);
+    return [...u32(high), ...u32(value >>> 0)];
+}
+
+function ascii(text) {
+    return Array.from(textEncoder.encode(text));
+}
+
+function fixed32(value) {
+    return u32(Math.round(value * 0x10000));
+}
+
+// Unity transformation matrix used by mvhd/tkhd.
+const IDENTITY_MATRIX = [
+    ...u32(0x00010000), ...u32(0), ...u32(0),
+    ...u32(0), ...u32(0x00010000), ...u32(0),
+    ...u32(0), ...u32(0), ...u32(0x40000000)
+];
+
+function flatten(parts, out = []) {
+    for (const part of parts) {
+        if (Array.isArray(part)) {
+            flatten(part, out);
+        } else if (part instanceof Uint8Array) {
+            for (const byte of part) out.push(byte);
+        } else {
+            out.push(part);
+        }
+    }
+    return out;
+}
+
+function box(type, ...children) {
+    const payload = flatten(children);
+    return [...u32(payload.length + 8), ...ascii(type), ...payload];
+}
+
+function fullBox(type, version, flags, ...children) {
+    return box(type, u8(version), u24(flags), ...children);
+}
+
+function toUint8Array(source) {
+    if (!source) return null;
+    if (source instanceof Uint8Array) return source;
+    if (ArrayBuffer.isView(source)) {
+        return new Uint8Array(source.buffer, source.byteOffset, source.byteLength);
+    }
+    return new Uint8Array(source);
+}
+
+// vp09.PP.LL.DD
+function parseVp9Codec(codec) {
+    const parts = codec.split('.');
+    return {
+        profile: parseInt(parts[1], 10) || 0,
+        level: parseInt(parts[2], 10) || 10,
+        bitDepth: parseInt(parts[3], 10) || 8
+    };
+}
+
+// av01.P.LLT.DD
+function parseAv1Codec(codec) {
+    const parts = codec.split('.');
+    const levelTier = parts[2] || '00M';
+    return {
+        profile: parseInt(parts[1], 10) || 0,
+        level: parseInt(levelTier.slice(0, 2), 10) || 0,
+        tier: levelTier.slice(2) === 'H' ? 1 : 0,
+        bitDepth: parseInt(parts[3], 10) || 8
+    };
+}
+
+export class Mp4Muxer {
+    constructor({ family, codec, width, height, fps }) {
+        this.family = family;        // 'avc' | 'vp9' | 'av1'
+        this.codec = codec;
+        this.width = width;
+        this.height = height;
+        this.fps = fps;
+        this.timescale = fps * 1000;
+        this.sampleDuration = 1000;
+        this.samples = [];
+        this.description = null;
+    }
+
+    addChunk(chunk, metadata) {
+        if (metadata && metadata.decoderConfig && metadata.decoderConfig.description && !this.description) {
+            this.description = new Uint8Array(toUint8Array(metadata.decoderConfig.description));
+        }
+
+        const data = new Uint8Array(chunk.byteLength);
+        chunk.copyTo(data);
+        this.samples.push({ data, keyFrame: chunk.type === 'key' });
+    }
+
+    buildCodecConfigBox() {
+        if (this.family === 'avc') {
+            if (!this.description) {
+                throw new Error('H.264 encoder did not provide an avcC description');
+            }
+            return box('avcC', this.description);
+        }
+
+        if (this.family === 'vp9') {
+            const { profile, level, bitDepth } = parseVp9Codec(this.codec);
+            // 4:2:0 colocated chroma, BT.709 primaries/transfer/matrix, limited range.
+            return fullBox('vpcC', 1, 0,
+                u8(profile),
+                u8(level),
+                u8((bitDepth << 4) | (1 << 1) | 0),
+                u8(1), u8(1), u8(1),
+                u16(0)
+            );
+        }
+
+        if (this.description) {
+            return box('av1C', this.description);
+        }
+
+        const { profile, level, tier, bitDepth } = parseAv1Codec(this.codec);
+        return box('av1C',
+            u8(0x81),
+            u8((profile << 5) | level),
+            u8((tier << 7) | ((bitDepth > 8 ? 1 : 0) << 6) | (1 << 3) | (1 << 2)),
+            u8(0)
+        );
+    }
+
+    buildSampleEntry() {
+        const type = this.family === 'avc' ? 'avc1' : (this.family === 'vp9' ? 'vp09' : 'av01');
+        const compressorName = new Array(32).fill(0);
+
+        return box(type,
+            new Array(6).fill(0),         // reserved
+            u16(1),                       // data_reference_index
+            u16(0), u16(0),               // pre_defined, reserved
+            u32(0), u32(0), u32(0),       // pre_defined
+            u16(this.width),
+            u16(this.height),
+            u32(0x00480000),              // 72 dpi
+            u32(0x00480000),
+            u32(0),                       // reserved
+            u16(1),                       // frame_count
+            compressorName,
+            u16(0x0018),                  // depth
+            u16(0xffff),                  // pre_defined
+            this.buildCodecConfigBox()
+        );
+    }
+
+    buildMoov(mdatDataOffset, useCo64) {
+        const count = this.samples.length;
+        const mediaDuration = count * this.sampleDuration;
+        const movieDuration = Math.round((count * 1000) / this.fps);
+
+        const syncSamples = [];
+        this.samples.forEach((sample, index) => {
+            if (sample.keyFrame) syncSamples.push(index + 1);
+        });
+
+        const stbl = box('stbl',
+            fullBox('stsd', 0, 0, u32(1), this.buildSampleEntry()),
+            fullBox('stts', 0, 0, u32(1), u32(count), u32(this.sampleDuration)),
+            syncSamples.length === count
+                ? []
+                : fullBox('stss', 0, 0, u32(syncSamples.length), syncSamples.map((n) => u32(n))),
+            // Every sample lives in a single chunk that spans the whole mdat payload.
+            fullBox('stsc', 0, 0, u32(1), u32(1), u32(count), u32(1)),
+            fullBox('stsz', 0, 0, u32(0), u32(count), this.samples.map((s) => u32(s.data.byteLength))),
+            useCo64
+                ? fullBox('co64', 0, 0, u32(1), u64(mdatDataOffset))
+                : fullBox('stco', 0, 0, u32(1), u32(mdatDataOffset))
+        );
+
+        const minf = box('minf',
+            fullBox('vmhd', 0, 1, u16(0), u16(0), u16(0), u16(0)),
+            box('dinf', fullBox('dref', 0, 0, u32(1), fullBox('url ', 0, 1))),
+            stbl
+        );
+
+        const mdia = box('mdia',
+            fullBox('mdhd', 0, 0,
+                u32(0), u32(0),
+                u32(this.timescale),
+                u32(mediaDuration),
+                u16(0x55c4),              // language: 'und'
+                u16(0)
+            ),
+            fullBox('hdlr', 0, 0, u32(0), ascii('vide'), u32(0), u32(0), u32(0), ascii('VideoHandler'), u8(0)),
+            minf
+        );
+
+        const trak = box('trak',
+            fullBox('tkhd', 0, 3,
+                u32(0), u32(0),
+                u32(1),                   // track_ID
+                u32(0),
+                u32(movieDuration),
+                u32(0), u32(0),
+                u16(0), u16(0), u16(0), u16(0),
+                IDENTITY_MATRIX,
+                fixed32(this.width),
+                fixed32(this.height)
+            ),
+            mdia
+        );
+
+        return box('moov',
+            fullBox('mvhd', 0, 0,
+                u32(0), u32(0),
+                u32(1000),
+                u32(movieDuration),
+                u32(0x00010000),          // rate 1.0
+                u16(0x0100),              // volume 1.0
+                u16(0), u32(0), u32(0),
+                IDENTITY_MATRIX,
+                new Array(24).fill(0),
+                u32(2)                    // next_track_ID
+            ),
+            trak
+        );
+    }
+
+    buildFtyp() {
+        const codecBrand = this.family === 'avc' ? 'avc1' : (this.family === 'av1' ? 'av01' : 'vp09');
+        return box('ftyp', ascii('isom'), u32(0x200), ascii('isom'), ascii('iso6'), ascii('mp41'), ascii(codecBrand));
+    }
+
+    getMdatPayloadSize() {
+        return this.samples.reduce((sum, sample) => sum + sample.data.byteLength, 0);
+    }
+
+    finalize() {
+        if (this.samples.length === 0) {
+            throw new Error('No video frames were encoded');
+        }
+
+        const ftyp = new Uint8Array(this.buildFtyp());
+        const payloadSize = this.getMdatPayloadSize();
+        const largeMdat = payloadSize + 8 > 0xffffffff;
+        const mdatHeader = new Uint8Array(largeMdat
+            ? [...u32(1), ...ascii('mdat'), ...u64(payloadSize + 16)]
+            : [...u32(payloadSize + 8), ...ascii('mdat')]);
+
+        // moov size does not depend on the offset value, so measure once and rebuild.
+        // Leave headroom for ftyp/moov when deciding between 32- and 64-bit offsets.
+        const useCo64 = payloadSize + 0x1000000 > 0xffffffff;
+        const moovSize = this.buildMoov(0, useCo64).length;
+        const dataOffset = ftyp.byteLength + moovSize + mdatHeader.byteLength;
+        const moov = new Uint8Array(this.buildMoov(dataOffset, useCo64));
+
+        const blob = new Blob(
+            [ftyp, moov, mdatHeader, ...this.samples.map((sample) => sample.data)],
+            { type: 'video/mp4' }
+        );
+        this.samples = [];
+        return blob;
+    }
+}
@@ -0,0 +1,167 @@
+// PNG chunk helpers shared by the APNG muxer and 16-bit depth maps.
+
+import { crc32 } from './crc32.js';
+
+export const PNG_SIGNATURE = new Uint8Array([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+const textEncoder = new TextEncoder();
+const textDecoder = new TextDecoder();
+
+export function isPng(bytes) {
+    if (bytes.length < PNG_SIGNATURE.length) return false;
+    return PNG_SIGNATURE.every((byte, i) => bytes[i] === byte);
+}
+
+// Split a PNG file into [{ type, data }] chunks (data is a view, not a copy).
+export function readPngChunks(bytes) {
+    if (!isPng(bytes)) {
+        throw new Error('Not a PNG file');
+    }
+
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const chunks = [];
+    let offset = PNG_SIGNATURE.length;
+
+    while (offset + 12 <= bytes.length) {
+        const length = view.getUint32(offset);
+        const type = textDecoder.decode(bytes.subarray(offset + 4, offset + 8));
+        const dataStart = offset + 8;
+        if (dataStart + length + 4 > bytes.length) {
+            throw new Error(`Truncated PNG chunk ${type}`);
+        }
+
+        chunks.push({ type, data: bytes.subarray(dataStart, dataStart + length) });
+        offset = dataStart + length + 4;
+        if (type === 'IEND') break;
+    }
+
+    return chunks;
+}
+
+export function parseIhdr(data) {
+    const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+    return {
+        width: view.getUint32(0),
+        height: view.getUint32(4),
+        bitDepth: data[8],
+        colorType: data[9],
+        interlace: data[12]
+    };
+}
+
+// Serialize one chunk: length, type, data, CRC over type + data.
+export function writePngChunk(type, data) {
+    const typeBytes = textEncoder.encode(type);
+    const out = new Uint8Array(12 + data.length);
+    const view = new DataView(out.buffer);
+
+    view.setUint32(0, data.length);
+    out.set(typeBytes, 4);
+    out.set(data, 8);
+    view.setUint32(8 + data.length, crc32(out.subarray(4, 8 + data.length)));
+    return out;
+}
+
+// Samples per pixel for each PNG color type (palette images are never 16-bit)
+const CHANNELS = { 0: 1, 2: 3, 4: 2, 6: 4 };
+
+async function pipeBytes(bytes, transform) {
+    const stream = new Blob([bytes]).stream().pipeThrough(transform);
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+function paeth(a, b, c) {
+    const p = a + b - c;
+    const pa = Math.abs(p - a);
+    const pb = Math.abs(p - b);
+    const pc = Math.abs(p - c);
+    if (pa <= pb && pa <= pc) return a;
+    return pb <= pc ? b : c;
+}
+
+// Grayscale 16-bit PNG from width * height samples (0-65535, rows top to bottom).
+// Rows use the Up filter, which suits smooth depth gradients.
+export async function encodeGray16Png(width, height, samples) {
+    const stride = width * 2;
+    const rows = new Uint8Array(stride * height);
+    const rowView = new DataView(rows.buffer);
+    for (let i = 0; i < width * height; i++) {
+        rowView.setUint16(i * 2, samples[i]);
+    }
+
+    const raw = new Uint8Array((stride + 1) * height);
+    for (let y = 0; y < height; y++) {
+        const out = y * (stride + 1);
+        raw[out] = y === 0 ? 0 : 2;
+        for (let x = 0; x < stride; x++) {
+            const above = y === 0 ? 0 : rows[(y - 1) * stride + x];
+            raw[out + 1 + x] = (rows[y * stride + x] - above) & 0xff;
+        }
+    }
+
+    const ihdr = new Uint8Array(13);
+    const view = new DataView(ihdr.buffer);
+    view.setUint32(0, width);
+    view.setUint32(4, height);
+    ihdr[8] = 16;   // bit depth; color type, compression, filter and interlace stay 0
+
+    const idat = await pipeBytes(raw, new CompressionStream('deflate'));
+    return new Blob([
+        PNG_SIGNATURE,
+        writePngChunk('IHDR', ihdr),
+        writePngChunk('IDAT', idat),
+        writePngChunk('IEND', new Uint8Array(0))
+    ], { type: 'image/png' });
+}
+
+// First channel of a 16-bit, non-interlaced PNG as { width, height, samples }.
+// Returns null for anything else, which browsers decode fine at 8 bits.
+export async function decodePng16(bytes) {
+    const chunks = readPngChunks(bytes);
+    const ihdrChunk = chunks.find((chunk) => chunk.type === 'IHDR');
+    if (!ihdrChunk) {
+        throw new Error('PNG has no IHDR chunk');
+    }
+
+    const { width, height, bitDepth, colorType, interlace } = parseIhdr(ihdrChunk.data);
+    const channels = CHANNELS[colorType];
+    if (bitDepth !== 16 || interlace !== 0 || !channels) return null;
+
+    const idat = chunks.filter((chunk) => chunk.type === 'IDAT').map((chunk) => chunk.data);
+    const raw = await pipeBytes(new Blob(idat), new DecompressionStream('deflate'));
+
+    const bpp = channels * 2;
+    const stride = width * bpp;
+    if (raw.length < (stride + 1) * height) {
+        throw new Error('Truncated PNG image data');
+    }
+
+    const samples = new Uint16Array(width * height);
+    let previous = new Uint8Array(stride);
+    let current = new Uint8Array(stride);
+    for (let y = 0; y < height; y++) {
+        const start = y * (stride + 1);
+        const filter = raw[start];
+        for (let x = 0; x < stride; x++) {
+            const value = raw[start + 1 + x];
+            const left = x >= bpp ? current[x - bpp] : 0;
+            const up = previous[x];
+            const upLeft = x >= bpp ? previous[x - bpp] : 0;
+            switch (filter) {
+                case 0: current[x] = value; break;
+                case 1: current[x] = value + left; break;
+                case 2: current[x] = value + up; break;
+                case 3: current[x] = value + ((left + up) >> 1); break;
+                case 4: current[x] = value + paeth(left, up, upLeft); break;
+                default: throw new Error(`Unknown PNG filter type ${filter}`);
+            }
+        }
+
+        for (let x = 0; x < width; x++) {
+            samples[y * width + x] = (current[x * bpp] << 8) | current[x * bpp + 1];
+        }
+        [previous, current] = [current, previous];
+    }
+
+    return { width, height, samples };
+}
@@ -1,3 +1,16 @@
+import { abortable, createAbortError, isAbortError, throwIfAborted } from './abort.js';
+import { MAX_ACCUMULATION_SAMPLES, createContextLostError, isContextLostError, stereoFrameSize } from './renderer.js';
+import { ZipWriter } from './zip-writer.js';
+import {
+    ApngEncoder,
+    GIF_DITHER_MODES,
+    GifEncoder,
+    ImageSequenceEncoder,
+    MediaRecorderEncoder,
+    WebCodecsEncoder,
+    WebpEncoder
+} from './encoders.js';
+
 export const ASPECT_PRESETS = {
     '9:16': { w: 9, h: 16, label: '9:16 (Reels/TikTok)' },
     '1:1': { w: 1, h: 1, label: '1:1 (Instagram)' },
@@ -8,29 +21,62 @@ export const ASPECT_PRESETS = {
     custom: { w: 0, h: 0, label: 'Custom...' }
 };
 
+export const EXPORT_FORMATS = ['webm', 'mp4', 'gif', 'webp', 'apng', 'image-sequence'];
+
+export const DEFAULT_EXPORT_QUALITY = {
+    webm: 50,
+    mp4: 50,
+    gif: 70,
+    webp: 80,
+    apng: 100,
+    'image-sequence': 90
+};
+
+// Longest side of an exported quilt; views are scaled down to fit
+const QUILT_MAX_SIZE = 4096;
+
+// Formats built frame by frame by our own encoders; they only exist as offline exports.
+const FRAME_ENCODED_FORMATS = ['gif', 'webp', 'apng', 'image-sequence'];
+
+// Ray marches a single still draw may run (4K at 2x2 supersampling); much more can
+// outlast the GPU watchdog, which resets the context
+const MAX_STILL_DRAW_MARCHES = 3840 * 2160 * 4;
+
+export const STILL_FORMATS = {
+    png: { mimeType: 'image/png', extension: 'png' },
+    jpeg: { mimeType: 'image/jpeg', extension: 'jpg' },
+    webp: { mimeType: 'image/webp', extension: 'webp' }
+};
+
 export class Recorder {
-    constructor(canvas, state, motion) {
+    constructor(canvas, state, motion, renderer) {
         this.canvas = canvas;
         this.state = state;
         this.motion = motion;
+        this.renderer = renderer;
         this.isRecording = false;
+        this.isRenderingOffline = false;
         this.isPreviewing = false;
         this.mediaRecorder = null;
         this.chunks = [];
+        this.failRecording = null;  // (err) => stops a realtime recording with err
+        this.captureInFlight = false;
+        this.droppedFrames = 0;     // realtime frames skipped while the previous one was rendering
+        this.encodedRatio = null;   // while an offline capture runs: encoded share of its frames so far
 
         // Recording settings
         this.aspectRatio = null;
         this.exportWidth = 1080;
         this.exportHeight = 1920;
+        this.exportResolution = 1080;   // short side of the export frame, in pixels
         this.duration = 5;
         this.loops = 1;
         this.format = 'webm';
         this.fps = 24;
-        this.exportQuality = {
-            webm: 50,
-            mp4: 50,
-            gif: 70
-        };
+        this.offline = true;     // Frame-accurate export decoupled from the live render loop
+        this.sequenceImageType = 'png';
+        this.exportQuality = { ...DEFAULT_EXPORT_QUALITY };
+        this.playCount = 0;      // Animated image plays (GIF/WebP/APNG); 0 = loop forever
 
         // Crop guide state
         this.showGuides = false;
@@ -46,24 +92,21 @@ export class Recorder {
 
         this.offscreenCanvas = null;
         this.offscreenCtx = null;
+        this.exportAlpha = false;
         this.recordingStartTime = 0;
         this.recordingPendingStart = false;
         this.recordingDuration = 0;
         this.recordingOriginalRunning = false;
         this.recordingProgress = null;
         this.recordedMimeType = 'video/webm';
+        this.deliverExport = null;     // (blob, extension) => void; downloads when unset
+        this.isBatchRunning = false;    // an export queue or folder batch is running
 
         this.fadeAnimationToken = 0;
 
-        // GIF recording state
-        this.gifRecording = false;
-        this.gifFrames = null;
-        this.gifOffscreen = null;
-        this.gifOffCtx = null;
-        this.gifDoneResolve = null;
-        this.gifFrameDelay = 0;
-        this.gifTotalFrames = 0;
-        this.gifCapturedCount = 0;
+        // GIF encoding options
+        this.gifDither = false;          // false or a GIF_DITHER_MODES entry, optionally '-serpentine'
+        this.gifGlobalPalette = false;   // quantize once from the first frame and reuse it
     }
 
     snapCameraToTargets() {
@@ -107,12 +150,12 @@ export class Recorder {
     }
 
     setExportQuality(format, value) {
-        if (!['webm', 'mp4', 'gif'].includes(format)) return;
+        if (!EXPORT_FORMATS.includes(format)) return;
         this.exportQuality[format] = this.clampExportQuality(value);
     }
 
     getExportQuality(format) {
-        if (!['webm', 'mp4', 'gif'].includes(format)) return 50;
+        if (!EXPORT_FORMATS.includes(format)) return 50;
         return this.clampExportQuality(this.exportQuality[format]);
     }
 
@@ -122,8 +165,7 @@ export class Recorder {
 
     getLosslessVideoBitrateMbps(format) {
         const normalizedFormat = format === 'mp4' ? 'mp4' : 'webm';
-        const width = Math.max(1, Math.round(this.exportWidth));
-        const height = Math.max(1, Math.round(this.exportHeight));
+        const { width, height } = this.getOutputSize();
         const fps = this.getExportFps();
 
         // MediaRecorder is still codec-compressed; this aims for visually near-lossless.
@@ -165,6 +207,38 @@ export class Recorder {
         return this.getGifEncoderQualityFromSlider(this.getExportQuality('gif'));
     }
 
+    setPlayCount(value) {
+        const parsed = Number.parseInt(String(value), 10);
+        this.playCount = Number.isFinite(parsed) ? Math.max(0, Math.min(100, parsed)) : 0;
+    }
+
+    // gif.js repeat: 0 = forever, -1 = play once, n = n extra repeats
+    getGifRepeat() {
+        if (this.playCount === 0) return 0;
+        return this.playCount === 1 ? -1 : this.playCount - 1;
+    }
+
+    setGifDither(value) {
+        const base = String(value || '').replace(/-serpentine$/, '');
+        this.gifDither = GIF_DITHER_MODES.includes(base) ? value : false;
+    }
+
+    setGifGlobalPalette(value) {
+        this.gifGlobalPalette = Boolean(value);
+    }
+
+    getWebpQuality() {
+        return this.getExportQuality('webp') / 100;
+    }
+
+    setSequenceImageType(value) {
+        this.sequenceImageType = value === 'jpeg' ? 'jpeg' : 'png';
+    }
+
+    getJpegQuality() {
+        return this.getExportQuality('image-sequence') / 100;
+    }
+
     warmupSmoothingForCycle(cycleDurationSec) {
         if (cycleDurationSec <= 0 || !Number.isFinite(cycleDurationSec) || this.state.smoothing <= 0) {
             return;
@@ -176,10 +250,7 @@ export class Recorder {
 
         for (let i = 0; i < steps; i++) {
             this.motion.update(stepSec);
-            const t = 1 - Math.pow(this.state.smoothing, stepSec * 60);
-            this.state.offsetX += (this.state._targetOffsetX - this.state.offsetX) * t;
-            this.state.offsetY += (this.state._targetOffsetY - this.state.offsetY) * t;
-            this.state.zoom += (this.state._targetZoom - this.state.zoom) * t;
+            this.state.step(stepSec);
         }
     }
 
@@ -318,7 +389,8 @@ export class Recorder {
 
         ctx.fillStyle = `rgba(127, 143, 255, ${this.guideOpacity})`;
         ctx.font = '12px -apple-system, sans-serif';
-        ctx.fillText(`${this.exportWidth}x${this.exportHeight}`, rx + 8, ry + 18);
+        const output = this.getOutputSize();
+        ctx.fillText(`${output.width}x${output.height}`, rx + 8, ry + 18);
     }
 
     showCropGuides() {
@@ -439,13 +511,27 @@ export class Recorder {
         ctx.fillText(text, rx + rw - metrics.width - 10, ry + rh - 16);
     }
 
+    throwIfRecording() {
+        if (this.isRecording) {
+            throw new Error('Another export is already recording');
+        }
+    }
+
     getRecordingDuration() {
         const loops = Math.max(1, Number(this.loops) || 1);
         return this.getCycleDuration() * loops;
     }
 
-    async startRecording(onProgress) {
-        if (this.isRecording) return;
+    // options.signal: AbortSignal that stops the export without downloading anything.
+    // options.onResult(blob, extension) receives the finished file instead of a download.
+    // Throws while another export is recording, so callers don't take silence for a result.
+    async startRecording(onProgress, { signal, onResult = null } = {}) {
+        this.throwIfRecording();
+        throwIfAborted(signal);
+        // Every frame should see finished worker-built layers, not half-built ones
+        await abortable(this.renderer.waitForLayers(), signal);
+        this.throwIfRecording();
+        this.deliverExport = onResult;
 
         if (this.isPreviewing) {
             this.stopPreview();
@@ -463,16 +549,22 @@ export class Recorder {
         const duration = this.getRecordingDuration();
 
         this.recordingOriginalRunning = this.motion.running;
+        // Cancelled exports put the camera back where the user left it.
+        const savedState = this.state.snapshot();
+        const savedMotionTime = this.motion.time;
+
         this.recordingPendingStart = true;
         this.resetLoopToStartPose();
         // Hold motion for one render so the first captured frame is the loop start.
         this.motion.running = false;
 
         const offscreen = document.createElement('canvas');
-        offscreen.width = Math.max(1, Math.round(this.exportWidth));
-        offscreen.height = Math.max(1, Math.round(this.exportHeight));
+        const output = this.getOutputSize();
+        offscreen.width = output.width;
+        offscreen.height = output.height;
 
-        const offCtx = offscreen.getContext('2d', { alpha: false });
+        this.exportAlpha = this.formatKeepsAlpha();
+        const offCtx = offscreen.getContext('2d', { alpha: this.exportAlpha });
         if (!offCtx) {
             this.isRecording = false;
             this.recordingPendingStart = false;
@@ -485,54 +577,62 @@ export class Recorder {
 
         this.recordingStartTime = 0;
         this.recordingDuration = duration * 1000;
-        if (this.format !== 'gif' || typeof window.GIF === 'undefined') {
-            const exportFps = this.getExportFps();
-            const videoFrames = this.getBoundaryAlignedFrameCount(duration, exportFps);
-            this.recordingDuration = (videoFrames * 1000) / exportFps;
-        }
+        const exportFps = this.getExportFps();
+        const videoFrames = this.getBoundaryAlignedFrameCount(duration, exportFps);
+        this.recordingDuration = (videoFrames * 1000) / exportFps;
 
         try {
-            if (this.format === 'gif') {
-                if (typeof window.GIF === 'undefined') {
-                    this.recordedMimeType = 'video/webm';
-                    await this.recordVideo(offscreen, true);
-                } else {
-                    await this.recordGif(offscreen, offCtx, duration);
-                }
+            if (this.format === 'gif' && !GifEncoder.isSupported()) {
+                this.recordedMimeType = 'video/webm';
+                await this.recordVideo(offscreen, true, signal);
+            } else if (this.offline || FRAME_ENCODED_FORMATS.includes(this.format)) {
+                await this.recordOffline(offscreen, offCtx, duration, signal);
             } else {
-                await this.recordVideo(offscreen, false);
+                await this.recordVideo(offscreen, false, signal);
+            }
+        } catch (err) {
+            if (isAbortError(err)) {
+                this.state.restore(savedState);
+                this.motion.time = savedMotionTime;
             }
+            throw err;
         } finally {
             this.isRecording = false;
+            this.isRenderingOffline = false;
+            this.state._lastTime = performance.now();
             this.motion.running = this.recordingOriginalRunning;
             this.offscreenCanvas = null;
             this.offscreenCtx = null;
+            this.exportAlpha = false;
             this.mediaRecorder = null;
             this.chunks = [];
             this.recordingProgress = null;
             this.recordingStartTime = 0;
             this.recordingPendingStart = false;
             this.recordingDuration = 0;
-            this.gifRecording = false;
-            this.gifFrames = null;
-            this.gifOffscreen = null;
-            this.gifOffCtx = null;
-            this.gifDoneResolve = null;
-            this.gifFrameDelay = 0;
-            this.gifTotalFrames = 0;
-            this.gifCapturedCount = 0;
             this.previewPendingStart = false;
+            this.deliverExport = null;
         }
     }
 
-    async recordVideo(offscreen, forceWebm) {
-        const exportFps = this.getExportFps();
-        const stream = offscreen.captureStream(exportFps);
-        const selectedVideoFormat = forceWebm
-            ? 'webm'
-            : (this.format === 'mp4' ? 'mp4' : 'webm');
+    // Transparent frames stay transparent in formats that can store alpha;
+    // the rest get them flattened onto black.
+    formatKeepsAlpha() {
+        if (!this.renderer.hasAlphaOutput()) return false;
+        if (this.format === 'image-sequence') return this.sequenceImageType === 'png';
+        return ['apng', 'webp', 'webm'].includes(this.format);
+    }
+
+    deliverResult(blob, extension) {
+        if (this.deliverExport) {
+            this.deliverExport(blob, extension);
+        } else {
+            this.downloadBlob(blob, `depthflow-export${this.getQuiltTag()}.${extension}`);
+        }
+    }
 
-        const mimeCandidates = forceWebm
+    getVideoMimeCandidates(forceWebm) {
+        return forceWebm
             ? ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm']
             : this.format === 'mp4'
                 ? [
@@ -543,15 +643,29 @@ export class Recorder {
                     'video/webm'
                 ]
                 : ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'];
+    }
+
+    selectVideoMimeType(forceWebm) {
+        if (typeof MediaRecorder === 'undefined' || typeof MediaRecorder.isTypeSupported !== 'function') {
+            return '';
+        }
+        const candidates = this.getVideoMimeCandidates(forceWebm);
+        return candidates.find((type) => MediaRecorder.isTypeSupported(type)) || '';
+    }
+
+    async recordVideo(offscreen, forceWebm, signal) {
+        const exportFps = this.getExportFps();
+        const stream = offscreen.captureStream(exportFps);
+        const selectedVideoFormat = forceWebm
+            ? 'webm'
+            : (this.format === 'mp4' ? 'mp4' : 'webm');
 
         if (typeof MediaRecorder === 'undefined') {
             stream.getTracks().forEach((track) => track.stop());
             throw new Error('MediaRecorder is not supported in this browser');
         }
 
-        const mimeType = typeof MediaRecorder.isTypeSupported === 'function'
-            ? (mimeCandidates.find((type) => MediaRecorder.isTypeSupported(type)) || '')
-            : '';
+        const mimeType = this.selectVideoMimeType(forceWebm);
         const recorderOptions = {
             videoBitsPerSecond: this.getVideoBitrateBpsForFormat(selectedVideoFormat)
         };
@@ -571,12 +685,20 @@ export class Recorder {
             }
         };
 
+        let cancelled = false;
+        let failure = null;
         const done = new Promise((resolve, reject) => {
             this.mediaRecorder.onstop = () => {
+                if (cancelled) {
+                    stream.getTracks().forEach((track) => track.stop());
+                    reject(failure || createAbortError());
+                    return;
+                }
+
                 const blobType = this.recordedMimeType.includes('mp4') ? 'video/mp4' : 'video/webm';
                 const blob = new Blob(this.chunks, { type: blobType });
                 const ext = blobType === 'video/mp4' ? 'mp4' : 'webm';
-                this.downloadBlob(blob, `depthflow-export.${ext}`);
+                this.deliverResult(blob, ext);
                 stream.getTracks().forEach((track) => track.stop());
                 resolve();
             };
@@ -587,7 +709,22 @@ export class Recorder {
             };
         });
 
-        this.mediaRecorder.start(100);
+        const mediaRecorder = this.mediaRecorder;
+        const onAbort = () => {
+            cancelled = true;
+            if (mediaRecorder.state !== 'inactive') {
+                mediaRecorder.stop();
+            }
+        };
+        if (signal) {
+            signal.addEventListener('abort', onAbort, { once: true });
+        }
+        this.failRecording = (err) => {
+            failure = err;
+            onAbort();
+        };
+
+        mediaRecorder.start(100);
 
         if (this.recordingProgress) {
             this.recordingProgress({
@@ -597,63 +734,208 @@ export class Recorder {
             });
         }
 
-        await done;
+        try {
+            await done;
+        } finally {
+            this.failRecording = null;
+            if (signal) {
+                signal.removeEventListener('abort', onAbort);
+            }
+        }
     }
 
-    async recordGif(offscreen, offCtx, duration) {
-        // GIF frames are captured from the main render loop (via captureGifFrame),
-        // then encoded all at once after recording finishes.
-        this.gifFrames = [];
-        this.gifOffscreen = offscreen;
-        this.gifOffCtx = offCtx;
-        const gifFps = this.getExportFps();
-        this.gifFrameDelay = 1000 / gifFps;
-        this.gifTotalFrames = this.getBoundaryAlignedFrameCount(duration, gifFps);
-        this.gifCapturedCount = 0;
-        this.recordingDuration = this.gifTotalFrames * this.gifFrameDelay;
-        this.gifRecording = true;
+    async createOfflineEncoder(offscreen, offCtx, frameCount) {
+        const fps = this.getExportFps();
 
-        // Wait for the main render loop to capture all frames
-        await new Promise((resolve) => {
-            this.gifDoneResolve = resolve;
-        });
-        this.gifRecording = false;
-        this.gifDoneResolve = null;
+        if (this.format === 'image-sequence') {
+            this.recordedMimeType = 'application/zip';
+            return new ImageSequenceEncoder(offscreen, {
+                imageType: this.sequenceImageType,
+                quality: this.getJpegQuality(),
+                frameCount
+            });
+        }
 
-        if (this.recordingProgress) {
-            const totalSec = this.recordingDuration / 1000;
-            this.recordingProgress({ phase: 'encoding', elapsedSec: totalSec, totalSec });
+        if (this.format === 'apng') {
+            this.recordedMimeType = 'image/apng';
+            return new ApngEncoder(offscreen, { fps, plays: this.playCount });
+        }
+
+        if (this.format === 'webp') {
+            this.recordedMimeType = 'image/webp';
+            return new WebpEncoder(offscreen, { fps, quality: this.getWebpQuality(), plays: this.playCount });
         }
 
-        // Encode all captured frames
-        const gif = new window.GIF({
-            workers: 2,
-            quality: this.getGifEncoderQuality(),
+        if (this.format === 'gif' && GifEncoder.isSupported()) {
+            this.recordedMimeType = 'image/gif';
+            return new GifEncoder(offscreen, offCtx, {
+                fps,
+                quality: this.getGifEncoderQuality(),
+                repeat: this.getGifRepeat(),
+                dither: this.gifDither,
+                globalPalette: this.gifGlobalPalette,
+                workers: Math.max(1, Math.min(4, (navigator.hardwareConcurrency || 2) - 1)),
+                onProgress: (ratio) => this.reportFrameEncoderProgress(ratio)
+            });
+        }
+
+        const forceWebm = this.format === 'gif';
+        const selectedVideoFormat = forceWebm ? 'webm' : (this.format === 'mp4' ? 'mp4' : 'webm');
+        const videoBitsPerSecond = this.getVideoBitrateBpsForFormat(selectedVideoFormat);
+
+        const selected = await WebCodecsEncoder.selectConfig({
+            container: selectedVideoFormat,
             width: offscreen.width,
             height: offscreen.height,
-            workerScript: 'src/vendor/gif.worker.js'
+            fps,
+            bitrate: videoBitsPerSecond,
+            alpha: this.exportAlpha
         });
 
-        for (const frame of this.gifFrames) {
-            gif.addFrame(frame, { delay: this.gifFrameDelay });
+        if (selected) {
+            this.recordedMimeType = `video/${selectedVideoFormat}`;
+            return new WebCodecsEncoder(offscreen, {
+                container: selectedVideoFormat,
+                family: selected.family,
+                config: selected.config,
+                fps
+            });
         }
 
-        await new Promise((resolve) => {
-            gif.on('finished', (blob) => {
-                this.downloadBlob(blob, 'depthflow-export.gif');
-                resolve();
-            });
-            gif.render();
+        // WebCodecs unavailable (or no codec fits): fall back to paced MediaRecorder capture.
+        const mimeType = this.selectVideoMimeType(forceWebm);
+        this.recordedMimeType = mimeType || 'video/webm';
+
+        return new MediaRecorderEncoder(offscreen, {
+            fps,
+            mimeType,
+            videoBitsPerSecond
         });
+    }
 
-        this.gifFrames = null;
-        this.gifOffscreen = null;
-        this.gifOffCtx = null;
-        this.gifDoneResolve = null;
-        this.gifRecording = false;
-        this.gifFrameDelay = 0;
-        this.gifTotalFrames = 0;
-        this.gifCapturedCount = 0;
+    reportEncodingProgress(ratio) {
+        if (!this.recordingProgress) return;
+        const totalSec = this.recordingDuration / 1000;
+        this.recordingProgress({ phase: 'encoding', elapsedSec: totalSec, totalSec, ratio });
+    }
+
+    // GIF workers encode while frames are still being captured; until capture ends
+    // their progress goes out with the recording progress
+    reportFrameEncoderProgress(ratio) {
+        if (this.encodedRatio === null) {
+            this.reportEncodingProgress(ratio);
+        } else {
+            this.encodedRatio = ratio;
+        }
+    }
+
+    stepOfflineFrame(dt) {
+        this.motion.update(dt);
+        this.state.step(dt);
+    }
+
+    async recordOffline(offscreen, offCtx, duration, signal) {
+        // Motion, smoothing and rendering are stepped here by exactly 1/fps per frame,
+        // so the encoded frames do not depend on device speed or wall-clock timing.
+        const fps = this.getExportFps();
+        const totalFrames = this.getBoundaryAlignedFrameCount(duration, fps);
+        const dt = 1 / fps;
+        this.recordingDuration = (totalFrames * 1000) / fps;
+
+        const encoder = await this.createOfflineEncoder(offscreen, offCtx, totalFrames);
+        throwIfAborted(signal);
+        this.isRenderingOffline = true;
+        this.recordingPendingStart = false;
+
+        // resetLoopToStartPose() already ran in startRecording(); keep motion live for stepping.
+        this.motion.running = true;
+
+        // Cancelling the encoder also wakes anything waiting on its workers or queue.
+        const onAbort = () => encoder.cancel();
+        if (signal) {
+            signal.addEventListener('abort', onAbort, { once: true });
+        }
+
+        let result;
+        this.encodedRatio = encoder instanceof GifEncoder ? 0 : null;
+        try {
+            await encoder.begin();
+
+            for (let i = 0; i < totalFrames; i++) {
+                throwIfAborted(signal);
+                if (i > 0) {
+                    this.stepOfflineFrame(dt);
+                }
+
+                await this.drawOfflineFrame(offCtx, signal);
+                await encoder.addFrame(i, i * dt);
+
+                if (this.recordingProgress) {
+                    this.recordingProgress({
+                        phase: 'recording',
+                        elapsedSec: ((i + 1) * dt),
+                        totalSec: this.recordingDuration / 1000,
+                        encodedRatio: this.encodedRatio
+                    });
+                }
+
+                // Yield so progress UI can paint between frames.
+                await new Promise((resolve) => setTimeout(resolve, 0));
+            }
+
+            const encodedRatio = this.encodedRatio;
+            this.encodedRatio = null;
+            this.reportEncodingProgress(encodedRatio ?? 0);
+            result = await encoder.finish();
+            throwIfAborted(signal);
+        } catch (err) {
+            encoder.cancel();
+            throw isAbortError(err) || !(signal && signal.aborted) ? err : createAbortError();
+        } finally {
+            this.encodedRatio = null;
+            if (signal) {
+                signal.removeEventListener('abort', onAbort);
+            }
+        }
+
+        this.deliverResult(result.blob, result.extension);
+    }
+
+    // A GPU reset pauses offline rendering until the renderer has rebuilt its
+    // resources; a frame drawn while the context was being lost is drawn again.
+    async drawOfflineFrame(ctx, signal) {
+        for (;;) {
+            if (this.renderer.isContextLost()) {
+                if (this.recordingProgress) {
+                    this.recordingProgress({ phase: 'paused' });
+                }
+                await abortable(this.renderer.whenContextRestored(), signal);
+            }
+
+            try {
+                await this.drawExportFrame(ctx, this.renderer.getAccumulationSamples());
+                return;
+            } catch (err) {
+                if (!isContextLostError(err)) throw err;
+            }
+        }
+    }
+
+    // Realtime recordings can't pause (MediaRecorder keeps the clock running), so a
+    // context loss stops them with a ContextLostError
+    handleContextLost() {
+        if (this.failRecording) {
+            this.failRecording(createContextLostError());
+        }
+    }
+
+    // Render the current state straight at export size instead of scaling the canvas.
+    // Offline export can afford accumulated samples; realtime capture renders one.
+    // Resolves once the frame is drawn (it comes back as a message from a render worker).
+    async drawExportFrame(ctx, samples = 1) {
+        const frame = await this.renderer.renderExportFrame(ctx.canvas.width, ctx.canvas.height, { alpha: this.exportAlpha, samples });
+        ctx.putImageData(frame, 0, 0);
+        return frame;
     }
 
     captureFrame() {
@@ -664,60 +946,20 @@ export class Recorder {
         if (this.recordingPendingStart) {
             this.recordingPendingStart = false;
             this.recordingStartTime = performance.now();
+            this.droppedFrames = 0;
             this.motion.running = true;
             if (this.recordingProgress) {
                 this.recordingProgress({
                     phase: 'recording',
                     elapsedSec: 0,
-                    totalSec: this.recordingDuration / 1000
+                    totalSec: this.recordingDuration / 1000,
+                    droppedFrames: 0
                 });
             }
         }
 
         const elapsed = performance.now() - this.recordingStartTime;
 
-        // GIF frame capture: sample at selected export FPS from the render loop
-        if (this.gifRecording) {
-            const gifFps = this.getExportFps();
-            const framePeriod = 1000 / gifFps;
-            const totalFrames = this.gifTotalFrames || this.getBoundaryAlignedFrameCount(this.recordingDuration / 1000, gifFps);
-
-            while (this.gifCapturedCount < totalFrames && elapsed >= this.gifCapturedCount * framePeriod) {
-                const { sx, sy, sw, sh } = this.getRecordingRegionPixels();
-                this.gifOffCtx.drawImage(
-                    this.canvas, sx, sy, sw, sh,
-                    0, 0, this.gifOffscreen.width, this.gifOffscreen.height
-                );
-
-                // Copy the pixel data for this frame (gif.js needs ImageData)
-                const imageData = this.gifOffCtx.getImageData(
-                    0, 0, this.gifOffscreen.width, this.gifOffscreen.height
-                );
-                this.gifFrames.push(imageData);
-                this.gifCapturedCount += 1;
-            }
-
-            if (this.recordingProgress) {
-                const recordedMs = Math.min(this.gifCapturedCount * framePeriod, this.recordingDuration);
-                this.recordingProgress({
-                    phase: 'recording',
-                    elapsedSec: recordedMs / 1000,
-                    totalSec: this.recordingDuration / 1000
-                });
-            }
-
-            if (this.gifCapturedCount >= totalFrames) {
-                if (this.gifDoneResolve) {
-                    const resolve = this.gifDoneResolve;
-                    this.gifDoneResolve = null;
-                    resolve();
-                }
-                return false;
-            }
-
-            return true;
-        }
-
         // Video frame capture
         if (!this.mediaRecorder) {
             return false;
@@ -728,71 +970,375 @@ export class Recorder {
                 this.recordingProgress({
                     phase: 'recording',
                     elapsedSec: this.recordingDuration / 1000,
-                    totalSec: this.recordingDuration / 1000
+                    totalSec: this.recordingDuration / 1000,
+                    droppedFrames: this.droppedFrames
                 });
             }
 
             if (this.mediaRecorder.state === 'recording') {
+                if (this.droppedFrames > 0) {
+                    console.warn(`Realtime recording dropped ${this.droppedFrames} frames while earlier ones were still rendering`);
+                }
                 this.mediaRecorder.stop();
             }
 
             return false;
         }
 
-        const { sx, sy, sw, sh } = this.getRecordingRegionPixels();
-        this.offscreenCtx.drawImage(
-            this.canvas,
-            sx,
-            sy,
-            sw,
-            sh,
-            0,
-            0,
-            this.offscreenCanvas.width,
-            this.offscreenCanvas.height
-        );
+        // A frame still on its way back from the render worker takes this one's slot;
+        // the recording repeats that frame, so count the skip for the progress report
+        if (this.captureInFlight) {
+            this.droppedFrames++;
+        } else {
+            this.captureInFlight = true;
+            this.drawExportFrame(this.offscreenCtx)
+                .catch((err) => {
+                    if (!isContextLostError(err)) console.error('Frame capture failed:', err);
+                })
+                .finally(() => {
+                    this.captureInFlight = false;
+                });
+        }
 
         if (this.recordingProgress) {
             this.recordingProgress({
                 phase: 'recording',
                 elapsedSec: elapsed / 1000,
-                totalSec: this.recordingDuration / 1000
+                totalSec: this.recordingDuration / 1000,
+                droppedFrames: this.droppedFrames
             });
         }
 
         return true;
     }
 
-    getRecordingRegionPixels() {
-        const cw = this.canvas.width;
-        const ch = this.canvas.height;
-
-        if (!this.aspectRatio || this.aspectRatio.w === 0) {
-            return { sx: 0, sy: 0, sw: cw, sh: ch };
+    // Size of the exported file's frames: the export frame is one eye, and
+    // full-resolution stereo layouts put two of them next to each other.
+    // Quilts tile one view per export frame, scaled to fit QUILT_MAX_SIZE.
+    getOutputSize(width = this.exportWidth, height = this.exportHeight) {
+        const quilt = this.renderer.getQuiltLayout();
+        if (quilt) {
+            const view = this.getQuiltViewSize(quilt, width, height);
+            return { width: view.width * quilt.columns, height: view.height * quilt.rows };
         }
 
-        const targetRatio = this.aspectRatio.w / this.aspectRatio.h;
-        const canvasRatio = cw / ch;
+        return stereoFrameSize(
+            this.state.stereoMode,
+            Math.max(1, Math.round(width)),
+            Math.max(1, Math.round(height))
+        );
+    }
+
+    getQuiltViewSize({ columns, rows }, width, height) {
+        const limit = Math.min(QUILT_MAX_SIZE, this.renderer.getMaxRenderSize());
+        const scale = Math.min(1, limit / (columns * width), limit / (rows * height));
+        // Even view sizes keep the quilt even for 4:2:0 video
+        return {
+            width: Math.max(2, Math.floor(width * scale / 2) * 2),
+            height: Math.max(2, Math.floor(height * scale / 2) * 2)
+        };
+    }
 
-        let sw;
-        let sh;
+    // Looking Glass software reads the layout from the file name: _qs{columns}x{rows}a{view aspect}
+    getQuiltTag(width = this.exportWidth, height = this.exportHeight) {
+        const quilt = this.renderer.getQuiltLayout();
+        if (!quilt) return '';
 
-        if (targetRatio > canvasRatio) {
-            sw = cw;
-            sh = cw / targetRatio;
+        const view = this.getQuiltViewSize(quilt, width, height);
+        return `_qs${quilt.columns}x${quilt.rows}a${Number((view.width / view.height).toFixed(4))}`;
+    }
+
+    // Default export size for an aspect ratio. `resolution` is the short side at
+    // 16:9 / 9:16 (1080 -> 1920x1080 or 1080x1920), capped so the output frame
+    // (both eyes in full-resolution stereo layouts) fits the GPU render limit.
+    getExportSizeForAspect(aspectRatio, resolution = this.exportResolution) {
+        let ratio;
+        if (aspectRatio && aspectRatio.w > 0 && aspectRatio.h > 0) {
+            ratio = aspectRatio.w / aspectRatio.h;
         } else {
-            sh = ch;
-            sw = ch * targetRatio;
+            const canvas = this.renderer.getCanvasSize();
+            ratio = canvas.width > 0 && canvas.height > 0 ? canvas.width / canvas.height : (16 / 9);
         }
 
+        const isLandscape = ratio > 1;
+        const baseWidth = isLandscape ? 1920 : 1080;
+        const stereo = this.getOutputSize(baseWidth, baseWidth / ratio);
+        const maxSize = this.renderer.getMaxRenderSize();
+        const scale = Math.min(resolution / 1080, maxSize / stereo.width, maxSize / stereo.height);
+
+        // Video encoders need even dimensions for 4:2:0 chroma.
+        const width = Math.max(2, Math.floor(baseWidth * scale / 2) * 2);
+        const height = Math.max(2, Math.floor(width / ratio / 2) * 2);
+        return { width, height };
+    }
+
+    // Export settings the UI keeps in sync with its controls, so a run can swap in
+    // other ones and put the user's back with restoreExportSettings()
+    saveExportSettings() {
         return {
-            sx: (cw - sw) / 2,
-            sy: (ch - sh) / 2,
-            sw,
-            sh
+            aspectRatio: this.aspectRatio,
+            exportWidth: this.exportWidth,
+            exportHeight: this.exportHeight,
+            exportResolution: this.exportResolution,
+            loops: this.loops,
+            format: this.format,
+            fps: this.fps,
+            offline: this.offline,
+            sequenceImageType: this.sequenceImageType,
+            exportQuality: { ...this.exportQuality },
+            playCount: this.playCount,
+            gifDither: this.gifDither,
+            gifGlobalPalette: this.gifGlobalPalette
         };
     }
 
+    restoreExportSettings(saved) {
+        Object.assign(this, saved, { exportQuality: { ...saved.exportQuality } });
+    }
+
+    // Apply the export part of a settings snapshot (UI.buildSettingsSnapshot()).
+    // Fields it lacks keep their current value.
+    applyExportSettings(settings) {
+        if (Number.isFinite(Number.parseInt(settings.resolution, 10))) {
+            this.exportResolution = Number.parseInt(settings.resolution, 10);
+        }
+        if (Number.isFinite(Number.parseInt(settings.loops, 10))) {
+            this.loops = Math.min(5, Math.max(1, Number.parseInt(settings.loops, 10)));
+        }
+        if (EXPORT_FORMATS.includes(settings.format)) {
+            this.format = settings.format;
+        }
+        if (settings.fps !== undefined) {
+            this.setExportFps(settings.fps);
+        }
+        if (typeof settings.offline === 'boolean') {
+            this.offline = settings.offline;
+        }
+        if (settings.sequenceImageType !== undefined) {
+            this.setSequenceImageType(settings.sequenceImageType);
+        }
+        for (const [format, quality] of Object.entries(settings.quality || {})) {
+            this.setExportQuality(format, quality);
+        }
+        if (settings.playCount !== undefined) {
+            this.setPlayCount(settings.playCount);
+        }
+        if (settings.gifDither !== undefined) {
+            this.setGifDither(settings.gifDither);
+        }
+        if (typeof settings.gifGlobalPalette === 'boolean') {
+            this.setGifGlobalPalette(settings.gifGlobalPalette);
+        }
+
+        // Size last: it depends on the resolution and, through the output layout, the render state
+        if (typeof settings.aspect === 'string') {
+            const preset = ASPECT_PRESETS[settings.aspect] || ASPECT_PRESETS.full;
+            this.aspectRatio = { w: preset.w, h: preset.h };
+        }
+        const { width, height } = this.getExportSizeForAspect(this.aspectRatio);
+        this.exportWidth = width;
+        this.exportHeight = height;
+    }
+
+    // Turn a batch job ({ aspect, format } or { aspect: 'custom', width, height, format })
+    // into concrete export settings.
+    resolveBatchJob(job) {
+        const format = EXPORT_FORMATS.includes(job.format) ? job.format : 'webm';
+
+        if (job.aspect === 'custom') {
+            const width = Math.max(2, Math.round(Number(job.width) / 2) * 2 || 0);
+            const height = Math.max(2, Math.round(Number(job.height) / 2) * 2 || 0);
+            const maxSize = this.renderer.getMaxRenderSize();
+            const output = this.getOutputSize(width, height);
+            if (output.width > maxSize || output.height > maxSize) {
+                throw new Error(`Custom size ${output.width}x${output.height} exceeds the GPU limit of ${maxSize}px`);
+            }
+            return { format, aspectRatio: { w: width, h: height }, width, height, label: `${width}x${height}` };
+        }
+
+        const preset = ASPECT_PRESETS[job.aspect];
+        if (!preset) {
+            throw new Error(`Unknown aspect preset "${job.aspect}"`);
+        }
+
+        const aspectRatio = preset.w > 0 ? { w: preset.w, h: preset.h } : { w: 0, h: 0 };
+        const { width, height } = this.getExportSizeForAspect(aspectRatio);
+        const label = preset.w > 0 ? `${preset.w}x${preset.h}` : 'full';
+        return { format, aspectRatio, width, height, label };
+    }
+
+    // Run export jobs back to back. Every job starts from the same camera state, and
+    // resetLoopToStartPose() inside startRecording() gives each one the same start pose.
+    // delivery: 'individual' downloads each file; 'zip' downloads one archive at the end.
+    async runBatch(jobs, { delivery = 'individual', signal, onProgress } = {}) {
+        if (this.isRecording || this.isBatchRunning) return;
+        const resolved = jobs.map((job) => this.resolveBatchJob(job));
+        if (resolved.length === 0) {
+            throw new Error('The export queue is empty');
+        }
+
+        const saved = {
+            aspectRatio: this.aspectRatio,
+            exportWidth: this.exportWidth,
+            exportHeight: this.exportHeight,
+            format: this.format
+        };
+        const baseState = this.state.snapshot();
+        const baseMotionTime = this.motion.time;
+        const zip = delivery === 'zip' ? new ZipWriter() : null;
+        const usedNames = new Set();
+
+        this.isBatchRunning = true;
+        try {
+            for (let index = 0; index < resolved.length; index++) {
+                throwIfAborted(signal);
+                const job = resolved[index];
+
+                this.state.restore(baseState);
+                this.motion.time = baseMotionTime;
+                this.aspectRatio = job.aspectRatio;
+                this.exportWidth = job.width;
+                this.exportHeight = job.height;
+                this.format = job.format;
+
+                const results = [];
+                await this.startRecording((progress) => {
+                    if (onProgress) onProgress({ ...progress, jobIndex: index, jobCount: resolved.length, job });
+                }, {
+                    signal,
+                    onResult: (blob, extension) => results.push({ blob, extension })
+                });
+
+                const tag = this.getQuiltTag();
+                for (const { blob, extension } of results) {
+                    let name = `depthflow-${job.label}-${job.format}${tag}.${extension}`;
+                    for (let n = 2; usedNames.has(name); n++) {
+                        name = `depthflow-${job.label}-${job.format}-${n}${tag}.${extension}`;
+                    }
+                    usedNames.add(name);
+
+                    if (zip) {
+                        await zip.addBlob(name, blob);
+                    } else {
+                        this.downloadBlob(blob, name);
+                    }
+                }
+            }
+
+            throwIfAborted(signal);
+            if (zip) {
+                this.downloadBlob(zip.finalize(), 'depthflow-batch.zip');
+            }
+        } finally {
+            this.isBatchRunning = false;
+            this.aspectRatio = saved.aspectRatio;
+            this.exportWidth = saved.exportWidth;
+            this.exportHeight = saved.exportHeight;
+            this.format = saved.format;
+            this.state.restore(baseState);
+            this.motion.time = baseMotionTime;
+            this.state._lastTime = performance.now();
+        }
+    }
+
+    // Export frame size for a still whose long side is `longSide` pixels, using the crop aspect.
+    // In stereo this is one eye; see getOutputSize().
+    getStillSize(longSide) {
+        let ratio;
+        if (this.aspectRatio && this.aspectRatio.w > 0 && this.aspectRatio.h > 0) {
+            ratio = this.aspectRatio.w / this.aspectRatio.h;
+        } else {
+            const canvas = this.renderer.getCanvasSize();
+            ratio = canvas.width / Math.max(1, canvas.height);
+        }
+
+        // Full-resolution stereo layouts double one side of the output; quilts scale their views to fit
+        const doubled = this.renderer.getQuiltLayout() ? { width: 1, height: 1 } : stereoFrameSize(this.state.stereoMode, 1, 1);
+        const maxSize = Math.floor(this.renderer.getMaxRenderSize() / Math.max(doubled.width, doubled.height));
+        const size = Math.max(1, Math.min(maxSize, Math.round(longSide) || maxSize));
+        return ratio >= 1
+            ? { width: size, height: Math.max(1, Math.round(size / ratio)) }
+            : { width: Math.max(1, Math.round(size * ratio)), height: size };
+    }
+
+    // Pose the camera as the offline export would at `timeSec` into the loop.
+    // Stepping at the export frame rate makes the still match that export frame exactly.
+    poseAtTime(timeSec) {
+        const fps = this.getExportFps();
+        const frames = Math.max(0, Math.round(timeSec * fps));
+
+        this.resetLoopToStartPose();
+        for (let i = 0; i < frames; i++) {
+            this.stepOfflineFrame(1 / fps);
+        }
+    }
+
+    async saveStill({ longSide, ssaa = 1, format = 'png', quality = 0.95, timeSec = null }) {
+        if (this.isRecording) return;
+        await this.renderer.waitForLayers();
+
+        const target = STILL_FORMATS[format] || STILL_FORMATS.png;
+        const still = this.getStillSize(longSide);
+        const { width, height } = this.getOutputSize(still.width, still.height);
+        const alpha = format !== 'jpeg' && this.renderer.hasAlphaOutput();
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        const ctx = canvas.getContext('2d', { alpha });
+        if (!ctx) {
+            throw new Error('Could not create still image context');
+        }
+
+        const savedState = this.state.snapshot();
+        const savedMotion = { time: this.motion.time, running: this.motion.running };
+        const posed = Number.isFinite(timeSec) && this.motion.preset !== 'none';
+
+        try {
+            if (posed) {
+                this.poseAtTime(timeSec);
+            }
+            ctx.putImageData(await this.renderer.renderExportFrame(width, height, {
+                ...this.getStillSampling(width, height, ssaa),
+                alpha
+            }), 0, 0);
+        } finally {
+            if (posed) {
+                this.state.restore(savedState);
+                this.motion.time = savedMotion.time;
+                this.motion.running = savedMotion.running;
+                this.state._lastTime = performance.now();
+            }
+            this.renderer.releaseExportTarget();
+        }
+
+        const blob = await new Promise((resolve, reject) => {
+            canvas.toBlob(
+                (result) => (result ? resolve(result) : reject(new Error('Could not encode still image'))),
+                target.mimeType,
+                format === 'png' ? undefined : quality
+            );
+        });
+
+        // Browsers without a WebP encoder silently return PNG; name the file after what we got.
+        const actual = Object.values(STILL_FORMATS).find((entry) => entry.mimeType === blob.type) || STILL_FORMATS.png;
+        this.downloadBlob(blob, `depthflow-still${this.getQuiltTag(still.width, still.height)}.${actual.extension}`);
+        return { width, height, mimeType: blob.type };
+    }
+
+    // Supersampling for a still. The shader's SSAA loop runs ssaa² ray marches per
+    // pixel in one draw, so with accumulation available the still takes at least
+    // ssaa² jittered samples instead, each its own draw with one march per pixel.
+    // Otherwise the shader loop is capped to what one draw can afford at this size.
+    getStillSampling(width, height, ssaa) {
+        if (this.renderer.colorBufferFloat) {
+            const samples = Math.max(this.renderer.getAccumulationSamples(), ssaa * ssaa);
+            return { ssaa: 1, samples: Math.min(MAX_ACCUMULATION_SAMPLES, samples) };
+        }
+
+        const affordable = Math.floor(Math.sqrt(MAX_STILL_DRAW_MARCHES / (width * height)));
+        return { ssaa: Math.max(1, Math.min(ssaa, affordable)), samples: 1 };
+    }
+
     downloadBlob(blob, filename) {
         const url = URL.createObjectURL(blob);
         const a = document.createElement('a');
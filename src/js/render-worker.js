@@ -0,0 +1,127 @@
+// Runs the Renderer on an OffscreenCanvas transferred from the page, so drawing
+// and depth processing don't compete with the UI for the main thread. The page
+// talks to it through WorkerRenderer (worker-renderer.js): it posts State
+// snapshots and calls Renderer methods; this side draws them in its own frame
+// loop and refines idle frames. Runs as a module worker.
+
+import { Renderer } from './renderer.js';
+import { State } from './state.js';
+
+// Renderer methods WorkerRenderer may call
+const CALLS = new Set([
+    'loadImage', 'loadDepth', 'loadDepthMap', 'loadLayer', 'loadAlphaMask',
+    'clearAlphaMask', 'clearUploadedLayers', 'setLut', 'clearLut',
+    'renderExportFrame', 'releaseExportTarget', 'waitForLayers', 'simulateContextLoss'
+]);
+
+// Same idle delay as the page's loop before refining starts
+const IDLE_MS = 100;
+
+const state = new State();
+let renderer = null;
+let ready = false;  // set once init() has built the programs
+// Autozoom needs camera poses over the whole motion cycle, which only the page can sample
+let cyclePoses = [];
+let dirty = false;
+let lastChange = 0;
+let frameId = null;
+
+const nextFrame = typeof self.requestAnimationFrame === 'function'
+    ? (callback) => self.requestAnimationFrame(callback)
+    : (callback) => setTimeout(callback, 16);
+
+function markDirty() {
+    dirty = true;
+    lastChange = performance.now();
+    requestFrame();
+}
+
+function requestFrame() {
+    if (frameId !== null || !ready) return;
+    frameId = nextFrame(drawFrame);
+}
+
+// Draw new state right away; once it has settled, add refinement samples until
+// the renderer has all it wants, then stop until the next change
+function drawFrame() {
+    frameId = null;
+    if (renderer.isContextLost()) return;
+
+    const idle = !dirty && performance.now() - lastChange > IDLE_MS;
+    if (idle && !renderer.isRefining()) return;
+    if (dirty || idle) {
+        dirty = false;
+        renderer.render({ refine: idle });
+    }
+    requestFrame();
+}
+
+function reply(id, value, transfer = []) {
+    self.postMessage({ type: 'result', id, value }, transfer);
+}
+
+function replyError(id, err) {
+    self.postMessage({ type: 'result', id, error: { name: err.name, message: err.message } });
+}
+
+async function init({ canvas, size }) {
+    renderer = new Renderer(canvas, state);
+    await renderer.init({ observeSize: false });
+    renderer.setCanvasSize(size.width, size.height, size.dpr);
+
+    renderer.getCyclePoses = () => cyclePoses;
+    renderer.onLayersReady = () => {
+        markDirty();
+        self.postMessage({ type: 'layers-ready' });
+    };
+    renderer.onContextLost = () => self.postMessage({ type: 'context-lost' });
+    renderer.onContextRestored = (err) => {
+        self.postMessage({ type: 'context-restored', error: err ? err.message : null });
+        if (!err) markDirty();
+    };
+
+    ready = true;
+    markDirty();
+    return {
+        gpuEdgeFix: renderer.gpuEdgeFix,
+        colorBufferFloat: renderer.colorBufferFloat,
+        contextAlpha: renderer.contextAlpha,
+        maxRenderSize: renderer.getMaxRenderSize()
+    };
+}
+
+async function call(id, method, args) {
+    if (!CALLS.has(method)) {
+        throw new Error(`Unknown renderer call: ${method}`);
+    }
+
+    const value = await renderer[method](...args);
+    // Export frames are large; hand their pixels over instead of copying them
+    reply(id, value, value instanceof ImageData ? [value.data.buffer] : []);
+}
+
+self.onmessage = (event) => {
+    const message = event.data;
+
+    switch (message.type) {
+        case 'state':
+            state.restore(message.state);
+            if (message.poses) cyclePoses = message.poses;
+            if (message.draw) markDirty();
+            break;
+
+        case 'resize':
+            renderer.setCanvasSize(message.width, message.height, message.dpr);
+            markDirty();
+            break;
+
+        case 'init':
+            state.restore(message.state);
+            init(message).then((value) => reply(message.id, value), (err) => replyError(message.id, err));
+            break;
+
+        case 'call':
+            call(message.id, message.method, message.args).catch((err) => replyError(message.id, err));
+            break;
+    }
+};
@@ -1,3 +1,155 @@
+import { createAbortError, isAbortError } from './abort.js';
+import { createCanvas } from './canvas.js';
+import { fillZoomFactor } from './coverage.js';
+import { decodeDepthBlob, depthMapToImageData } from './depth-map.js';
+import { Inpainter, INPAINT_MAX_SIZE } from './inpaint.js';
+
+// Layer slots in fragment.glsl, front to back
+export const MAX_LAYERS = 3;
+
+// How rays that leave the image are shaded; the index is the mode id in fragment.glsl.
+// 'autozoom' zooms in until the frame stays covered and clamps anything left over.
+export const EDGE_MODES = ['mirror', 'clamp', 'blur', 'color', 'transparent', 'autozoom'];
+
+// Stereo layouts; the index is the layout id in stereo.glsl. Full-resolution layouts
+// ('sbs-full', 'top-bottom') double the frame, the others keep its size.
+export const STEREO_MODES = ['off', 'anaglyph', 'sbs-full', 'sbs-half', 'top-bottom'];
+
+// Shader debug views for dev mode; the index is uDebugMode in fragment.glsl
+export const DEBUG_MODES = ['off', 'depth-raw', 'depth', 'steps', 'hits', 'edges', 'planes'];
+
+// Size of the composed frame for eye frames of width x height
+export function stereoFrameSize(mode, width, height) {
+    if (mode === 'sbs-full') return { width: width * 2, height };
+    if (mode === 'top-bottom') return { width, height: height * 2 };
+    return { width, height };
+}
+
+// Eye frame size inside a composed frame; half-width eyes render at full size and get squeezed
+function stereoEyeSize(mode, width, height) {
+    if (mode === 'sbs-full') return { width: Math.max(1, Math.floor(width / 2)), height };
+    if (mode === 'top-bottom') return { width, height: Math.max(1, Math.floor(height / 2)) };
+    return { width, height };
+}
+
+// Jittered samples per export frame (and for idle refinement of the preview)
+export const MAX_ACCUMULATION_SAMPLES = 64;
+
+// Post effects the stack can run; the index is the effect id in post.glsl.
+export const POST_EFFECTS = ['vignette', 'grain', 'grade', 'lut', 'chromatic', 'sharpen'];
+
+// Drawing buffer size for a canvas element's layout size; the pixel ratio is
+// capped, since the ray march cost grows with every pixel
+export function measureCanvas(canvas) {
+    const dpr = Math.min(window.devicePixelRatio || 1, 1.5);
+    return {
+        width: Math.max(1, Math.round(canvas.clientWidth * dpr)),
+        height: Math.max(1, Math.round(canvas.clientHeight * dpr)),
+        dpr
+    };
+}
+
+// Keep horizontal framing stable across viewport-aspect changes. Returns the
+// aspect to pass as prevAspect next time (0 = none yet).
+export function keepFraming(state, prevAspect, nextAspect) {
+    if (prevAspect > 0 && Math.abs(nextAspect - prevAspect) > 1e-6) {
+        const ratio = nextAspect / prevAspect;
+        state.centerX *= ratio;
+        state.originX *= ratio;
+        state.offsetX *= ratio;
+        state._targetOffsetX *= ratio;
+    }
+    return nextAspect;
+}
+
+// The transparent edge mode is alpha output without a cutoff or mask
+export function hasAlphaOutput(state) {
+    return state.alphaOutput || state.edgeMode === 'transparent';
+}
+
+// Quilt grid while quilt output is on (it replaces any stereo layout), or null
+export function getQuiltLayout(state) {
+    if (!state.quiltEnabled) return null;
+    return {
+        columns: Math.max(1, Math.round(state.quiltColumns)),
+        rows: Math.max(1, Math.round(state.quiltRows))
+    };
+}
+
+// Accumulation needs float render targets; without them every frame is one sample
+export function getAccumulationSamples(state, colorBufferFloat) {
+    if (!colorBufferFloat) return 1;
+    return Math.min(MAX_ACCUMULATION_SAMPLES, Math.max(1, Math.round(state.accumulationSamples)));
+}
+
+// '#rrggbb' to 0-1 floats; anything else is black
+function hexToRgb(hex) {
+    const match = /^#([0-9a-f]{6})$/i.exec(hex || '');
+    if (!match) return [0, 0, 0];
+    const value = parseInt(match[1], 16);
+    return [(value >> 16) / 255, ((value >> 8) & 255) / 255, (value & 255) / 255];
+}
+
+// Thrown for work that needs the GPU while the context is lost or being rebuilt
+export function createContextLostError() {
+    const err = new Error('The WebGL context was lost');
+    err.name = 'ContextLostError';
+    return err;
+}
+
+export function isContextLostError(err) {
+    return Boolean(err) && err.name === 'ContextLostError';
+}
+
+function halton(index, base) {
+    let result = 0;
+    let fraction = 1 / base;
+    for (let i = index; i > 0; i = Math.floor(i / base)) {
+        result += fraction * (i % base);
+        fraction /= base;
+    }
+    return result;
+}
+
+// Sub-pixel offset of accumulated sample i in pixels, a Halton (2, 3) sequence
+// centered on the pixel. Sample 0 is unshifted, matching a plain frame.
+function sampleJitter(index) {
+    if (index === 0) return [0, 0];
+    return [halton(index, 2) - 0.5, halton(index, 3) - 0.5];
+}
+
+// One axis of the CPU edge fix, matching edge-fix.glsl: a max filter, or a
+// gaussian when smooth is set, with taps clamped to the map's edges
+function filterDepthAxis(src, width, height, radius, horizontal, smooth) {
+    const dst = new Float32Array(width * height);
+    const sigma = Math.max(radius * 0.5, 0.5);
+    const weights = [];
+    for (let i = -radius; i <= radius; i++) {
+        weights.push(Math.exp(-(i * i) / (2 * sigma * sigma)));
+    }
+
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            let result = 0;
+            let totalWeight = 0;
+            for (let i = -radius; i <= radius; i++) {
+                const tx = horizontal ? Math.min(width - 1, Math.max(0, x + i)) : x;
+                const ty = horizontal ? y : Math.min(height - 1, Math.max(0, y + i));
+                const v = src[ty * width + tx];
+                if (smooth) {
+                    result += v * weights[i + radius];
+                    totalWeight += weights[i + radius];
+                } else if (v > result) {
+                    result = v;
+                }
+            }
+            dst[y * width + x] = smooth ? result / totalWeight : result;
+        }
+    }
+
+    return dst;
+}
+
 export class Renderer {
     constructor(canvas, state) {
         this.canvas = canvas;
@@ -5,21 +157,106 @@ export class Renderer {
         this.gl = null;
         this.program = null;
         this.uniforms = {};
-        this.textures = { image: null, depth: null };
+        this.dofProgram = null;
+        this.dofUniforms = {};
+        this.postProgram = null;
+        this.postUniforms = {};
+        this.stereoProgram = null;
+        this.stereoUniforms = {};
+        this.edgeFixProgram = null;
+        this.edgeFixUniforms = {};
+        this.pyramidProgram = null;
+        this.pyramidUniforms = {};
+        this.accumulateProgram = null;
+        this.accumulateUniforms = {};
+        this.textures = { image: null, depth: null, imageBackground: null, depthBackground: null, lut: null, alphaMask: null, depthRaw: null };
+        this.lut = null;
         this.imageAspect = 1.0;
 
-        // Store original depth for edge fix processing
+        // Sources of uploaded textures, to upload them again after a context loss
+        this.shaderSources = null;
+        this.imageBlob = null;
+        this.alphaMaskBlob = null;
+        this.lutSource = null;
+        this.layerBlobs = Array.from({ length: MAX_LAYERS }, () => ({ image: null, depth: null }));
+
+        // Set from webglcontextlost until every resource has been rebuilt
+        this.contextLost = false;
+        this.contextRestored = null;    // promise for whenContextRestored()
+        this.resolveContextRestored = null;
+        this.rejectContextRestored = null;
+        this.onContextLost = null;
+        this.onContextRestored = null;  // (err) => ...; err is set when the rebuild failed
+
+        // Undilated float depth map (see depth-map.js), kept for edge fix processing
         this.originalDepth = null;
-        this.lastEdgeFix = -1;
+        this.floatDepthLinear = false;
+        this.edgeFixKey = '';       // depth version and settings the depth texture was built from
+        this.gpuEdgeFix = false;
+        this.edgeFixTargets = null; // [scratch, result]; textures.depth is the result's texture
+        this.colorBufferFloat = false;
+        // Max/min mip chain of textures.depth for the hierarchical marcher, rebuilt after each edge fix
+        this.depthPyramid = null;
+        this.depthPyramidStale = true;
+        this.rawDepthVersion = -1;  // depthVersion last uploaded to textures.depthRaw
+
+        // Inpainted background layer, rebuilt in a worker whenever the image,
+        // depth or invert blend changes. Sampled where rays hit a depth edge.
+        this.inpainter = Inpainter.isSupported() ? new Inpainter(new URL('inpaint-worker.js', import.meta.url)) : null;
+        this.inpaintImage = null;
+        this.imageVersion = 0;
+        this.depthVersion = 0;
+        this.backgroundKey = '';
+        this.hasBackground = false;
+        this.layerJobs = new Set();
+        this.onLayersReady = null;
+
+        // () => camera poses over one motion cycle, for the 'autozoom' edge mode
+        this.getCyclePoses = null;
+
+        // Front-to-back RGBD layers: cut from the depth map by the worker, or uploaded
+        this.splitLayers = [];
+        this.splitLayersKey = '';
+        this.uploadedLayers = Array.from({ length: MAX_LAYERS }, () => ({ image: null, depth: null }));
+
+        // Whether the canvas itself can show transparency; fixed when the context is created
+        this.contextAlpha = false;
+
         this.dpr = 1;
         this.resizeObserver = null;
         this.lastAspect = 0;
+
+        // getEdgeZoomFactor() of the frame being drawn; it is the same for every
+        // view and sample of a frame, and sampling the motion cycle isn't cheap
+        this.frameEdgeZoom = 1;
+
+        // Offscreen framebuffer used for exports at their native resolution
+        this.exportTarget = null;
+
+        // Ping-pong buffers for post passes, one pair per output so preview
+        // and export frames don't keep reallocating each other's
+        this.sceneTargets = { canvas: [null, null], export: [null, null] };
+        // Left and right eye views in stereo modes (or the current quilt view),
+        // composed into the output afterwards
+        this.eyeTargets = { canvas: [null, null], export: [null, null] };
+        // Float sums of jittered samples, averaged before the post stack
+        this.accumulationTargets = { canvas: [null], export: [null] };
+
+        // Samples accumulated into the canvas while the view is idle, and the
+        // canvas size they were rendered at
+        this.refineSamples = 0;
+        this.refineSize = '';
     }
 
-    async init() {
+    // observeSize: false for an OffscreenCanvas in the render worker, which is
+    // sized through setCanvasSize() instead of following its element
+    async init({ observeSize = true } = {}) {
+        // Shaders write straight alpha, so the page must not treat it as premultiplied
+        this.contextAlpha = this.hasAlphaOutput();
         this.gl = this.canvas.getContext('webgl2', {
             antialias: false,
-            alpha: false,
+            alpha: this.contextAlpha,
+            premultipliedAlpha: false,
             preserveDrawingBuffer: false
         });
 
@@ -27,25 +264,164 @@ export class Renderer {
             throw new Error('WebGL 2.0 not supported');
         }
 
-        const [vertSrc, fragSrc] = await Promise.all([
-            fetch('src/shaders/vertex.glsl').then(r => r.text()),
-            fetch('src/shaders/fragment.glsl').then(r => r.text())
+        // Resolved against this module, so they also load in the render worker
+        this.shaderSources = await Promise.all([
+            fetch(new URL('../shaders/vertex.glsl', import.meta.url)).then(r => r.text()),
+            fetch(new URL('../shaders/fragment.glsl', import.meta.url)).then(r => r.text()),
+            fetch(new URL('../shaders/dof.glsl', import.meta.url)).then(r => r.text()),
+            fetch(new URL('../shaders/post.glsl', import.meta.url)).then(r => r.text()),
+            fetch(new URL('../shaders/stereo.glsl', import.meta.url)).then(r => r.text()),
+            fetch(new URL('../shaders/edge-fix.glsl', import.meta.url)).then(r => r.text()),
+            fetch(new URL('../shaders/depth-pyramid.glsl', import.meta.url)).then(r => r.text()),
+            fetch(new URL('../shaders/accumulate.glsl', import.meta.url)).then(r => r.text())
         ]);
+        this.setupContext();
+
+        // Without preventDefault() the browser never restores a lost context
+        this.canvas.addEventListener('webglcontextlost', (e) => {
+            e.preventDefault();
+            this.handleContextLost();
+        });
+        this.canvas.addEventListener('webglcontextrestored', () => this.handleContextRestored());
+
+        if (!observeSize) return;
+        this.resize();
+        if (typeof ResizeObserver !== 'undefined') {
+            this.resizeObserver = new ResizeObserver(() => this.resize());
+            this.resizeObserver.observe(this.canvas);
+        }
+        window.addEventListener('resize', () => this.resize());
+    }
+
+    // Programs, extensions and placeholder textures for a new (or restored) context
+    setupContext() {
+        const [vertSrc, fragSrc, dofSrc, postSrc, stereoSrc, edgeFixSrc, pyramidSrc, accumulateSrc] = this.shaderSources;
 
         this.program = this.createProgram(vertSrc, fragSrc);
+        this.dofProgram = this.createProgram(vertSrc, dofSrc);
+        this.postProgram = this.createProgram(vertSrc, postSrc);
+        this.stereoProgram = this.createProgram(vertSrc, stereoSrc);
+        this.edgeFixProgram = this.createProgram(vertSrc, edgeFixSrc);
+        this.pyramidProgram = this.createProgram(vertSrc, pyramidSrc);
+        this.accumulateProgram = this.createProgram(vertSrc, accumulateSrc);
         this.gl.useProgram(this.program);
         this.gl.clearColor(0, 0, 0, 1);
 
+        // R32F depth only filters linearly with this extension; R16F always does
+        this.floatDepthLinear = Boolean(this.gl.getExtension('OES_texture_float_linear'));
+        // The GPU edge fix, the depth pyramid and sample accumulation render into float
+        // targets. Without them the edge fix runs on the CPU, rays march linearly and
+        // frames aren't accumulated.
+        this.colorBufferFloat = Boolean(this.gl.getExtension('EXT_color_buffer_float'));
+        this.gpuEdgeFix = this.colorBufferFloat;
+
         this.cacheUniformLocations();
         this.createQuad();
         this.createPlaceholderTextures();
+    }
 
-        this.resize();
-        if (typeof ResizeObserver !== 'undefined') {
-            this.resizeObserver = new ResizeObserver(() => this.resize());
-            this.resizeObserver.observe(this.canvas);
+    isContextLost() {
+        return this.contextLost || (this.gl !== null && this.gl.isContextLost());
+    }
+
+    // Resolves once a lost context has been restored and rebuilt, and rejects with
+    // the error if the rebuild failed
+    whenContextRestored() {
+        if (!this.isContextLost()) return Promise.resolve();
+        if (!this.contextRestored) {
+            this.contextRestored = new Promise((resolve, reject) => {
+                this.resolveContextRestored = resolve;
+                this.rejectContextRestored = reject;
+            });
+            // Not every loss has someone waiting on it
+            this.contextRestored.catch(() => {});
+        }
+        return this.contextRestored;
+    }
+
+    // Every GPU object died with the context. Drop them all, and reset the keys
+    // of derived ones so they are rebuilt on the first frame after the restore.
+    handleContextLost() {
+        this.contextLost = true;
+        // A failed rebuild left its rejected promise behind; this loss gets a new one
+        if (!this.resolveContextRestored) this.contextRestored = null;
+        this.whenContextRestored();
+
+        this.textures = { image: null, depth: null, imageBackground: null, depthBackground: null, lut: null, alphaMask: null, depthRaw: null };
+        this.lut = null;
+        this.edgeFixKey = '';
+        this.edgeFixTargets = null;
+        this.depthPyramid = null;
+        this.depthPyramidStale = true;
+        this.rawDepthVersion = -1;
+        this.backgroundKey = '';
+        this.hasBackground = false;
+        this.splitLayers = [];
+        this.splitLayersKey = '';
+        for (const slot of this.uploadedLayers) {
+            slot.image = null;
+            slot.depth = null;
+        }
+
+        this.exportTarget = null;
+        this.sceneTargets = { canvas: [null, null], export: [null, null] };
+        this.eyeTargets = { canvas: [null, null], export: [null, null] };
+        this.accumulationTargets = { canvas: [null], export: [null] };
+        this.refineSamples = 0;
+
+        if (this.onContextLost) this.onContextLost();
+    }
+
+    async handleContextRestored() {
+        let failure = null;
+        try {
+            this.setupContext();
+            this.gl.viewport(0, 0, this.canvas.width, this.canvas.height);
+            await this.restoreTextures();
+        } catch (err) {
+            console.error('Could not restore the WebGL context:', err);
+            failure = err;
+        }
+
+        // Lost again while rebuilding: the next webglcontextrestored starts over
+        if (this.gl.isContextLost()) return;
+        if (failure) {
+            // The rejected promise stays, so later waiters fail too instead of hanging
+            if (this.rejectContextRestored) this.rejectContextRestored(failure);
+            this.resolveContextRestored = null;
+            this.rejectContextRestored = null;
+            if (this.onContextRestored) this.onContextRestored(failure);
+            return;
+        }
+
+        this.contextLost = false;
+        if (this.resolveContextRestored) this.resolveContextRestored();
+        this.contextRestored = null;
+        this.resolveContextRestored = null;
+        this.rejectContextRestored = null;
+        if (this.onContextRestored) this.onContextRestored(null);
+    }
+
+    // The depth texture, its pyramid and the worker-built layers follow from
+    // originalDepth and the reset keys; everything uploaded is uploaded again.
+    async restoreTextures() {
+        if (this.imageBlob) {
+            this.textures.image = await this.createTextureFromBlob(this.imageBlob);
+        }
+        if (this.alphaMaskBlob) {
+            this.textures.alphaMask = await this.createTextureFromBlob(this.alphaMaskBlob);
+        }
+        if (this.lutSource) {
+            this.setLut(this.lutSource);
+        }
+        for (let i = 0; i < MAX_LAYERS; i++) {
+            for (const kind of ['image', 'depth']) {
+                const blob = this.layerBlobs[i][kind];
+                if (blob) {
+                    this.uploadedLayers[i][kind] = await this.createTextureFromBlob(blob);
+                }
+            }
         }
-        window.addEventListener('resize', () => this.resize());
     }
 
     createProgram(vertSrc, fragSrc) {
@@ -68,6 +444,8 @@ export class Renderer {
         const program = gl.createProgram();
         gl.attachShader(program, vertShader);
         gl.attachShader(program, fragShader);
+        // Every program shares the fullscreen triangle at attribute 0.
+        gl.bindAttribLocation(program, 0, 'aPosition');
         gl.linkProgram(program);
 
         if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
@@ -80,15 +458,56 @@ export class Renderer {
     cacheUniformLocations() {
         const gl = this.gl;
         const names = [
-            'uImage', 'uDepth', 'uResolution', 'uImageAspect',
+            'uImage', 'uDepth', 'uResolution', 'uFrameScale', 'uImageAspect',
             'uHeight', 'uSteady', 'uFocus', 'uZoom', 'uIsometric',
-            'uDolly', 'uInvert', 'uMirror', 'uQuality',
-            'uOffset', 'uCenter', 'uOrigin', 'uSSAA'
+            'uDolly', 'uInvert', 'uEdgeMode', 'uEdgeColor', 'uQuality',
+            'uOffset', 'uCenter', 'uOrigin', 'uSSAA', 'uDepthAlpha',
+            'uImageBackground', 'uDepthBackground', 'uInpaint', 'uLayerCount',
+            'uLayerImage0', 'uLayerDepth0', 'uLayerImage1', 'uLayerDepth1', 'uLayerImage2', 'uLayerDepth2',
+            'uAlphaOutput', 'uDepthCutoff', 'uAlphaMask', 'uHasAlphaMask',
+            'uDebugMode', 'uDepthRaw', 'uDepthPyramid', 'uHierarchical', 'uPyramidLevels',
+            'uJitter'
         ];
 
         for (const name of names) {
             this.uniforms[name] = gl.getUniformLocation(this.program, name);
         }
+
+        const dofNames = [
+            'uScene', 'uCoverage', 'uResolution', 'uFrameScale',
+            'uFocalDepth', 'uAperture', 'uBokehBlades'
+        ];
+
+        for (const name of dofNames) {
+            this.dofUniforms[name] = gl.getUniformLocation(this.dofProgram, name);
+        }
+
+        const postNames = [
+            'uSource', 'uLut', 'uResolution', 'uEffect',
+            'uVignetteAmount', 'uVignetteSoftness', 'uGrainAmount', 'uGrainSize', 'uGrainSeed',
+            'uLift', 'uGamma', 'uGain', 'uLutStrength', 'uLutSize', 'uLutDomainMin', 'uLutDomainMax',
+            'uChromaticAmount', 'uSharpenAmount'
+        ];
+
+        for (const name of postNames) {
+            this.postUniforms[name] = gl.getUniformLocation(this.postProgram, name);
+        }
+
+        for (const name of ['uLeft', 'uRight', 'uLayout']) {
+            this.stereoUniforms[name] = gl.getUniformLocation(this.stereoProgram, name);
+        }
+
+        for (const name of ['uSource', 'uDirection', 'uRadius', 'uSmooth']) {
+            this.edgeFixUniforms[name] = gl.getUniformLocation(this.edgeFixProgram, name);
+        }
+
+        for (const name of ['uSource', 'uFromDepth']) {
+            this.pyramidUniforms[name] = gl.getUniformLocation(this.pyramidProgram, name);
+        }
+
+        for (const name of ['uSource', 'uResolve', 'uSampleCount']) {
+            this.accumulateUniforms[name] = gl.getUniformLocation(this.accumulateProgram, name);
+        }
     }
 
     createQuad() {
@@ -101,16 +520,15 @@ export class Renderer {
         gl.bindBuffer(gl.ARRAY_BUFFER, vbo);
         gl.bufferData(gl.ARRAY_BUFFER, vertices, gl.STATIC_DRAW);
 
-        const posLoc = gl.getAttribLocation(this.program, 'aPosition');
-        gl.enableVertexAttribArray(posLoc);
-        gl.vertexAttribPointer(posLoc, 2, gl.FLOAT, false, 0, 0);
+        gl.enableVertexAttribArray(0);
+        gl.vertexAttribPointer(0, 2, gl.FLOAT, false, 0, 0);
     }
 
     createPlaceholderTextures() {
         const gl = this.gl;
         const placeholder = new Uint8Array([128, 128, 128, 255]);
 
-        for (const key of ['image', 'depth']) {
+        for (const key of ['image', 'depth', 'imageBackground', 'depthBackground', 'depthRaw']) {
             const tex = gl.createTexture();
             gl.bindTexture(gl.TEXTURE_2D, tex);
             gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, 1, 1, 0, gl.RGBA, gl.UNSIGNED_BYTE, placeholder);
@@ -125,132 +543,460 @@ export class Renderer {
         try {
             this.imageAspect = img.width / img.height;
             this.uploadTexture('image', img);
+            this.imageBlob = blob;
+
+            // Keep a small copy for the inpainting worker; the bitmap is closed below
+            const scale = Math.min(1, INPAINT_MAX_SIZE / Math.max(img.width, img.height));
+            const canvas = createCanvas(Math.max(1, Math.round(img.width * scale)), Math.max(1, Math.round(img.height * scale)));
+            canvas.getContext('2d').drawImage(img, 0, 0, canvas.width, canvas.height);
+            this.inpaintImage = canvas;
+            this.imageVersion++;
+
             return { width: img.width, height: img.height };
         } finally {
             img.close();
         }
     }
 
+    // 16-bit PNGs keep their full precision; other formats load at 8 bits
     async loadDepth(blob) {
-        const img = await createImageBitmap(blob);
-        try {
-            // Convert to ImageData for storage and processing
-            const canvas = document.createElement('canvas');
-            canvas.width = img.width;
-            canvas.height = img.height;
-            const ctx = canvas.getContext('2d');
-            ctx.drawImage(img, 0, 0);
-            this.originalDepth = ctx.getImageData(0, 0, img.width, img.height);
-            this.lastEdgeFix = -1;  // Force reprocess
-
-            this.applyEdgeFix();
-        } finally {
-            img.close();
-        }
+        this.loadDepthMap(await decodeDepthBlob(blob));
     }
 
-    loadDepthFromImageData(imageData) {
+    loadDepthMap(depthMap) {
         // Store original for edge fix processing
-        this.originalDepth = imageData;
-        this.lastEdgeFix = -1;  // Force reprocess
+        this.originalDepth = depthMap;
+        this.depthVersion++;
 
         this.applyEdgeFix();
     }
 
-    // Apply morphological dilation to depth map (CPU-side edge fix)
+    // Dilate near depth over its edges (edgeFix), then optionally smooth the steps
+    // (edgeFixSmoothing). Runs as GPU passes where float targets are renderable.
     applyEdgeFix() {
-        if (!this.originalDepth) return;
+        if (!this.originalDepth || this.isContextLost()) return;
 
-        const edgeFix = this.state.edgeFix;
-        if (edgeFix === this.lastEdgeFix) return;
-        this.lastEdgeFix = edgeFix;
+        const s = this.state;
+        const key = `${this.depthVersion}|${s.edgeFix}|${s.edgeFixSmoothing}`;
+        if (key === this.edgeFixKey) return;
+        this.edgeFixKey = key;
+        this.depthPyramidStale = true;
 
-        const { width, height, data } = this.originalDepth;
+        const dilateRadius = Math.ceil(s.edgeFix * 10);
+        const smoothRadius = Math.ceil(s.edgeFixSmoothing * 10);
 
-        if (edgeFix <= 0) {
-            this.uploadDepthTexture(this.originalDepth);
-            return;
+        if (this.gpuEdgeFix) {
+            try {
+                this.applyEdgeFixGpu(dilateRadius, smoothRadius);
+                return;
+            } catch (err) {
+                console.warn('GPU edge fix failed, falling back to the CPU:', err);
+                this.gpuEdgeFix = false;
+                this.releaseEdgeFixTargets();
+            }
+        }
+
+        this.applyEdgeFixCpu(dilateRadius, smoothRadius);
+    }
+
+    // Separable passes ping-pong between the scratch and result targets,
+    // always ending in the result, which is textures.depth
+    applyEdgeFixGpu(dilateRadius, smoothRadius) {
+        const { width, height } = this.originalDepth;
+        this.syncRawDepth();
+        const [scratch, result] = this.getEdgeFixTargets(width, height);
+        const u = this.edgeFixUniforms;
+
+        const filter = (source, destination, direction, radius, smooth) => {
+            this.drawPass(this.edgeFixProgram, destination, (gl) => {
+                gl.activeTexture(gl.TEXTURE0);
+                gl.bindTexture(gl.TEXTURE_2D, source);
+                gl.uniform1i(u.uSource, 0);
+                gl.uniform2i(u.uDirection, direction[0], direction[1]);
+                gl.uniform1i(u.uRadius, radius);
+                gl.uniform1i(u.uSmooth, smooth ? 1 : 0);
+            });
+        };
+
+        // Radius 0 is a plain copy
+        filter(this.textures.depthRaw, scratch, [1, 0], dilateRadius, false);
+        filter(scratch.texture, result, [0, 1], dilateRadius, false);
+        if (smoothRadius > 0) {
+            filter(result.texture, scratch, [1, 0], smoothRadius, true);
+            filter(scratch.texture, result, [0, 1], smoothRadius, true);
         }
+    }
 
-        const radius = Math.ceil(edgeFix * 10);
+    getEdgeFixTargets(width, height) {
+        const current = this.edgeFixTargets;
+        if (current && current[0].width === width && current[0].height === height) {
+            return current;
+        }
 
-        // Extract single-channel depth values
-        const src = new Uint8Array(width * height);
-        for (let i = 0; i < width * height; i++) {
-            src[i] = data[i * 4];
+        // The result target replaces whatever depth texture was uploaded before
+        this.releaseEdgeFixTargets();
+        if (this.textures.depth) {
+            this.gl.deleteTexture(this.textures.depth);
+            this.textures.depth = null;
         }
 
-        // Pass 1: Horizontal max
-        const temp = new Uint8Array(width * height);
-        for (let y = 0; y < height; y++) {
-            const row = y * width;
-            for (let x = 0; x < width; x++) {
-                let maxVal = 0;
-                const x0 = Math.max(0, x - radius);
-                const x1 = Math.min(width - 1, x + radius);
-                for (let kx = x0; kx <= x1; kx++) {
-                    const v = src[row + kx];
-                    if (v > maxVal) maxVal = v;
-                }
-                temp[row + x] = maxVal;
+        const scratch = this.createRenderTarget(width, height, { depthMap: true });
+        let result;
+        try {
+            result = this.createRenderTarget(width, height, { depthMap: true });
+        } catch (err) {
+            this.deleteRenderTarget(scratch);
+            throw err;
+        }
+
+        this.edgeFixTargets = [scratch, result];
+        this.textures.depth = result.texture;
+        return this.edgeFixTargets;
+    }
+
+    releaseEdgeFixTargets() {
+        if (!this.edgeFixTargets) return;
+        if (this.textures.depth === this.edgeFixTargets[1].texture) {
+            this.textures.depth = null;
+        }
+        this.edgeFixTargets.forEach((target) => this.deleteRenderTarget(target));
+        this.edgeFixTargets = null;
+    }
+
+    // Fallback: the same separable filters on the main thread
+    applyEdgeFixCpu(dilateRadius, smoothRadius) {
+        const { width, height } = this.originalDepth;
+        let data = this.originalDepth.data;
+
+        if (dilateRadius > 0) {
+            data = filterDepthAxis(data, width, height, dilateRadius, true, false);
+            data = filterDepthAxis(data, width, height, dilateRadius, false, false);
+        }
+        if (smoothRadius > 0) {
+            data = filterDepthAxis(data, width, height, smoothRadius, true, true);
+            data = filterDepthAxis(data, width, height, smoothRadius, false, true);
+        }
+
+        this.uploadDepthTexture({ width, height, data });
+    }
+
+    usesHierarchicalMarch() {
+        return this.state.hierarchicalMarch && this.colorBufferFloat && this.originalDepth !== null;
+    }
+
+    // Rebuild the depth pyramid if the depth texture changed; false when rays march linearly
+    syncDepthPyramid() {
+        if (!this.usesHierarchicalMarch()) return false;
+        if (!this.depthPyramidStale) return true;
+
+        try {
+            this.buildDepthPyramid();
+            this.depthPyramidStale = false;
+            return true;
+        } catch (err) {
+            console.warn('Depth pyramid unavailable, marching linearly:', err);
+            this.colorBufferFloat = false;
+            this.releaseDepthPyramid();
+            return false;
+        }
+    }
+
+    // Level 0 reads textures.depth; each level above reads the one below, which is
+    // made the only sampled level so it isn't also the level being rendered.
+    buildDepthPyramid() {
+        const gl = this.gl;
+        const { width, height } = this.originalDepth;
+        const pyramid = this.getDepthPyramid(width, height);
+        const u = this.pyramidUniforms;
+
+        for (let level = 0; level < pyramid.levels; level++) {
+            const source = level === 0 ? this.textures.depth : pyramid.texture;
+            if (level > 0) {
+                gl.activeTexture(gl.TEXTURE0);
+                gl.bindTexture(gl.TEXTURE_2D, pyramid.texture);
+                gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_BASE_LEVEL, level - 1);
+                gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAX_LEVEL, level - 1);
             }
+
+            const destination = {
+                framebuffer: pyramid.framebuffers[level],
+                width: Math.max(1, width >> level),
+                height: Math.max(1, height >> level)
+            };
+            this.drawPass(this.pyramidProgram, destination, (gl) => {
+                gl.activeTexture(gl.TEXTURE0);
+                gl.bindTexture(gl.TEXTURE_2D, source);
+                gl.uniform1i(u.uSource, 0);
+                gl.uniform1i(u.uFromDepth, level === 0 ? 1 : 0);
+            });
         }
 
-        // Pass 2: Vertical max
-        const dst = new Uint8Array(width * height);
-        for (let x = 0; x < width; x++) {
-            for (let y = 0; y < height; y++) {
-                let maxVal = 0;
-                const y0 = Math.max(0, y - radius);
-                const y1 = Math.min(height - 1, y + radius);
-                for (let ky = y0; ky <= y1; ky++) {
-                    const v = temp[ky * width + x];
-                    if (v > maxVal) maxVal = v;
+        gl.bindTexture(gl.TEXTURE_2D, pyramid.texture);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_BASE_LEVEL, 0);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAX_LEVEL, pyramid.levels - 1);
+    }
+
+    getDepthPyramid(width, height) {
+        const current = this.depthPyramid;
+        if (current && current.width === width && current.height === height) {
+            return current;
+        }
+
+        this.releaseDepthPyramid();
+        const gl = this.gl;
+        const levels = Math.floor(Math.log2(Math.max(width, height))) + 1;
+
+        // RG32F keeps the bounds exact; texelFetch needs no filtering
+        const texture = gl.createTexture();
+        gl.bindTexture(gl.TEXTURE_2D, texture);
+        gl.texStorage2D(gl.TEXTURE_2D, levels, gl.RG32F, width, height);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST_MIPMAP_NEAREST);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+
+        const framebuffers = [];
+        this.depthPyramid = { texture, framebuffers, levels, width, height };
+        for (let level = 0; level < levels; level++) {
+            const framebuffer = gl.createFramebuffer();
+            framebuffers.push(framebuffer);
+            gl.bindFramebuffer(gl.FRAMEBUFFER, framebuffer);
+            gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, texture, level);
+        }
+        gl.bindFramebuffer(gl.FRAMEBUFFER, framebuffers[0]);
+        const status = gl.checkFramebufferStatus(gl.FRAMEBUFFER);
+        gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+
+        if (status !== gl.FRAMEBUFFER_COMPLETE) {
+            throw new Error(`Could not create ${width}x${height} depth pyramid (status 0x${status.toString(16)})`);
+        }
+        return this.depthPyramid;
+    }
+
+    releaseDepthPyramid() {
+        if (!this.depthPyramid) return;
+        this.depthPyramid.framebuffers.forEach((framebuffer) => this.gl.deleteFramebuffer(framebuffer));
+        this.gl.deleteTexture(this.depthPyramid.texture);
+        this.depthPyramid = null;
+        this.depthPyramidStale = true;
+    }
+
+    // Start a background layer rebuild if its inputs changed since the last one
+    syncBackgroundLayer() {
+        // The fill depends on the blended nearness, so any invert change rebuilds it
+        const invert = this.state.invert;
+        const ready = this.state.inpaint && this.inpainter && this.inpaintImage && this.originalDepth;
+        const key = ready ? `${this.imageVersion}|${this.depthVersion}|${invert}` : '';
+        if (key === this.backgroundKey) return;
+
+        this.backgroundKey = key;
+        this.hasBackground = false;
+        if (!key) {
+            if (this.inpainter) this.inpainter.cancel('background');
+            return;
+        }
+
+        this.trackLayerJob(this.buildBackgroundLayer(key, invert).then(({ color, depth }) => {
+            if (this.backgroundKey !== key) return;
+            this.uploadTexture('imageBackground', color);
+            this.uploadTexture('depthBackground', depth);
+            this.hasBackground = true;
+            if (this.onLayersReady) this.onLayersReady();
+        }), 'Background inpainting failed:');
+    }
+
+    async buildBackgroundLayer(key, invert) {
+        const { color, depth } = await this.getInpaintInputs();
+        // A newer rebuild may have started while the bitmap decoded; don't cancel it
+        if (this.backgroundKey !== key) {
+            throw createAbortError('Background layer superseded');
+        }
+        return this.inpainter.run(color, depth, { invert });
+    }
+
+    // Same as syncBackgroundLayer, for the layers cut from the depth map in 'split' mode
+    syncDepthLayers() {
+        const s = this.state;
+        const invert = s.invert;
+        const splits = [s.layerSplitNear, s.layerSplitFar];
+        const ready = s.layerMode === 'split' && this.inpainter && this.inpaintImage && this.originalDepth;
+        const key = ready ? `${this.imageVersion}|${this.depthVersion}|${invert}|${splits.join(',')}` : '';
+        if (key === this.splitLayersKey) return;
+
+        this.splitLayersKey = key;
+        this.deleteLayerTextures(this.splitLayers);
+        this.splitLayers = [];
+        if (!key) {
+            if (this.inpainter) this.inpainter.cancel('layers');
+            return;
+        }
+
+        this.trackLayerJob(this.buildDepthLayers(key, invert, splits).then((layers) => {
+            if (this.splitLayersKey !== key) return;
+            this.splitLayers = layers.map(({ color, depth }) => ({
+                image: this.createTexture(color),
+                depth: this.createTexture(depth)
+            }));
+            if (this.onLayersReady) this.onLayersReady();
+        }), 'Depth layer split failed:');
+    }
+
+    async buildDepthLayers(key, invert, splits) {
+        const { color, depth } = await this.getInpaintInputs();
+        if (this.splitLayersKey !== key) {
+            throw createAbortError('Depth layers superseded');
+        }
+        return this.inpainter.splitLayers(color, depth, { invert, splits });
+    }
+
+    // Undilated depth and the image, both at the depth map's aspect and at most INPAINT_MAX_SIZE
+    async getInpaintInputs() {
+        const { width, height } = this.originalDepth;
+        const scale = Math.min(1, INPAINT_MAX_SIZE / Math.max(width, height));
+        const canvas = createCanvas(Math.max(1, Math.round(width * scale)), Math.max(1, Math.round(height * scale)));
+        const ctx = canvas.getContext('2d', { willReadFrequently: true });
+
+        ctx.drawImage(this.inpaintImage, 0, 0, canvas.width, canvas.height);
+        const color = ctx.getImageData(0, 0, canvas.width, canvas.height);
+
+        const depthBitmap = await createImageBitmap(depthMapToImageData(this.originalDepth));
+        try {
+            ctx.clearRect(0, 0, canvas.width, canvas.height);
+            ctx.drawImage(depthBitmap, 0, 0, canvas.width, canvas.height);
+        } finally {
+            depthBitmap.close();
+        }
+        const depth = ctx.getImageData(0, 0, canvas.width, canvas.height);
+
+        return { color, depth };
+    }
+
+    trackLayerJob(promise, failureMessage) {
+        const job = promise
+            .catch((err) => {
+                if (!isAbortError(err)) {
+                    console.warn(failureMessage, err);
                 }
-                dst[y * width + x] = maxVal;
-            }
+            })
+            .finally(() => this.layerJobs.delete(job));
+        this.layerJobs.add(job);
+    }
+
+    // Exports call this so every frame gets finished worker-built layers
+    async waitForLayers() {
+        this.syncBackgroundLayer();
+        this.syncDepthLayers();
+        while (this.layerJobs.size > 0) {
+            await Promise.all(this.layerJobs);
         }
+    }
 
-        // Write back to RGBA ImageData
-        const output = new ImageData(width, height);
-        for (let i = 0; i < width * height; i++) {
-            const v = dst[i];
-            const idx = i * 4;
-            output.data[idx] = v;
-            output.data[idx + 1] = v;
-            output.data[idx + 2] = v;
-            output.data[idx + 3] = 255;
+    // index: 0 = front. kind: 'image' (RGBA, alpha = coverage) or 'depth'
+    async loadLayer(index, kind, blob) {
+        const texture = await this.createTextureFromBlob(blob);
+        const slot = this.uploadedLayers[index];
+        if (slot[kind]) {
+            this.gl.deleteTexture(slot[kind]);
         }
+        slot[kind] = texture;
+        this.layerBlobs[index][kind] = blob;
+    }
+
+    // Grayscale matte in image space: white keeps, black (or transparent) drops
+    async loadAlphaMask(blob) {
+        const texture = await this.createTextureFromBlob(blob);
+        this.clearAlphaMask();
+        this.textures.alphaMask = texture;
+        this.alphaMaskBlob = blob;
+    }
+
+    clearAlphaMask() {
+        if (this.textures.alphaMask) {
+            this.gl.deleteTexture(this.textures.alphaMask);
+        }
+        this.textures.alphaMask = null;
+        this.alphaMaskBlob = null;
+    }
 
-        this.uploadDepthTexture(output);
+    clearUploadedLayers() {
+        for (const slot of this.uploadedLayers) {
+            this.deleteLayerTextures([slot]);
+            slot.image = null;
+            slot.depth = null;
+        }
+        for (const blobs of this.layerBlobs) {
+            blobs.image = null;
+            blobs.depth = null;
+        }
+    }
+
+    deleteLayerTextures(layers) {
+        for (const layer of layers) {
+            if (layer.image) this.gl.deleteTexture(layer.image);
+            if (layer.depth) this.gl.deleteTexture(layer.depth);
+        }
+    }
+
+    hasAlphaMask() {
+        return this.textures.alphaMask !== null;
+    }
+
+    hasUploadedLayer(index, kind) {
+        return this.uploadedLayers[index][kind] !== null;
+    }
+
+    // Layers the shader composites front to back; empty means the single image/depth pair
+    getActiveLayers() {
+        if (this.state.layerMode === 'split') {
+            return this.splitLayers;
+        }
+        if (this.state.layerMode === 'upload') {
+            return this.uploadedLayers.filter((slot) => slot.image && slot.depth);
+        }
+        return [];
     }
 
-    uploadDepthTexture(imageData) {
+    // Unprocessed depth: the GPU edge fix source and the raw depth debug view
+    syncRawDepth() {
+        if (!this.originalDepth || this.rawDepthVersion === this.depthVersion) return;
+        this.rawDepthVersion = this.depthVersion;
+        this.uploadDepthTexture(this.originalDepth, 'depthRaw');
+    }
+
+    // Single-channel float format: R32F where it can be filtered, else R16F
+    getDepthFormat() {
+        return this.floatDepthLinear ? this.gl.R32F : this.gl.R16F;
+    }
+
+    uploadDepthTexture({ width, height, data }, name = 'depth') {
         const gl = this.gl;
 
-        if (this.textures.depth) {
-            gl.deleteTexture(this.textures.depth);
+        if (this.textures[name]) {
+            gl.deleteTexture(this.textures[name]);
         }
 
         const tex = gl.createTexture();
         gl.bindTexture(gl.TEXTURE_2D, tex);
-        gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, imageData);
+        gl.texImage2D(gl.TEXTURE_2D, 0, this.getDepthFormat(), width, height, 0, gl.RED, gl.FLOAT, data);
 
         gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
         gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
         gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
         gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
 
-        this.textures.depth = tex;
+        this.textures[name] = tex;
     }
 
     uploadTexture(name, image) {
-        const gl = this.gl;
-
         if (this.textures[name]) {
-            gl.deleteTexture(this.textures[name]);
+            this.gl.deleteTexture(this.textures[name]);
         }
 
+        this.textures[name] = this.createTexture(image);
+    }
+
+    createTexture(image) {
+        const gl = this.gl;
         const tex = gl.createTexture();
         gl.bindTexture(gl.TEXTURE_2D, tex);
         gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, image);
@@ -260,42 +1006,662 @@ export class Renderer {
         gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
         gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
 
-        this.textures[name] = tex;
+        return tex;
     }
 
-    resize() {
-        const dpr = Math.min(window.devicePixelRatio || 1, 1.5);
-        const width = Math.max(1, Math.round(this.canvas.clientWidth * dpr));
-        const height = Math.max(1, Math.round(this.canvas.clientHeight * dpr));
-        const nextAspect = width / height;
+    async createTextureFromBlob(blob) {
+        const img = await createImageBitmap(blob);
+        try {
+            return this.createTexture(img);
+        } finally {
+            img.close();
+        }
+    }
 
-        if (this.canvas.width === width && this.canvas.height === height && this.dpr === dpr) {
-            return;
+    // lut: parsed .cube data from parseCubeLut()
+    setLut(lut) {
+        const gl = this.gl;
+        this.clearLut();
+
+        const tex = gl.createTexture();
+        gl.bindTexture(gl.TEXTURE_3D, tex);
+        gl.texImage3D(gl.TEXTURE_3D, 0, gl.RGB16F, lut.size, lut.size, lut.size, 0, gl.RGB, gl.FLOAT, lut.data);
+        gl.texParameteri(gl.TEXTURE_3D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+        gl.texParameteri(gl.TEXTURE_3D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+        gl.texParameteri(gl.TEXTURE_3D, gl.TEXTURE_WRAP_R, gl.CLAMP_TO_EDGE);
+        gl.texParameteri(gl.TEXTURE_3D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+        gl.texParameteri(gl.TEXTURE_3D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+        gl.bindTexture(gl.TEXTURE_3D, null);
+
+        this.textures.lut = tex;
+        this.lut = { size: lut.size, domainMin: lut.domainMin, domainMax: lut.domainMax };
+        this.lutSource = lut;
+    }
+
+    clearLut() {
+        if (this.textures.lut) {
+            this.gl.deleteTexture(this.textures.lut);
         }
+        this.textures.lut = null;
+        this.lut = null;
+        this.lutSource = null;
+    }
+
+    createTargetTexture(internalFormat, format, width, height, type) {
+        const gl = this.gl;
+        const texture = gl.createTexture();
+        gl.bindTexture(gl.TEXTURE_2D, texture);
+        gl.texImage2D(gl.TEXTURE_2D, 0, internalFormat, width, height, 0, format, type ?? gl.UNSIGNED_BYTE, null);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+        return texture;
+    }
 
-        const prevAspect = this.lastAspect > 0 ? this.lastAspect : nextAspect;
-        if (prevAspect > 0 && Math.abs(nextAspect - prevAspect) > 1e-6) {
-            const ratio = nextAspect / prevAspect;
+    // coverage adds a second attachment for fragment.glsl's fragCoverage output,
+    // which carries alpha past the scene pass when alpha holds the hit depth.
+    // depthMap makes the color attachment a float depth texture and accumulation a
+    // half float RGBA one for summed samples (both need EXT_color_buffer_float).
+    createRenderTarget(width, height, { coverage = false, depthMap = false, accumulation = false } = {}) {
+        const gl = this.gl;
 
-            // Keep horizontal framing stable across viewport-aspect changes.
-            this.state.centerX *= ratio;
-            this.state.originX *= ratio;
-            this.state.offsetX *= ratio;
-            this.state._targetOffsetX *= ratio;
+        let texture;
+        if (depthMap) {
+            texture = this.createTargetTexture(this.getDepthFormat(), gl.RED, width, height, gl.FLOAT);
+        } else if (accumulation) {
+            texture = this.createTargetTexture(gl.RGBA16F, gl.RGBA, width, height, gl.HALF_FLOAT);
+        } else {
+            texture = this.createTargetTexture(gl.RGBA8, gl.RGBA, width, height);
         }
+        const coverageTexture = coverage ? this.createTargetTexture(gl.R8, gl.RED, width, height) : null;
 
-        this.dpr = dpr;
-        this.lastAspect = nextAspect;
+        const framebuffer = gl.createFramebuffer();
+        gl.bindFramebuffer(gl.FRAMEBUFFER, framebuffer);
+        gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, texture, 0);
+        if (coverageTexture) {
+            gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT1, gl.TEXTURE_2D, coverageTexture, 0);
+            gl.drawBuffers([gl.COLOR_ATTACHMENT0, gl.COLOR_ATTACHMENT1]);
+        }
+        const status = gl.checkFramebufferStatus(gl.FRAMEBUFFER);
+        gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+
+        if (status !== gl.FRAMEBUFFER_COMPLETE) {
+            gl.deleteFramebuffer(framebuffer);
+            gl.deleteTexture(texture);
+            if (coverageTexture) gl.deleteTexture(coverageTexture);
+            throw new Error(`Could not create ${width}x${height} render target (status 0x${status.toString(16)})`);
+        }
+
+        return { texture, coverageTexture, framebuffer, width, height };
+    }
+
+    deleteRenderTarget(target) {
+        if (!target) return;
+        this.gl.deleteFramebuffer(target.framebuffer);
+        this.gl.deleteTexture(target.texture);
+        if (target.coverageTexture) {
+            this.gl.deleteTexture(target.coverageTexture);
+        }
+    }
+
+    getMaxRenderSize() {
+        const gl = this.gl;
+        const viewport = gl.getParameter(gl.MAX_VIEWPORT_DIMS);
+        return Math.min(
+            gl.getParameter(gl.MAX_TEXTURE_SIZE),
+            gl.getParameter(gl.MAX_RENDERBUFFER_SIZE),
+            viewport[0],
+            viewport[1]
+        );
+    }
+
+    // Export frames show the largest centered region of the canvas with their
+    // aspect ratio (the crop guide), so wider frames are scaled down to fit.
+    getFrameScale(width, height) {
+        const canvasAspect = this.canvas.width / Math.max(1, this.canvas.height);
+        const frameAspect = width / Math.max(1, height);
+        return Math.min(1, canvasAspect / frameAspect);
+    }
 
+    resize() {
+        const { width, height, dpr } = measureCanvas(this.canvas);
+        if (this.canvas.width === width && this.canvas.height === height && this.dpr === dpr) {
+            return;
+        }
+
+        this.lastAspect = keepFraming(this.state, this.lastAspect, width / height);
+        this.setCanvasSize(width, height, dpr);
+    }
+
+    setCanvasSize(width, height, dpr) {
+        this.dpr = dpr;
         this.canvas.width = width;
         this.canvas.height = height;
         this.gl.viewport(0, 0, width, height);
     }
 
-    render() {
+    getCanvasSize() {
+        return { width: this.canvas.width, height: this.canvas.height };
+    }
+
+    // refine: nothing changed since the last frame, so add jittered samples to the
+    // ones accumulated so far instead of starting over (see isRefining())
+    render({ refine = false } = {}) {
+        if (this.isContextLost()) return;
+
+        const size = `${this.canvas.width}x${this.canvas.height}`;
+        let accumulation = null;
+        if (refine && this.canRefine() && size === this.refineSize) {
+            // The first refining frame redoes the plain frame as sample 0
+            const start = this.refineSamples;
+            const samples = start === 0 ? 2 : 1;
+            accumulation = { start, samples };
+            this.refineSamples = start + samples;
+        } else {
+            this.refineSamples = 0;
+        }
+        this.refineSize = size;
+
+        this.drawFrame({
+            output: 'canvas',
+            framebuffer: null,
+            width: this.canvas.width,
+            height: this.canvas.height,
+            frameScale: 1.0,
+            ssaa: this.dpr > 1 ? 1.0 : this.getEffectiveSsaa(),
+            keepAlpha: this.contextAlpha,
+            accumulation
+        });
+    }
+
+    // Whether an idle canvas still has samples to accumulate
+    isRefining() {
+        return this.canRefine() && this.refineSamples < this.getAccumulationSamples();
+    }
+
+    // Stereo and quilt views would each need their own accumulation buffer
+    canRefine() {
+        return this.state.progressiveRefine
+            && this.getAccumulationSamples() > 1
+            && this.getDebugMode() === 0
+            && !this.getStereoMode()
+            && !this.getQuiltLayout();
+    }
+
+    getAccumulationSamples() {
+        return getAccumulationSamples(this.state, this.colorBufferFloat);
+    }
+
+    // Render one frame at exactly width x height into an offscreen framebuffer
+    // and return it as top-down ImageData.
+    // ssaa overrides the export SSAA factor (used by high-quality stills).
+    // alpha: false flattens transparent pixels onto black for formats without alpha.
+    // samples > 1 averages that many jittered renders (too slow for realtime capture).
+    // Throws a ContextLostError (see isContextLostError()) when the context is lost
+    // before or while the frame renders, since its pixels would be blank.
+    renderExportFrame(width, height, { ssaa = null, alpha = true, samples = 1 } = {}) {
+        if (this.isContextLost()) {
+            throw createContextLostError();
+        }
+
+        try {
+            const frame = this.drawIntoExportTarget(width, height, { ssaa, alpha, samples });
+            if (!this.isContextLost()) return frame;
+        } catch (err) {
+            if (!this.isContextLost()) throw err;
+        }
+        throw createContextLostError();
+    }
+
+    drawIntoExportTarget(width, height, { ssaa, alpha, samples }) {
+        const maxSize = this.getMaxRenderSize();
+        if (width > maxSize || height > maxSize) {
+            throw new Error(`Export size ${width}x${height} exceeds the GPU limit of ${maxSize}px`);
+        }
+
+        if (!this.exportTarget || this.exportTarget.width !== width || this.exportTarget.height !== height) {
+            this.deleteRenderTarget(this.exportTarget);
+            this.exportTarget = this.createRenderTarget(width, height);
+        }
+
+        this.drawFrame({
+            output: 'export',
+            framebuffer: this.exportTarget.framebuffer,
+            width,
+            height,
+            frameScale: this.getFrameScale(width, height),
+            ssaa: ssaa !== null ? ssaa : this.getEffectiveSsaa(),
+            keepAlpha: alpha,
+            accumulation: { start: 0, samples }
+        });
+
+        return this.readTargetPixels(this.exportTarget);
+    }
+
+    // Dev mode: lose the context through WEBGL_lose_context and restore it a second later
+    simulateContextLoss() {
+        const ext = this.gl.getExtension('WEBGL_lose_context');
+        if (!ext || this.isContextLost()) return;
+        ext.loseContext();
+        setTimeout(() => ext.restoreContext(), 1000);
+    }
+
+    // Free the export framebuffer (stills can be much larger than video frames).
+    releaseExportTarget() {
+        this.deleteRenderTarget(this.exportTarget);
+        this.exportTarget = null;
+        for (const target of [...this.sceneTargets.export, ...this.eyeTargets.export]) {
+            this.deleteRenderTarget(target);
+        }
+        this.sceneTargets.export = [null, null];
+        this.eyeTargets.export = [null, null];
+        this.deleteRenderTarget(this.accumulationTargets.export[0]);
+        this.accumulationTargets.export = [null];
+    }
+
+    getCachedTarget(targets, index, width, height, options) {
+        const current = targets[index];
+        if (current && current.width === width && current.height === height) {
+            return current;
+        }
+        this.deleteRenderTarget(current);
+        targets[index] = this.createRenderTarget(width, height, options);
+        return targets[index];
+    }
+
+    getSceneTarget(output, index, width, height) {
+        // The scene pass always renders into the first target
+        return this.getCachedTarget(this.sceneTargets[output], index, width, height, { coverage: index === 0 });
+    }
+
+    // Enabled post effects in the user's order; the LUT only runs once one is loaded.
+    getActivePostEffects() {
+        const s = this.state;
+        return s.postOrder.filter((effect) => POST_EFFECTS.includes(effect)
+            && s[`${effect}Enabled`]
+            && (effect !== 'lut' || this.lut));
+    }
+
+    // In stereo modes each eye runs the whole pipeline into its own target, with the
+    // camera moved sideways by half the separation; objects on the steady plane stay
+    // put, so that is where the eyes converge. The eyes are then composed into the output.
+    drawFrame(frame) {
+        this.frameEdgeZoom = this.getEdgeZoomFactor();
+
+        if (this.getQuiltLayout()) {
+            this.drawQuilt(frame);
+            return;
+        }
+
+        const mode = this.getStereoMode();
+        if (!mode) {
+            this.drawView(frame);
+            return;
+        }
+
+        const { output, framebuffer, width, height, ssaa, keepAlpha, accumulation } = frame;
+        const eye = stereoEyeSize(mode, width, height);
+        const targets = this.eyeTargets[output];
+
+        this.getViewOffsets().forEach((viewOffset, index) => {
+            const target = this.getCachedTarget(targets, index, eye.width, eye.height);
+            this.drawView({
+                output,
+                framebuffer: target.framebuffer,
+                width: eye.width,
+                height: eye.height,
+                frameScale: this.getFrameScale(eye.width, eye.height),
+                ssaa,
+                keepAlpha: true,
+                viewOffset,
+                accumulation
+            });
+        });
+
+        this.drawFlattened(!keepAlpha && this.hasAlphaOutput(), framebuffer, () => {
+            this.drawPass(this.stereoProgram, { framebuffer, width, height }, (gl) => {
+                gl.activeTexture(gl.TEXTURE0);
+                gl.bindTexture(gl.TEXTURE_2D, targets[0].texture);
+                gl.uniform1i(this.stereoUniforms.uLeft, 0);
+                gl.activeTexture(gl.TEXTURE1);
+                gl.bindTexture(gl.TEXTURE_2D, targets[1].texture);
+                gl.uniform1i(this.stereoUniforms.uRight, 1);
+                gl.uniform1i(this.stereoUniforms.uLayout, STEREO_MODES.indexOf(mode));
+            });
+        });
+    }
+
+    // Looking Glass quilt: one view per tile, sweeping the camera from the left of the
+    // view cone to the right. View 0 is the bottom-left tile, then left to right and
+    // upwards. Each view is rendered at tile size and copied into place.
+    drawQuilt({ output, framebuffer, width, height, ssaa, keepAlpha, accumulation }) {
+        const gl = this.gl;
+        const { columns, rows } = this.getQuiltLayout();
+        const tileWidth = Math.max(1, Math.floor(width / columns));
+        const tileHeight = Math.max(1, Math.floor(height / rows));
+        const target = this.getCachedTarget(this.eyeTargets[output], 0, tileWidth, tileHeight);
+
+        // Tiles may not cover the last few pixels of the canvas
+        gl.bindFramebuffer(gl.FRAMEBUFFER, framebuffer);
+        gl.clear(gl.COLOR_BUFFER_BIT);
+
+        this.getViewOffsets().forEach((viewOffset, view) => {
+            this.drawView({
+                output,
+                framebuffer: target.framebuffer,
+                width: tileWidth,
+                height: tileHeight,
+                frameScale: this.getFrameScale(tileWidth, tileHeight),
+                ssaa,
+                keepAlpha,
+                viewOffset,
+                accumulation
+            });
+
+            const x = (view % columns) * tileWidth;
+            const y = Math.floor(view / columns) * tileHeight;
+            gl.bindFramebuffer(gl.READ_FRAMEBUFFER, target.framebuffer);
+            gl.bindFramebuffer(gl.DRAW_FRAMEBUFFER, framebuffer);
+            gl.blitFramebuffer(0, 0, tileWidth, tileHeight, x, y, x + tileWidth, y + tileHeight,
+                gl.COLOR_BUFFER_BIT, gl.NEAREST);
+        });
+
+        gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+    }
+
+    // Scene pass, then depth of field and the post stack. With any of those active
+    // the scene goes to an intermediate buffer (hit depth in alpha for depth of
+    // field), passes alternate between two buffers and the last one draws to the output.
+    // viewOffset shifts the camera sideways for one stereo eye or quilt view.
+    // accumulation ({ start, samples }) renders jittered samples with their depth of
+    // field into a float buffer, and the post stack runs once on their average.
+    drawView({ output, framebuffer, width, height, frameScale, ssaa, keepAlpha, viewOffset = 0, accumulation = null }) {
+        // Debug views show the scene pass as-is
+        const debug = this.getDebugMode() > 0;
+        const useDof = !debug && this.state.aperture > 0;
+        const postEffects = debug ? [] : this.getActivePostEffects();
+        const flatten = !keepAlpha && this.hasAlphaOutput();
+        const accumulate = !debug && accumulation !== null && this.colorBufferFloat
+            && accumulation.start + accumulation.samples > 1;
+
+        let passes;
+        let source;
+        if (accumulate) {
+            passes = ['resolve', ...postEffects];
+            source = this.accumulateView({ output, width, height, frameScale, ssaa, viewOffset, useDof }, accumulation);
+        } else {
+            passes = [...(useDof ? ['dof'] : []), ...postEffects];
+            if (passes.length === 0) {
+                this.drawFlattened(flatten, framebuffer, () => {
+                    this.drawScene({ framebuffer, width, height, frameScale, ssaa, depthAlpha: false, viewOffset });
+                });
+                return;
+            }
+            source = this.getSceneTarget(output, 0, width, height);
+            this.drawScene({ framebuffer: source.framebuffer, width, height, frameScale, ssaa, depthAlpha: useDof, viewOffset });
+        }
+
+        passes.forEach((pass, index) => {
+            const last = index === passes.length - 1;
+            const target = last ? null : this.getSceneTarget(output, (index + 1) % 2, width, height);
+            const destination = { framebuffer: last ? framebuffer : target.framebuffer, width, height };
+
+            this.drawFlattened(flatten && last, framebuffer, () => {
+                if (pass === 'dof') {
+                    this.drawDepthOfField(source, destination, frameScale);
+                } else if (pass === 'resolve') {
+                    this.drawAccumulation(source, destination, accumulation.start + accumulation.samples);
+                } else {
+                    this.drawPostEffect(pass, source, destination);
+                }
+            });
+            source = target;
+        });
+    }
+
+    // Add samples start to start + samples - 1 of one view to its accumulation buffer,
+    // clearing it first when starting over, and return the buffer
+    accumulateView({ output, width, height, frameScale, ssaa, viewOffset, useDof }, { start, samples }) {
+        const gl = this.gl;
+        const sum = this.getCachedTarget(this.accumulationTargets[output], 0, width, height, { accumulation: true });
+        if (start === 0) {
+            gl.bindFramebuffer(gl.FRAMEBUFFER, sum.framebuffer);
+            gl.clearBufferfv(gl.COLOR, 0, [0, 0, 0, 0]);
+            gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+        }
+
+        const scene = this.getSceneTarget(output, 0, width, height);
+        const sample = useDof ? this.getSceneTarget(output, 1, width, height) : scene;
+        for (let i = start; i < start + samples; i++) {
+            const jitter = sampleJitter(i);
+            this.drawScene({ framebuffer: scene.framebuffer, width, height, frameScale, ssaa, depthAlpha: useDof, viewOffset, jitter });
+            if (useDof) {
+                this.drawDepthOfField(scene, sample, frameScale);
+            }
+
+            gl.enable(gl.BLEND);
+            gl.blendFunc(gl.ONE, gl.ONE);
+            try {
+                this.drawPass(this.accumulateProgram, sum, (gl) => {
+                    gl.activeTexture(gl.TEXTURE0);
+                    gl.bindTexture(gl.TEXTURE_2D, sample.texture);
+                    gl.uniform1i(this.accumulateUniforms.uSource, 0);
+                    gl.uniform1i(this.accumulateUniforms.uResolve, 0);
+                });
+            } finally {
+                gl.disable(gl.BLEND);
+            }
+            // One GPU submission per sample, so large export frames don't queue up as one job
+            gl.flush();
+        }
+
+        return sum;
+    }
+
+    drawAccumulation(sum, destination, sampleCount) {
+        this.drawPass(this.accumulateProgram, destination, (gl) => {
+            gl.activeTexture(gl.TEXTURE0);
+            gl.bindTexture(gl.TEXTURE_2D, sum.texture);
+            gl.uniform1i(this.accumulateUniforms.uSource, 0);
+            gl.uniform1i(this.accumulateUniforms.uResolve, 1);
+            gl.uniform1f(this.accumulateUniforms.uSampleCount, sampleCount);
+        });
+    }
+
+    // Frames carry straight alpha. Outputs that can't store it blend the last pass
+    // onto cleared black, so transparent pixels don't show the color behind them.
+    drawFlattened(flatten, framebuffer, draw) {
+        if (!flatten) {
+            draw();
+            return;
+        }
+
+        const gl = this.gl;
+        gl.bindFramebuffer(gl.FRAMEBUFFER, framebuffer);
+        gl.clear(gl.COLOR_BUFFER_BIT);
+        gl.enable(gl.BLEND);
+        gl.blendFuncSeparate(gl.SRC_ALPHA, gl.ZERO, gl.ZERO, gl.ONE);
+        try {
+            draw();
+        } finally {
+            gl.disable(gl.BLEND);
+        }
+    }
+
+    // Draw a fullscreen pass with another program, then restore the scene program.
+    drawPass(program, { framebuffer, width, height }, setUniforms) {
         const gl = this.gl;
+
+        gl.useProgram(program);
+        gl.bindFramebuffer(gl.FRAMEBUFFER, framebuffer);
+        gl.viewport(0, 0, width, height);
+        setUniforms(gl);
+        gl.drawArrays(gl.TRIANGLES, 0, 3);
+
+        gl.useProgram(this.program);
+        if (framebuffer) {
+            gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+            gl.viewport(0, 0, this.canvas.width, this.canvas.height);
+        }
+    }
+
+    drawDepthOfField(sceneTarget, destination, frameScale) {
         const s = this.state;
+        const u = this.dofUniforms;
+
+        this.drawPass(this.dofProgram, destination, (gl) => {
+            gl.activeTexture(gl.TEXTURE0);
+            gl.bindTexture(gl.TEXTURE_2D, sceneTarget.texture);
+            gl.uniform1i(u.uScene, 0);
+
+            gl.activeTexture(gl.TEXTURE1);
+            gl.bindTexture(gl.TEXTURE_2D, sceneTarget.coverageTexture);
+            gl.uniform1i(u.uCoverage, 1);
+
+            gl.uniform2f(u.uResolution, destination.width, destination.height);
+            gl.uniform1f(u.uFrameScale, frameScale);
+            gl.uniform1f(u.uFocalDepth, s.focalDepth);
+            gl.uniform1f(u.uAperture, s.aperture);
+            gl.uniform1i(u.uBokehBlades, s.bokehBlades);
+        });
+    }
 
+    drawPostEffect(effect, sourceTarget, destination) {
+        const s = this.state;
+        const u = this.postUniforms;
+        const lut = this.lut || { size: 2, domainMin: [0, 0, 0], domainMax: [1, 1, 1] };
+
+        this.drawPass(this.postProgram, destination, (gl) => {
+            gl.activeTexture(gl.TEXTURE0);
+            gl.bindTexture(gl.TEXTURE_2D, sourceTarget.texture);
+            gl.uniform1i(u.uSource, 0);
+
+            // sampler3D needs its own unit even when the LUT pass isn't running.
+            gl.activeTexture(gl.TEXTURE1);
+            gl.bindTexture(gl.TEXTURE_3D, this.textures.lut);
+            gl.uniform1i(u.uLut, 1);
+
+            gl.uniform2f(u.uResolution, destination.width, destination.height);
+            gl.uniform1i(u.uEffect, POST_EFFECTS.indexOf(effect));
+
+            gl.uniform1f(u.uVignetteAmount, s.vignetteAmount);
+            gl.uniform1f(u.uVignetteSoftness, s.vignetteSoftness);
+            gl.uniform1f(u.uGrainAmount, s.grainAmount);
+            gl.uniform1f(u.uGrainSize, s.grainSize);
+            gl.uniform1f(u.uGrainSeed, s.grainSeed);
+            gl.uniform1f(u.uLift, s.lift);
+            gl.uniform1f(u.uGamma, s.gamma);
+            gl.uniform1f(u.uGain, s.gain);
+            gl.uniform1f(u.uLutStrength, s.lutStrength);
+            gl.uniform1f(u.uLutSize, lut.size);
+            gl.uniform3fv(u.uLutDomainMin, lut.domainMin);
+            gl.uniform3fv(u.uLutDomainMax, lut.domainMax);
+            gl.uniform1f(u.uChromaticAmount, s.chromaticAmount);
+            gl.uniform1f(u.uSharpenAmount, s.sharpenAmount);
+        });
+    }
+
+    readTargetPixels(target) {
+        const gl = this.gl;
+        const { width, height } = target;
+        const pixels = new Uint8ClampedArray(width * height * 4);
+
+        gl.bindFramebuffer(gl.FRAMEBUFFER, target.framebuffer);
+        gl.readPixels(0, 0, width, height, gl.RGBA, gl.UNSIGNED_BYTE, pixels);
+        gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+
+        // GL rows are bottom-up; ImageData is top-down.
+        const rowSize = width * 4;
+        const row = new Uint8ClampedArray(rowSize);
+        for (let top = 0, bottom = height - 1; top < bottom; top++, bottom--) {
+            const a = top * rowSize;
+            const b = bottom * rowSize;
+            row.set(pixels.subarray(a, a + rowSize));
+            pixels.copyWithin(a, b, b + rowSize);
+            pixels.set(row, b);
+        }
+
+        return new ImageData(pixels, width, height);
+    }
+
+    // Active stereo layout, or null when rendering a single view
+    getStereoMode() {
+        const mode = this.state.stereoMode;
+        return mode !== 'off' && STEREO_MODES.includes(mode) ? mode : null;
+    }
+
+    getQuiltLayout() {
+        return getQuiltLayout(this.state);
+    }
+
+    // Sideways camera shifts of the views in one frame: every quilt view across the
+    // view cone, both stereo eyes around the steady plane, or just the camera
+    getViewOffsets() {
+        const quilt = this.getQuiltLayout();
+        if (quilt) {
+            const views = quilt.columns * quilt.rows;
+            // The steady plane sits about one unit from the camera
+            const reach = Math.tan(this.state.quiltViewCone * Math.PI / 360);
+            return Array.from({ length: views }, (_, view) => (views > 1 ? reach * (2 * view / (views - 1) - 1) : 0));
+        }
+        if (this.getStereoMode()) {
+            const half = this.state.stereoSeparation / 2;
+            return [-half, half];
+        }
+        return [0];
+    }
+
+    // The linear marcher is too slow to supersample at high quality; the pyramid isn't
+    getEffectiveSsaa() {
+        return this.state.quality > 0.7 && !this.usesHierarchicalMarch() ? 1.0 : this.state.ssaa;
+    }
+
+    getDebugMode() {
+        return Math.max(0, DEBUG_MODES.indexOf(this.state.debugMode));
+    }
+
+    hasAlphaOutput() {
+        return hasAlphaOutput(this.state);
+    }
+
+    // Zoom multiplier that keeps the canvas covered over the whole motion cycle.
+    // Export frames always lie inside the canvas framing, so they match the preview.
+    getEdgeZoomFactor() {
+        if (this.state.edgeMode !== 'autozoom' || !this.getCyclePoses) return 1;
+
+        // Stereo eyes and quilt views shift every pose sideways; the outermost shifts bound the rest
+        let poses = this.getCyclePoses();
+        const offsets = this.getViewOffsets();
+        if (offsets.length > 1) {
+            const shifts = [Math.min(...offsets), Math.max(...offsets)];
+            poses = poses.flatMap((pose) => shifts.map((shift) => ({ ...pose, offsetX: pose.offsetX + shift })));
+        }
+
+        return fillZoomFactor(poses, {
+            screenAspect: this.canvas.width / Math.max(1, this.canvas.height),
+            imageAspect: this.imageAspect
+        });
+    }
+
+    // jitter shifts the frame by a fraction of a pixel for accumulated samples
+    drawScene({ framebuffer, width, height, frameScale, ssaa, depthAlpha, viewOffset = 0, jitter = [0, 0] }) {
+        const gl = this.gl;
+        const s = this.state;
+
+        // Reapply edge fix and refresh worker-built layers before binding,
+        // since they upload textures on the active unit
+        this.applyEdgeFix();
+        this.syncBackgroundLayer();
+        this.syncDepthLayers();
+        const debugMode = this.getDebugMode();
+        if (debugMode === DEBUG_MODES.indexOf('depth-raw')) {
+            this.syncRawDepth();
+        }
+        const hierarchical = this.syncDepthPyramid();
+
+        gl.bindFramebuffer(gl.FRAMEBUFFER, framebuffer);
+        gl.viewport(0, 0, width, height);
         gl.clear(gl.COLOR_BUFFER_BIT);
 
         // Bind textures
@@ -307,29 +1673,81 @@ export class Renderer {
         gl.bindTexture(gl.TEXTURE_2D, this.textures.depth);
         gl.uniform1i(this.uniforms.uDepth, 1);
 
+        gl.activeTexture(gl.TEXTURE2);
+        gl.bindTexture(gl.TEXTURE_2D, this.textures.imageBackground);
+        gl.uniform1i(this.uniforms.uImageBackground, 2);
+
+        gl.activeTexture(gl.TEXTURE3);
+        gl.bindTexture(gl.TEXTURE_2D, this.textures.depthBackground);
+        gl.uniform1i(this.uniforms.uDepthBackground, 3);
+
+        // Layers take units 4-9; unused slots keep whatever is bound and are skipped by uLayerCount
+        const layers = this.getActiveLayers();
+        for (let i = 0; i < MAX_LAYERS; i++) {
+            if (i < layers.length) {
+                gl.activeTexture(gl.TEXTURE4 + i * 2);
+                gl.bindTexture(gl.TEXTURE_2D, layers[i].image);
+                gl.activeTexture(gl.TEXTURE5 + i * 2);
+                gl.bindTexture(gl.TEXTURE_2D, layers[i].depth);
+            }
+            gl.uniform1i(this.uniforms[`uLayerImage${i}`], 4 + i * 2);
+            gl.uniform1i(this.uniforms[`uLayerDepth${i}`], 5 + i * 2);
+        }
+        gl.uniform1i(this.uniforms.uLayerCount, layers.length);
+
+        const useMask = s.alphaOutput && this.textures.alphaMask !== null;
+        if (useMask) {
+            gl.activeTexture(gl.TEXTURE10);
+            gl.bindTexture(gl.TEXTURE_2D, this.textures.alphaMask);
+        }
+        gl.uniform1i(this.uniforms.uAlphaMask, 10);
+        gl.uniform1i(this.uniforms.uHasAlphaMask, useMask ? 1 : 0);
+
+        gl.activeTexture(gl.TEXTURE11);
+        gl.bindTexture(gl.TEXTURE_2D, this.textures.depthRaw);
+        gl.uniform1i(this.uniforms.uDepthRaw, 11);
+        gl.uniform1i(this.uniforms.uDebugMode, debugMode);
+
+        if (hierarchical) {
+            gl.activeTexture(gl.TEXTURE12);
+            gl.bindTexture(gl.TEXTURE_2D, this.depthPyramid.texture);
+        }
+        gl.uniform1i(this.uniforms.uDepthPyramid, 12);
+        gl.uniform1i(this.uniforms.uHierarchical, hierarchical ? 1 : 0);
+        gl.uniform1i(this.uniforms.uPyramidLevels, hierarchical ? this.depthPyramid.levels : 1);
+
         // Set uniforms
-        gl.uniform2f(this.uniforms.uResolution, this.canvas.width, this.canvas.height);
+        gl.uniform2f(this.uniforms.uResolution, width, height);
+        gl.uniform2f(this.uniforms.uJitter, 2 * jitter[0] / width, 2 * jitter[1] / height);
+        gl.uniform1f(this.uniforms.uFrameScale, frameScale);
         gl.uniform1f(this.uniforms.uImageAspect, this.imageAspect);
 
         gl.uniform1f(this.uniforms.uHeight, s.height);
         gl.uniform1f(this.uniforms.uSteady, s.steady);
         gl.uniform1f(this.uniforms.uFocus, s.focus);
-        gl.uniform1f(this.uniforms.uZoom, s.zoom);
+        gl.uniform1f(this.uniforms.uZoom, s.zoom * this.frameEdgeZoom);
         gl.uniform1f(this.uniforms.uIsometric, s.isometric);
         gl.uniform1f(this.uniforms.uDolly, s.dolly);
         gl.uniform1f(this.uniforms.uInvert, s.invert);
-        gl.uniform1i(this.uniforms.uMirror, s.mirror ? 1 : 0);
+        const edgeMode = s.edgeMode === 'autozoom' ? EDGE_MODES.indexOf('clamp') : EDGE_MODES.indexOf(s.edgeMode);
+        gl.uniform1i(this.uniforms.uEdgeMode, Math.max(0, edgeMode));
+        gl.uniform3fv(this.uniforms.uEdgeColor, hexToRgb(s.edgeColor));
         gl.uniform1f(this.uniforms.uQuality, s.quality);
-        const effectiveSSAA = (s.quality > 0.7 || this.dpr > 1) ? 1.0 : s.ssaa;
-        gl.uniform1f(this.uniforms.uSSAA, effectiveSSAA);
-
-        // Check if edge fix needs to be reapplied
-        this.applyEdgeFix();
+        gl.uniform1f(this.uniforms.uSSAA, ssaa);
+        gl.uniform1i(this.uniforms.uDepthAlpha, depthAlpha ? 1 : 0);
+        gl.uniform1i(this.uniforms.uInpaint, s.inpaint && this.hasBackground ? 1 : 0);
+        gl.uniform1i(this.uniforms.uAlphaOutput, this.hasAlphaOutput() ? 1 : 0);
+        gl.uniform1f(this.uniforms.uDepthCutoff, s.alphaOutput ? s.alphaDepthCutoff : 0);
 
-        gl.uniform2f(this.uniforms.uOffset, s.offsetX, s.offsetY);
+        gl.uniform2f(this.uniforms.uOffset, s.offsetX + viewOffset, s.offsetY);
         gl.uniform2f(this.uniforms.uCenter, s.centerX, s.centerY);
         gl.uniform2f(this.uniforms.uOrigin, s.originX, s.originY);
 
         gl.drawArrays(gl.TRIANGLES, 0, 3);
+
+        if (framebuffer) {
+            gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+            gl.viewport(0, 0, this.canvas.width, this.canvas.height);
+        }
     }
 }
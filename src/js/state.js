@@ -8,11 +8,65 @@ export class State {
         this.isometric = 0.0;
         this.dolly = 0.0;
         this.invert = 0.0;
-        this.mirror = true;
+        this.edgeMode = 'mirror';   // One of EDGE_MODES in renderer.js
+        this.edgeColor = '#000000'; // Fill for the 'color' edge mode
         this.quality = 1.0;
         this.maxResolution = 1920; // 0 = disabled (full resolution)
         this.edgeFix = 1.0;     // Depth dilation intensity (0-1)
+        this.edgeFixSmoothing = 0.0; // Blur over the dilated depth (0 = off)
         this.ssaa = 1.0;        // Supersampling AA multiplier (1-2)
+        this.inpaint = true;    // Fill disoccluded areas from an inpainted background layer
+        this.hierarchicalMarch = true; // Skip empty space with a max-depth pyramid (false = linear march)
+        this.accumulationSamples = 8;  // Jittered samples averaged per export frame (1 = off)
+        this.progressiveRefine = true; // Accumulate the same samples into the preview while it is idle
+
+        // Transparent output: outside the image, past the depth cutoff or outside the mask
+        this.alphaOutput = false;
+        this.alphaDepthCutoff = 0.0; // Nearness below which surfaces drop out (0 = off)
+
+        // Depth of field (aperture 0 = off)
+        this.focalDepth = 0.5;  // Depth kept sharp (0 = far, 1 = near)
+        this.aperture = 0.0;    // Blur strength (0-1)
+        this.bokehBlades = 0;   // 0 = round, otherwise polygon side count
+
+        // Stereo output: one of STEREO_MODES in renderer.js
+        this.stereoMode = 'off';
+        this.stereoSeparation = 0.1; // Interocular camera offset, in image half-heights
+
+        // Looking Glass quilt: a grid of views across a horizontal camera sweep
+        this.quiltEnabled = false;
+        this.quiltColumns = 8;
+        this.quiltRows = 6;
+        this.quiltViewCone = 35;    // Degrees between the outermost views
+
+        // Shader debug view, one of DEBUG_MODES in renderer.js (dev mode only, not persisted)
+        this.debugMode = 'off';
+
+        // Layered rendering: 'off', 'split' (cut from the depth map) or 'upload'
+        this.layerMode = 'off';
+        this.layerSplitNear = 0.66; // Nearness where the foreground layer starts
+        this.layerSplitFar = 0.33;  // Nearness where the midground layer starts
+
+        // Post-processing stack, applied in postOrder; each effect has its own toggle
+        this.postOrder = ['grade', 'lut', 'sharpen', 'chromatic', 'vignette', 'grain'];
+        this.gradeEnabled = false;
+        this.lift = 0.0;        // -0.5 to 0.5
+        this.gamma = 1.0;       // 0.2 to 3
+        this.gain = 1.0;        // 0 to 2
+        this.lutEnabled = false;
+        this.lutStrength = 1.0;
+        this.lutName = '';      // .cube file name; the table itself lives in the media store
+        this.sharpenEnabled = false;
+        this.sharpenAmount = 0.5;
+        this.chromaticEnabled = false;
+        this.chromaticAmount = 0.3;
+        this.vignetteEnabled = false;
+        this.vignetteAmount = 0.4;
+        this.vignetteSoftness = 0.5;
+        this.grainEnabled = false;
+        this.grainAmount = 0.08;
+        this.grainSize = 1.5;
+        this.grainSeed = 0;     // Grain pattern of the current frame, follows motion time (not persisted)
 
         // Camera offset (animated)
         this.offsetX = 0.0;
@@ -41,7 +95,11 @@ export class State {
         const now = performance.now();
         const dt = (now - this._lastTime) / 1000;
         this._lastTime = now;
+        this.step(dt);
+    }
 
+    // Advance smoothing by an explicit timestep (offline export uses 1/fps)
+    step(dt) {
         // Exponential smoothing
         const t = 1 - Math.pow(this.smoothing, dt * 60);
         this.offsetX += (this._targetOffsetX - this.offsetX) * t;
@@ -49,6 +107,15 @@ export class State {
         this.zoom += (this._targetZoom - this.zoom) * t;
     }
 
+    // Plain copy of every field, for temporarily evaluating other camera poses
+    snapshot() {
+        return { ...this };
+    }
+
+    restore(snapshot) {
+        Object.assign(this, snapshot);
+    }
+
     reset() {
         this.height = 0.2;
         this.steady = 0.0;
@@ -57,11 +124,48 @@ export class State {
         this.isometric = 0.0;
         this.dolly = 0.0;
         this.invert = 0.0;
-        this.mirror = true;
+        this.edgeMode = 'mirror';
+        this.edgeColor = '#000000';
         this.quality = 1.0;
         this.maxResolution = 1920;
         this.edgeFix = 1.0;
+        this.edgeFixSmoothing = 0.0;
         this.ssaa = 1.0;
+        this.inpaint = true;
+        this.hierarchicalMarch = true;
+        this.accumulationSamples = 8;
+        this.progressiveRefine = true;
+        this.alphaOutput = false;
+        this.alphaDepthCutoff = 0.0;
+        this.focalDepth = 0.5;
+        this.aperture = 0.0;
+        this.bokehBlades = 0;
+        this.stereoMode = 'off';
+        this.stereoSeparation = 0.1;
+        this.quiltEnabled = false;
+        this.quiltColumns = 8;
+        this.quiltRows = 6;
+        this.quiltViewCone = 35;
+        this.layerMode = 'off';
+        this.layerSplitNear = 0.66;
+        this.layerSplitFar = 0.33;
+        this.postOrder = ['grade', 'lut', 'sharpen', 'chromatic', 'vignette', 'grain'];
+        this.gradeEnabled = false;
+        this.lift = 0.0;
+        this.gamma = 1.0;
+        this.gain = 1.0;
+        this.lutEnabled = false;
+        this.lutStrength = 1.0;
+        this.sharpenEnabled = false;
+        this.sharpenAmount = 0.5;
+        this.chromaticEnabled = false;
+        this.chromaticAmount = 0.3;
+        this.vignetteEnabled = false;
+        this.vignetteAmount = 0.4;
+        this.vignetteSoftness = 0.5;
+        this.grainEnabled = false;
+        this.grainAmount = 0.08;
+        this.grainSize = 1.5;
         this.smoothing = 0.85;
         this.offsetX = 0.0;
         this.offsetY = 0.0;
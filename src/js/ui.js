@@ -1,5 +1,19 @@
+import { abortable, isAbortError } from './abort.js';
+import { BatchProcessor, collectDroppedFiles } from './batch.js';
+import { parseCubeLut } from './cube-lut.js';
+import { encodeDepthPng } from './depth-map.js';
 import { PRESETS } from './motion.js';
-import { ASPECT_PRESETS } from './recorder.js';
+import { ASPECT_PRESETS, DEFAULT_EXPORT_QUALITY, EXPORT_FORMATS } from './recorder.js';
+import { EDGE_MODES, MAX_ACCUMULATION_SAMPLES, MAX_LAYERS, POST_EFFECTS, STEREO_MODES, isContextLostError } from './renderer.js';
+
+const FORMAT_LABELS = {
+    webm: 'WebM',
+    mp4: 'MP4',
+    gif: 'GIF',
+    webp: 'WebP',
+    apng: 'APNG',
+    'image-sequence': 'Image Sequence'
+};
 
 export class UI {
     constructor(state, renderer, depthEstimator, motion) {
@@ -11,19 +25,18 @@ export class UI {
         this.devMode = new URLSearchParams(window.location.search).has('dev');
         this.state.devMode = this.devMode;
         this.recorder = null;
+        this.batchProcessor = null;
         this.initialized = false;
         this.exportControlsBound = false;
+        this.contextNoticeShown = false;
         this.settingsStorageKey = 'depthflow.settings.v1';
+        this.profilesStorageKey = 'depthflow.export-profiles.v1';
         this.mediaDbName = 'depthflow-media.v1';
         this.mediaStoreName = 'files';
         this.mediaDbPromise = null;
         this.settingsSaveTimer = null;
         this.layoutSyncTimer = null;
-        this.pendingExportQuality = {
-            webm: 50,
-            mp4: 50,
-            gif: 70
-        };
+        this.pendingExportQuality = { ...DEFAULT_EXPORT_QUALITY };
         this.pendingExportFps = 24;
         this.mobileMediaQuery = window.matchMedia('(max-width: 768px)');
         this.isMobileLayout = this.mobileMediaQuery.matches;
@@ -66,8 +79,8 @@ export class UI {
         this.persistedSettings = this.loadPersistedSettings();
     }
 
+    // applyPersistedSettings() runs before this, ahead of renderer.init()
     init() {
-        this.applyPersistedSettings();
         this.sanitizeCameraState();
 
         // File uploads
@@ -112,11 +125,55 @@ export class UI {
         this.bindSlider('invert', 0, 1, 0.01);
         this.bindSlider('quality', 0.1, 1, 0.01);
         this.bindSlider('smoothing', 0, 0.99, 0.01);
-        this.bindSliderDebounced('edgeFix', 0, 1.0, 0.1, 150);  // Depth dilation (debounced)
+        // Depth dilation and smoothing; debounced when the CPU fallback has to redo them
+        if (this.renderer.gpuEdgeFix) {
+            this.bindSlider('edgeFix', 0, 1.0, 0.1);
+            this.bindSlider('edgeFixSmoothing', 0, 1.0, 0.1);
+        } else {
+            this.bindSliderDebounced('edgeFix', 0, 1.0, 0.1, 150);
+            this.bindSliderDebounced('edgeFixSmoothing', 0, 1.0, 0.1, 150);
+        }
         this.bindSlider('ssaa', 1, 2.0, 0.1);                   // Supersampling AA
+        this.bindSlider('accumulationSamples', 1, MAX_ACCUMULATION_SAMPLES, 1, true);
+        this.bindSlider('aperture', 0, 1, 0.01);
+        this.bindSlider('focalDepth', 0, 1, 0.01);
+
+        const bokehSelect = document.getElementById('bokeh-shape');
+        bokehSelect.value = String(this.state.bokehBlades);
+        bokehSelect.addEventListener('change', (e) => {
+            this.state.bokehBlades = parseInt(e.target.value, 10) || 0;
+            this.scheduleSettingsSave();
+        });
+
+        this.bindDepthLayers();
+
+        const edgeModeSelect = document.getElementById('edge-mode');
+        const edgeColorInput = document.getElementById('edge-color');
+        edgeModeSelect.value = this.state.edgeMode;
+        edgeColorInput.value = this.state.edgeColor;
+        edgeModeSelect.addEventListener('change', (e) => {
+            this.state.edgeMode = e.target.value;
+            this.syncEdgeModeUI();
+            this.syncAlphaOutputUI();
+            this.scheduleSettingsSave();
+        });
+        edgeColorInput.addEventListener('input', (e) => {
+            this.state.edgeColor = e.target.value;
+            this.scheduleSettingsSave();
+        });
+        this.syncEdgeModeUI();
 
         // Checkbox
-        this.bindCheckbox('mirror');
+        this.bindCheckbox('inpaint');
+        this.bindCheckbox('hierarchicalMarch');
+        this.bindCheckbox('progressiveRefine');
+
+        this.bindAlphaOutput();
+        this.bindStereo();
+        this.bindQuilt();
+        this.bindDebugMode();
+
+        this.bindPostEffects();
 
         // Motion presets
         this.bindMotionPresets();
@@ -198,6 +255,11 @@ export class UI {
 
     setRecorder(recorder) {
         this.recorder = recorder;
+        this.batchProcessor = new BatchProcessor(recorder, this.depthEstimator, {
+            save: (key, blob) => this.saveMediaBlob(key, blob),
+            load: (key) => this.loadMediaBlob(key),
+            remove: (key) => this.deleteMediaBlob(key)
+        });
         if (this.initialized) {
             this.bindExportControls();
             this.triggerLayoutSync();
@@ -600,30 +662,37 @@ export class UI {
         }
 
         this.setDepthGenerationBusy(true);
+        const controller = new AbortController();
+        const { signal } = controller;
 
         try {
             if (!this.depthEstimator.isReady()) {
                 this.showLoadingOverlay('Loading AI model (~20MB, cached after first download)...');
+                this.setLoadingCancelHandler(() => controller.abort());
                 this.showProgress('Loading AI model (~20MB, cached after first download)...');
-                await this.depthEstimator.init((p) => {
+                // A cancelled download keeps going in the background and is reused next time.
+                await abortable(this.depthEstimator.init((p) => {
                     this.updateProgress(p);
-                    if (p.status === 'progress') {
+                    if (p.status === 'progress' && !signal.aborted) {
                         const pct = Math.round((p.loaded / p.total) * 100);
                         this.showLoadingOverlay(`Downloading model: ${pct}%`);
                     }
-                });
+                }), signal);
             } else {
                 await this.depthEstimator.init();
             }
 
             this.showLoadingOverlay('Estimating depth...');
+            this.setLoadingCancelHandler(() => controller.abort());
             this.showProgress('Estimating depth...');
 
-            const depthImage = await this.depthEstimator.estimate(imageBlob);
-            const depthData = this.depthEstimator.toImageData(depthImage);
+            const depthMap = await this.depthEstimator.estimate(imageBlob, { signal });
 
-            this.renderer.loadDepthFromImageData(depthData);
-            await this.saveDepthImageData(depthData);
+            await this.renderer.loadDepthMap(depthMap);
+            await this.saveDepthMap(depthMap);
+        } catch (err) {
+            // Cancelling keeps the previous depth map; it is not an error for callers.
+            if (!isAbortError(err)) throw err;
         } finally {
             this.hideProgress();
             this.hideLoadingOverlay();
@@ -691,8 +760,42 @@ export class UI {
         textEl.textContent = text;
     }
 
+    // A GPU reset blanks the canvas until the renderer is rebuilt. Anything already
+    // using the overlay (exports pause and say so themselves) keeps it.
+    showContextLost() {
+        if (document.getElementById('loading-overlay').style.display === 'flex') return;
+        this.contextNoticeShown = true;
+        this.showLoadingOverlay('The GPU was reset. Restoring the renderer...');
+    }
+
+    showContextRestored(err) {
+        if (!this.contextNoticeShown) return;
+        if (err) {
+            this.showLoadingOverlay('Could not restore the renderer after a GPU reset. Reload the page to continue.');
+            return;
+        }
+        this.contextNoticeShown = false;
+        this.hideLoadingOverlay();
+    }
+
     hideLoadingOverlay() {
         document.getElementById('loading-overlay').style.display = 'none';
+        this.setLoadingCancelHandler(null);
+    }
+
+    // Show the overlay's Cancel button while `onCancel` is set; null hides it.
+    setLoadingCancelHandler(onCancel) {
+        const button = document.getElementById('loading-cancel-btn');
+        if (!button) return;
+
+        button.onclick = onCancel
+            ? () => {
+                button.disabled = true;
+                onCancel();
+            }
+            : null;
+        button.disabled = false;
+        button.style.display = onCancel ? '' : 'none';
     }
 
     hideProgress() {
@@ -790,6 +893,221 @@ export class UI {
         });
     }
 
+    syncEdgeModeUI() {
+        document.getElementById('edge-mode').value = this.state.edgeMode;
+        document.getElementById('edge-color').value = this.state.edgeColor;
+        document.getElementById('edge-color-group').style.display = this.state.edgeMode === 'color' ? '' : 'none';
+    }
+
+    bindAlphaOutput() {
+        this.bindCheckbox('alphaOutput');
+        this.bindSlider('alphaDepthCutoff', 0, 1, 0.01);
+        document.getElementById('alphaOutput-checkbox').addEventListener('change', () => this.syncAlphaOutputUI());
+
+        this.bindFileUpload('alpha-mask-upload', async (file) => {
+            await this.renderer.loadAlphaMask(file);
+            this.syncAlphaOutputUI();
+            await this.saveMediaBlob('alpha-mask', file);
+        });
+
+        document.getElementById('remove-alpha-mask-btn').addEventListener('click', async () => {
+            await this.renderer.clearAlphaMask();
+            this.syncAlphaOutputUI();
+            await this.deleteMediaBlob('alpha-mask');
+        });
+
+        this.syncAlphaOutputUI();
+    }
+
+    // The transparent edge mode also makes frames transparent, so it shares the preview handling
+    syncAlphaOutputUI() {
+        const active = this.renderer.hasAlphaOutput();
+        document.getElementById('alphaOutput-checkbox').checked = this.state.alphaOutput;
+        document.getElementById('alpha-options').style.display = this.state.alphaOutput ? '' : 'none';
+        document.getElementById('alpha-mask-status').textContent = this.renderer.hasAlphaMask() ? '(loaded)' : '(none)';
+        document.getElementById('remove-alpha-mask-btn').disabled = !this.renderer.hasAlphaMask();
+        document.getElementById('alpha-reload-hint').style.display = active && !this.renderer.contextAlpha ? '' : 'none';
+        this.renderer.canvas.classList.toggle('alpha-preview', active && this.renderer.contextAlpha);
+    }
+
+    bindStereo() {
+        this.bindSlider('stereoSeparation', 0, 0.5, 0.01);
+
+        const modeSelect = document.getElementById('stereo-mode');
+        modeSelect.addEventListener('change', (e) => {
+            this.state.stereoMode = e.target.value;
+            this.syncStereoUI();
+            this.scheduleSettingsSave();
+        });
+
+        this.syncStereoUI();
+    }
+
+    syncStereoUI() {
+        document.getElementById('stereo-mode').value = this.state.stereoMode;
+        document.getElementById('stereo-options').style.display = this.state.stereoMode === 'off' ? 'none' : '';
+    }
+
+    // Dev-only (?dev); the debug view is not persisted
+    bindDebugMode() {
+        if (!this.devMode) return;
+
+        document.getElementById('dev-section').style.display = '';
+        const modeSelect = document.getElementById('debug-mode');
+        modeSelect.value = this.state.debugMode;
+        modeSelect.addEventListener('change', (e) => {
+            this.state.debugMode = e.target.value;
+        });
+
+        document.getElementById('lose-context-btn').addEventListener('click', () => {
+            this.renderer.simulateContextLoss();
+        });
+    }
+
+    bindQuilt() {
+        this.bindCheckbox('quiltEnabled');
+        this.bindSlider('quiltColumns', 1, 16, 1, true);
+        this.bindSlider('quiltRows', 1, 16, 1, true);
+        this.bindSlider('quiltViewCone', 5, 90, 1, true);
+        document.getElementById('quiltEnabled-checkbox').addEventListener('change', () => this.syncQuiltUI());
+        this.syncQuiltUI();
+    }
+
+    syncQuiltUI() {
+        document.getElementById('quiltEnabled-checkbox').checked = this.state.quiltEnabled;
+        document.getElementById('quilt-options').style.display = this.state.quiltEnabled ? '' : 'none';
+        for (const name of ['quiltColumns', 'quiltRows', 'quiltViewCone']) {
+            document.getElementById(`${name}-slider`).value = this.state[name];
+            document.getElementById(`${name}-value`).textContent = this.state[name];
+        }
+    }
+
+    bindDepthLayers() {
+        this.bindSlider('layerSplitNear', 0.05, 0.95, 0.01);
+        this.bindSlider('layerSplitFar', 0.05, 0.95, 0.01);
+
+        const modeSelect = document.getElementById('layer-mode');
+        modeSelect.value = this.state.layerMode;
+        modeSelect.addEventListener('change', (e) => {
+            this.state.layerMode = e.target.value;
+            this.syncDepthLayersUI();
+            this.scheduleSettingsSave();
+        });
+
+        for (let i = 0; i < MAX_LAYERS; i++) {
+            for (const kind of ['image', 'depth']) {
+                this.bindFileUpload(`layer-${i}-${kind}-upload`, async (file) => {
+                    await this.renderer.loadLayer(i, kind, file);
+                    this.syncDepthLayersUI();
+                    await this.saveMediaBlob(`layer-${i}-${kind}`, file);
+                });
+            }
+        }
+
+        document.getElementById('clear-layers-btn').addEventListener('click', async () => {
+            await this.renderer.clearUploadedLayers();
+            this.syncDepthLayersUI();
+            for (let i = 0; i < MAX_LAYERS; i++) {
+                await this.deleteMediaBlob(`layer-${i}-image`);
+                await this.deleteMediaBlob(`layer-${i}-depth`);
+            }
+        });
+
+        this.syncDepthLayersUI();
+    }
+
+    syncDepthLayersUI() {
+        const mode = this.state.layerMode;
+        document.getElementById('layer-mode').value = mode;
+        document.getElementById('layer-split-group').style.display = mode === 'split' ? '' : 'none';
+        document.getElementById('layer-upload-group').style.display = mode === 'upload' ? '' : 'none';
+
+        for (let i = 0; i < MAX_LAYERS; i++) {
+            const loaded = ['image', 'depth'].filter((kind) => this.renderer.hasUploadedLayer(i, kind));
+            document.getElementById(`layer-${i}-status`).textContent = loaded.length ? `(${loaded.join(' + ')})` : '(none)';
+        }
+    }
+
+    bindPostEffects() {
+        this.bindSlider('lift', -0.5, 0.5, 0.01);
+        this.bindSlider('gamma', 0.2, 3, 0.01);
+        this.bindSlider('gain', 0, 2, 0.01);
+        this.bindSlider('lutStrength', 0, 1, 0.01);
+        this.bindSlider('sharpenAmount', 0, 2, 0.01);
+        this.bindSlider('chromaticAmount', 0, 1, 0.01);
+        this.bindSlider('vignetteAmount', 0, 1, 0.01);
+        this.bindSlider('vignetteSoftness', 0, 1, 0.01);
+        this.bindSlider('grainAmount', 0, 0.5, 0.01);
+        this.bindSlider('grainSize', 1, 4, 0.1);
+
+        for (const effect of POST_EFFECTS) {
+            this.bindCheckbox(`${effect}Enabled`);
+            document.getElementById(`${effect}Enabled-checkbox`).addEventListener('change', () => this.syncPostEffectsUI());
+        }
+
+        const container = document.getElementById('post-effects');
+        container.addEventListener('click', (e) => {
+            const button = e.target.closest('.post-move');
+            if (!button) return;
+
+            const effect = button.closest('.post-effect').dataset.effect;
+            const order = [...this.state.postOrder];
+            const from = order.indexOf(effect);
+            const to = from + parseInt(button.dataset.direction, 10);
+            if (from < 0 || to < 0 || to >= order.length) return;
+
+            [order[from], order[to]] = [order[to], order[from]];
+            this.state.postOrder = order;
+            this.syncPostEffectsUI();
+            this.scheduleSettingsSave();
+        });
+
+        this.bindFileUpload('lut-upload', async (file) => {
+            try {
+                await this.renderer.setLut(parseCubeLut(await file.text()));
+            } catch (err) {
+                console.error('Could not load LUT:', err);
+                this.showLoadingOverlay(`Could not load LUT: ${err.message}`);
+                await new Promise((resolve) => setTimeout(resolve, 1600));
+                this.hideLoadingOverlay();
+                return;
+            }
+            this.state.lutName = file.name;
+            this.state.lutEnabled = true;
+            this.syncPostEffectsUI();
+            await this.saveMediaBlob('lut', file);
+        });
+
+        document.getElementById('clear-lut-btn').addEventListener('click', async () => {
+            await this.renderer.clearLut();
+            this.state.lutName = '';
+            this.state.lutEnabled = false;
+            this.syncPostEffectsUI();
+            this.scheduleSettingsSave();
+            await this.deleteMediaBlob('lut');
+        });
+
+        this.syncPostEffectsUI();
+    }
+
+    // Order, toggles and LUT name of the post stack; parameter sliders go through updateAllSliders().
+    syncPostEffectsUI() {
+        const container = document.getElementById('post-effects');
+        if (!container) return;
+
+        for (const effect of this.state.postOrder) {
+            const block = container.querySelector(`.post-effect[data-effect="${effect}"]`);
+            if (!block) continue;
+            container.appendChild(block);
+
+            const enabled = Boolean(this.state[`${effect}Enabled`]);
+            document.getElementById(`${effect}Enabled-checkbox`).checked = enabled;
+            block.classList.toggle('collapsed', !enabled);
+        }
+
+        document.getElementById('lut-name').textContent = this.state.lutName ? `(${this.state.lutName})` : '(none)';
+    }
+
     bindMotionPresets() {
         const select = document.getElementById('motion-preset');
         const intensitySlider = document.getElementById('motion-intensity');
@@ -849,17 +1167,31 @@ export class UI {
         if (this.exportControlsBound || !this.recorder) return;
         this.exportControlsBound = true;
 
+        this.bindStillControls();
+        this.bindBatchControls();
+        this.bindBatchImageControls();
+
         const aspectSelect = document.getElementById('aspect-ratio');
+        const resolutionSelect = document.getElementById('export-resolution');
         const loopsSlider = document.getElementById('loops-slider');
         const loopsValue = document.getElementById('loops-value');
         const formatSelect = document.getElementById('export-format');
+        const gifOptionGroups = document.querySelectorAll('.gif-options');
+        const gifDitherSelect = document.getElementById('gif-dither');
+        const gifGlobalPaletteCheckbox = document.getElementById('gif-global-palette');
+        const playCountGroup = document.getElementById('play-count-group');
+        const playCountSelect = document.getElementById('play-count');
+        const sequenceTypeGroup = document.getElementById('sequence-image-type-group');
+        const sequenceTypeSelect = document.getElementById('sequence-image-type');
         const previewBtn = document.getElementById('preview-btn');
         const exportBtn = document.getElementById('export-btn');
+        const exportQualityGroup = document.getElementById('export-quality-group');
         const exportQualitySlider = document.getElementById('export-quality-slider');
         const exportQualityLabel = document.getElementById('export-quality-label');
         const exportQualityValue = document.getElementById('export-quality-value');
         const exportFpsSlider = document.getElementById('export-fps-slider');
         const exportFpsValue = document.getElementById('export-fps-value');
+        const offlineCheckbox = document.getElementById('offline-export-checkbox');
 
         const clampQuality = (value, fallback = 50) => {
             const parsed = Number.parseInt(String(value), 10);
@@ -874,15 +1206,11 @@ export class UI {
         };
 
         const normalizeFormat = (value) => {
-            if (value === 'mp4' || value === 'gif' || value === 'webm') return value;
+            if (EXPORT_FORMATS.includes(value)) return value;
             return 'webm';
         };
 
-        const formatLabel = (format) => {
-            if (format === 'mp4') return 'MP4';
-            if (format === 'gif') return 'GIF';
-            return 'WebM';
-        };
+        const formatLabel = (format) => FORMAT_LABELS[format] || FORMAT_LABELS.webm;
 
         const setPreviewButtonState = (previewing) => {
             previewBtn.classList.toggle('active', previewing);
@@ -898,7 +1226,7 @@ export class UI {
                 this.recorder.aspectRatio = { w: 0, h: 0 };
             }
 
-            const { width, height } = this.getDefaultExportSize(this.recorder.aspectRatio);
+            const { width, height } = this.recorder.getExportSizeForAspect(this.recorder.aspectRatio);
             this.recorder.exportWidth = width;
             this.recorder.exportHeight = height;
 
@@ -912,7 +1240,7 @@ export class UI {
 
         const applyPersistedExportQuality = () => {
             const persistedQuality = this.persistedSettings?.export?.quality || {};
-            for (const format of ['webm', 'mp4', 'gif']) {
+            for (const format of EXPORT_FORMATS) {
                 const fallback = this.pendingExportQuality[format];
                 const quality = clampQuality(persistedQuality[format], fallback);
                 this.pendingExportQuality[format] = quality;
@@ -936,11 +1264,26 @@ export class UI {
                 exportQualitySlider.value = String(quality);
             }
             if (exportQualityLabel) {
-                exportQualityLabel.textContent = `${formatLabel(normalized)} Quality`;
+                exportQualityLabel.textContent = normalized === 'image-sequence'
+                    ? 'JPEG Quality'
+                    : `${formatLabel(normalized)} Quality`;
             }
             if (exportQualityValue) {
                 exportQualityValue.textContent = this.getExportQualityLabel(normalized, quality);
             }
+            // APNG is always lossless, so it has no quality to choose
+            if (exportQualityGroup) {
+                exportQualityGroup.style.display = normalized === 'apng' ? 'none' : '';
+            }
+            if (sequenceTypeGroup) {
+                sequenceTypeGroup.style.display = normalized === 'image-sequence' ? '' : 'none';
+            }
+            if (playCountGroup) {
+                playCountGroup.style.display = ['gif', 'webp', 'apng'].includes(normalized) ? '' : 'none';
+            }
+            gifOptionGroups.forEach((group) => {
+                group.style.display = normalized === 'gif' ? '' : 'none';
+            });
         };
 
         const syncFpsUI = () => {
@@ -956,20 +1299,39 @@ export class UI {
         };
 
         const gifOption = formatSelect.querySelector('option[value="gif"]');
-        if (gifOption && typeof window.GIF === 'undefined') {
-            gifOption.title = 'GIF export is not available in this browser session.';
+        if (gifOption && typeof Worker === 'undefined') {
+            gifOption.title = 'GIF export needs Web Workers; WebM will be recorded instead.';
         }
 
         applyPersistedExportQuality();
         applyPersistedExportFps();
 
         this.recorder.loops = parseInt(loopsSlider.value, 10) || 1;
+        if (offlineCheckbox) {
+            this.recorder.offline = offlineCheckbox.checked;
+        }
+        if (sequenceTypeSelect) {
+            this.recorder.setSequenceImageType(sequenceTypeSelect.value);
+        }
+        if (playCountSelect) {
+            this.recorder.setPlayCount(playCountSelect.value);
+        }
+        if (gifDitherSelect) {
+            this.recorder.setGifDither(gifDitherSelect.value);
+        }
+        if (gifGlobalPaletteCheckbox) {
+            this.recorder.setGifGlobalPalette(gifGlobalPaletteCheckbox.checked);
+        }
         this.recorder.format = normalizeFormat(formatSelect.value);
         formatSelect.value = this.recorder.format;
         loopsValue.textContent = String(this.recorder.loops);
         syncQualityUIForFormat(this.recorder.format);
         syncFpsUI();
 
+        if (resolutionSelect) {
+            this.recorder.exportResolution = parseInt(resolutionSelect.value, 10) || 1080;
+        }
+
         applyAspectPreset(aspectSelect.value, false);
 
         aspectSelect.addEventListener('change', (e) => {
@@ -977,6 +1339,21 @@ export class UI {
             this.scheduleSettingsSave();
         });
 
+        // Stereo layouts and quilts change the output size and its GPU limit
+        for (const id of ['stereo-mode', 'quiltEnabled-checkbox']) {
+            document.getElementById(id).addEventListener('change', () => {
+                applyAspectPreset(aspectSelect.value, true);
+            });
+        }
+
+        if (resolutionSelect) {
+            resolutionSelect.addEventListener('change', (e) => {
+                this.recorder.exportResolution = parseInt(e.target.value, 10) || 1080;
+                applyAspectPreset(aspectSelect.value, true);
+                this.scheduleSettingsSave();
+            });
+        }
+
         loopsSlider.addEventListener('input', (e) => {
             const value = parseInt(e.target.value, 10) || 1;
             this.recorder.loops = value;
@@ -994,6 +1371,35 @@ export class UI {
             this.scheduleSettingsSave();
         });
 
+        if (gifDitherSelect) {
+            gifDitherSelect.addEventListener('change', (e) => {
+                this.recorder.setGifDither(e.target.value);
+                this.scheduleSettingsSave();
+            });
+        }
+
+        if (gifGlobalPaletteCheckbox) {
+            gifGlobalPaletteCheckbox.addEventListener('change', (e) => {
+                this.recorder.setGifGlobalPalette(e.target.checked);
+                this.scheduleSettingsSave();
+            });
+        }
+
+        if (playCountSelect) {
+            playCountSelect.addEventListener('change', (e) => {
+                this.recorder.setPlayCount(e.target.value);
+                this.scheduleSettingsSave();
+            });
+        }
+
+        if (sequenceTypeSelect) {
+            sequenceTypeSelect.addEventListener('change', (e) => {
+                this.recorder.setSequenceImageType(e.target.value);
+                syncQualityUIForFormat(normalizeFormat(this.recorder.format || formatSelect.value));
+                this.scheduleSettingsSave();
+            });
+        }
+
         if (exportQualitySlider) {
             exportQualitySlider.addEventListener('input', (e) => {
                 const activeFormat = normalizeFormat(this.recorder.format || formatSelect.value);
@@ -1016,8 +1422,15 @@ export class UI {
             });
         }
 
+        if (offlineCheckbox) {
+            offlineCheckbox.addEventListener('change', (e) => {
+                this.recorder.offline = e.target.checked;
+                this.scheduleSettingsSave();
+            });
+        }
+
         previewBtn.addEventListener('click', () => {
-            if (this.recorder.isRecording) return;
+            if (this.recorder.isRecording || this.recorder.isBatchRunning) return;
 
             if (this.recorder.isPreviewing) {
                 this.recorder.stopPreview();
@@ -1029,7 +1442,7 @@ export class UI {
         });
 
         exportBtn.addEventListener('click', async () => {
-            if (this.recorder.isRecording) return;
+            if (this.recorder.isRecording || this.recorder.isBatchRunning) return;
 
             if (this.recorder.isPreviewing) {
                 this.recorder.stopPreview();
@@ -1039,45 +1452,513 @@ export class UI {
             previewBtn.disabled = true;
             exportBtn.disabled = true;
             aspectSelect.disabled = true;
+            if (resolutionSelect) {
+                resolutionSelect.disabled = true;
+            }
             loopsSlider.disabled = true;
             formatSelect.disabled = true;
+            if (sequenceTypeSelect) {
+                sequenceTypeSelect.disabled = true;
+            }
+            if (playCountSelect) {
+                playCountSelect.disabled = true;
+            }
+            if (gifDitherSelect) {
+                gifDitherSelect.disabled = true;
+            }
+            if (gifGlobalPaletteCheckbox) {
+                gifGlobalPaletteCheckbox.disabled = true;
+            }
             if (exportQualitySlider) {
                 exportQualitySlider.disabled = true;
             }
             if (exportFpsSlider) {
                 exportFpsSlider.disabled = true;
             }
+            if (offlineCheckbox) {
+                offlineCheckbox.disabled = true;
+            }
 
             const total = this.recorder.getRecordingDuration();
+            const controller = new AbortController();
             this.showLoadingOverlay(`Recording... 0.0s / ${total.toFixed(1)}s`);
+            this.setLoadingCancelHandler(() => controller.abort());
 
             try {
                 let exportPhase = 'recording';
                 await this.recorder.startRecording((progress) => {
                     if (progress.phase === 'encoding') {
                         exportPhase = 'encoding';
-                        this.showLoadingOverlay('Encoding GIF...');
+                        const pct = Number.isFinite(progress.ratio) ? ` ${Math.round(progress.ratio * 100)}%` : '';
+                        this.showLoadingOverlay(`Encoding ${formatLabel(this.recorder.format)}...${pct}`);
+                    } else if (progress.phase === 'paused') {
+                        this.showLoadingOverlay('The GPU was reset. Export paused until the renderer is restored...');
                     } else if (progress.phase === 'recording' && exportPhase !== 'encoding') {
-                        this.showLoadingOverlay(`Recording... ${progress.elapsedSec.toFixed(1)}s / ${progress.totalSec.toFixed(1)}s`);
+                        this.showLoadingOverlay(`Recording... ${this.formatRecordingProgress(progress)}`);
                     }
-                });
+                }, { signal: controller.signal });
             } catch (err) {
-                console.error('Export failed:', err);
-                this.showLoadingOverlay('Export failed. See console for details.');
-                await new Promise((resolve) => setTimeout(resolve, 1200));
+                this.setLoadingCancelHandler(null);
+                if (isAbortError(err)) {
+                    this.showLoadingOverlay('Export cancelled.');
+                    await new Promise((resolve) => setTimeout(resolve, 600));
+                } else if (isContextLostError(err)) {
+                    this.showLoadingOverlay('Recording stopped: the GPU was reset. Start it again once the preview is back.');
+                    await new Promise((resolve) => setTimeout(resolve, 2000));
+                } else {
+                    console.error('Export failed:', err);
+                    this.showLoadingOverlay('Export failed. See console for details.');
+                    await new Promise((resolve) => setTimeout(resolve, 1200));
+                }
             } finally {
                 this.hideLoadingOverlay();
                 previewBtn.disabled = false;
                 exportBtn.disabled = false;
                 aspectSelect.disabled = false;
+                if (resolutionSelect) {
+                    resolutionSelect.disabled = false;
+                }
                 loopsSlider.disabled = false;
                 formatSelect.disabled = false;
+                if (sequenceTypeSelect) {
+                    sequenceTypeSelect.disabled = false;
+                }
+                if (playCountSelect) {
+                    playCountSelect.disabled = false;
+                }
+                if (gifDitherSelect) {
+                    gifDitherSelect.disabled = false;
+                }
+                if (gifGlobalPaletteCheckbox) {
+                    gifGlobalPaletteCheckbox.disabled = false;
+                }
                 if (exportQualitySlider) {
                     exportQualitySlider.disabled = false;
                 }
                 if (exportFpsSlider) {
                     exportFpsSlider.disabled = false;
                 }
+                if (offlineCheckbox) {
+                    offlineCheckbox.disabled = false;
+                }
+            }
+        });
+    }
+
+    loadExportProfiles() {
+        try {
+            const parsed = JSON.parse(localStorage.getItem(this.profilesStorageKey) || '{}');
+            return parsed && typeof parsed === 'object' ? parsed : {};
+        } catch {
+            return {};
+        }
+    }
+
+    saveExportProfiles(profiles) {
+        try {
+            localStorage.setItem(this.profilesStorageKey, JSON.stringify(profiles));
+        } catch (err) {
+            console.warn('Failed to persist export profiles:', err);
+        }
+    }
+
+    // "1200x628, 1080 x 1350" -> [{ width, height }]
+    parseCustomSizes(text) {
+        const sizes = [];
+        for (const match of String(text || '').matchAll(/(\d+)\s*[x×]\s*(\d+)/gi)) {
+            const width = parseInt(match[1], 10);
+            const height = parseInt(match[2], 10);
+            if (width >= 2 && height >= 2) {
+                sizes.push({ width, height });
+            }
+        }
+        return sizes;
+    }
+
+    bindBatchControls() {
+        const aspectsEl = document.getElementById('batch-aspects');
+        const formatsEl = document.getElementById('batch-formats');
+        const customSizesInput = document.getElementById('batch-custom-sizes');
+        const deliverySelect = document.getElementById('batch-delivery');
+        const summaryEl = document.getElementById('batch-summary');
+        const runBtn = document.getElementById('batch-export-btn');
+        const profileSelect = document.getElementById('export-profile');
+        const profileNameInput = document.getElementById('export-profile-name');
+        const saveProfileBtn = document.getElementById('save-profile-btn');
+        const deleteProfileBtn = document.getElementById('delete-profile-btn');
+        if (!aspectsEl || !formatsEl || !runBtn) return;
+
+        const addCheckbox = (container, value, label, checked) => {
+            const wrapper = document.createElement('label');
+            const input = document.createElement('input');
+            input.type = 'checkbox';
+            input.value = value;
+            input.checked = checked;
+            wrapper.append(input, document.createTextNode(label));
+            container.appendChild(wrapper);
+        };
+
+        for (const key of Object.keys(ASPECT_PRESETS)) {
+            if (key === 'custom') continue;
+            addCheckbox(aspectsEl, key, key === 'full' ? 'Full' : key, false);
+        }
+        for (const format of EXPORT_FORMATS) {
+            addCheckbox(formatsEl, format, FORMAT_LABELS[format], false);
+        }
+
+        const checkedValues = (container) => Array.from(container.querySelectorAll('input:checked')).map((input) => input.value);
+        const setCheckedValues = (container, values) => {
+            container.querySelectorAll('input').forEach((input) => {
+                input.checked = values.includes(input.value);
+            });
+        };
+
+        const readQueue = () => ({
+            aspects: checkedValues(aspectsEl),
+            customSizes: customSizesInput ? customSizesInput.value.trim() : '',
+            formats: checkedValues(formatsEl),
+            delivery: deliverySelect ? deliverySelect.value : 'individual'
+        });
+
+        const applyQueue = (queue) => {
+            setCheckedValues(aspectsEl, Array.isArray(queue.aspects) ? queue.aspects : []);
+            setCheckedValues(formatsEl, Array.isArray(queue.formats) ? queue.formats : []);
+            if (customSizesInput) customSizesInput.value = typeof queue.customSizes === 'string' ? queue.customSizes : '';
+            if (deliverySelect && ['individual', 'zip'].includes(queue.delivery)) deliverySelect.value = queue.delivery;
+        };
+
+        // Every aspect (and custom size) is exported in every selected format.
+        const buildJobs = (queue) => {
+            const targets = [
+                ...queue.aspects.map((aspect) => ({ aspect })),
+                ...this.parseCustomSizes(queue.customSizes).map((size) => ({ aspect: 'custom', ...size }))
+            ];
+            return targets.flatMap((target) => queue.formats.map((format) => ({ ...target, format })));
+        };
+
+        const updateSummary = () => {
+            const count = buildJobs(readQueue()).length;
+            if (summaryEl) {
+                summaryEl.textContent = count === 0 ? 'No jobs selected' : `${count} export${count === 1 ? '' : 's'} queued`;
+            }
+            runBtn.disabled = count === 0;
+        };
+
+        const refreshProfiles = (selected = '') => {
+            if (!profileSelect) return;
+            const profiles = this.loadExportProfiles();
+            profileSelect.innerHTML = '';
+            profileSelect.appendChild(new Option('Unsaved queue', ''));
+            for (const name of Object.keys(profiles).sort()) {
+                profileSelect.appendChild(new Option(name, name));
+            }
+            profileSelect.value = selected in profiles ? selected : '';
+        };
+
+        [aspectsEl, formatsEl].forEach((container) => container.addEventListener('change', updateSummary));
+        if (customSizesInput) customSizesInput.addEventListener('input', updateSummary);
+
+        if (profileSelect) {
+            profileSelect.addEventListener('change', (e) => {
+                const profile = this.loadExportProfiles()[e.target.value];
+                if (profile) {
+                    applyQueue(profile);
+                    if (profileNameInput) profileNameInput.value = e.target.value;
+                }
+                updateSummary();
+            });
+        }
+
+        if (saveProfileBtn) {
+            saveProfileBtn.addEventListener('click', () => {
+                const name = (profileNameInput ? profileNameInput.value : '').trim();
+                if (!name) {
+                    if (profileNameInput) profileNameInput.focus();
+                    return;
+                }
+                const profiles = this.loadExportProfiles();
+                profiles[name] = readQueue();
+                this.saveExportProfiles(profiles);
+                refreshProfiles(name);
+            });
+        }
+
+        if (deleteProfileBtn) {
+            deleteProfileBtn.addEventListener('click', () => {
+                const name = profileSelect ? profileSelect.value : '';
+                if (!name) return;
+                const profiles = this.loadExportProfiles();
+                delete profiles[name];
+                this.saveExportProfiles(profiles);
+                refreshProfiles();
+                if (profileNameInput) profileNameInput.value = '';
+            });
+        }
+
+        runBtn.addEventListener('click', async () => {
+            if (this.recorder.isRecording || this.recorder.isBatchRunning) return;
+
+            const queue = readQueue();
+            const jobs = buildJobs(queue);
+            if (jobs.length === 0) return;
+
+            if (this.recorder.isPreviewing) {
+                this.recorder.stopPreview();
+            }
+
+            const controller = new AbortController();
+            runBtn.disabled = true;
+            this.showLoadingOverlay(`Job 1/${jobs.length}: starting...`);
+            this.setLoadingCancelHandler(() => controller.abort());
+
+            try {
+                await this.recorder.runBatch(jobs, {
+                    delivery: queue.delivery,
+                    signal: controller.signal,
+                    onProgress: (progress) => {
+                        const { job } = progress;
+                        const prefix = `Job ${progress.jobIndex + 1}/${progress.jobCount} (${job.label} ${FORMAT_LABELS[job.format]})`;
+                        if (progress.phase === 'encoding') {
+                            const pct = Number.isFinite(progress.ratio) ? ` ${Math.round(progress.ratio * 100)}%` : '';
+                            this.showLoadingOverlay(`${prefix}: encoding...${pct}`);
+                        } else if (progress.phase === 'paused') {
+                            this.showLoadingOverlay(`${prefix}: paused until the renderer recovers from a GPU reset...`);
+                        } else {
+                            this.showLoadingOverlay(`${prefix}: ${this.formatRecordingProgress(progress)}`);
+                        }
+                    }
+                });
+            } catch (err) {
+                this.setLoadingCancelHandler(null);
+                if (isAbortError(err)) {
+                    this.showLoadingOverlay('Batch export cancelled.');
+                    await new Promise((resolve) => setTimeout(resolve, 600));
+                } else if (isContextLostError(err)) {
+                    this.showLoadingOverlay('Batch export stopped: the GPU was reset during a realtime recording.');
+                    await new Promise((resolve) => setTimeout(resolve, 2000));
+                } else {
+                    console.error('Batch export failed:', err);
+                    this.showLoadingOverlay('Batch export failed. See console for details.');
+                    await new Promise((resolve) => setTimeout(resolve, 1200));
+                }
+            } finally {
+                this.hideLoadingOverlay();
+                updateSummary();
+            }
+        });
+
+        refreshProfiles();
+        updateSummary();
+    }
+
+    bindBatchImageControls() {
+        const section = document.getElementById('batch-images-section');
+        const filesInput = document.getElementById('batch-files');
+        const folderInput = document.getElementById('batch-folder');
+        const summaryEl = document.getElementById('batch-images-summary');
+        const resumeBtn = document.getElementById('batch-images-resume-btn');
+        const discardBtn = document.getElementById('batch-images-discard-btn');
+        if (!section || !this.batchProcessor) return;
+
+        const processor = this.batchProcessor;
+        const defaultSummary = summaryEl ? summaryEl.textContent : '';
+
+        const syncPendingBatch = async () => {
+            const manifest = await processor.loadManifest();
+            const pending = processor.getPendingCount(manifest);
+            if (summaryEl) {
+                summaryEl.textContent = pending > 0
+                    ? `Unfinished batch: ${pending} of ${manifest.items.length} images left.`
+                    : defaultSummary;
+            }
+            if (resumeBtn) resumeBtn.style.display = pending > 0 ? '' : 'none';
+            if (discardBtn) discardBtn.style.display = pending > 0 ? '' : 'none';
+            return pending > 0 ? manifest : null;
+        };
+
+        const runManifest = async (manifest) => {
+            if (this.recorder.isPreviewing) {
+                this.recorder.stopPreview();
+            }
+
+            const controller = new AbortController();
+            const { signal } = controller;
+            this.setDepthGenerationBusy(true);
+            this.showLoadingOverlay('Starting batch...');
+            this.setLoadingCancelHandler(() => controller.abort());
+
+            try {
+                if (!this.depthEstimator.isReady()) {
+                    await abortable(this.depthEstimator.init((p) => {
+                        if (p.status === 'progress' && !signal.aborted) {
+                            this.showLoadingOverlay(`Downloading model: ${Math.round((p.loaded / p.total) * 100)}%`);
+                        }
+                    }), signal);
+                }
+
+                const result = await processor.run(manifest, {
+                    signal,
+                    applySettings: (settings) => this.applyRenderSettings(settings),
+                    prepareImage: async (blob) => {
+                        const resized = await this.resizeImage(blob, this.state.maxResolution);
+                        await this.renderer.loadImage(resized);
+                        return resized;
+                    },
+                    onProgress: (progress) => {
+                        const prefix = `Image ${progress.index + 1}/${progress.total} (${progress.item.name})`;
+                        if (progress.phase === 'depth') {
+                            this.showLoadingOverlay(`${prefix}: estimating depth...`);
+                        } else if (progress.phase === 'encoding') {
+                            const pct = Number.isFinite(progress.ratio) ? ` ${Math.round(progress.ratio * 100)}%` : '';
+                            this.showLoadingOverlay(`${prefix}: encoding...${pct}`);
+                        } else if (progress.phase === 'paused') {
+                            this.showLoadingOverlay(`${prefix}: paused until the renderer recovers from a GPU reset...`);
+                        } else {
+                            this.showLoadingOverlay(`${prefix}: ${this.formatRecordingProgress(progress)}`);
+                        }
+                    }
+                });
+
+                if (result && result.failed.length > 0) {
+                    this.setLoadingCancelHandler(null);
+                    this.showLoadingOverlay(`Batch finished; ${result.failed.length} of ${result.total} images failed. See console for details.`);
+                    await new Promise((resolve) => setTimeout(resolve, 2000));
+                }
+            } catch (err) {
+                this.setLoadingCancelHandler(null);
+                if (isAbortError(err)) {
+                    this.showLoadingOverlay('Batch paused. Resume it from Batch Images.');
+                    await new Promise((resolve) => setTimeout(resolve, 1000));
+                } else {
+                    console.error('Batch processing failed:', err);
+                    this.showLoadingOverlay('Batch processing failed. See console for details.');
+                    await new Promise((resolve) => setTimeout(resolve, 1200));
+                }
+            } finally {
+                // Put the user's own image and depth map back on screen.
+                try {
+                    await this.restorePersistedMedia();
+                } catch (err) {
+                    console.warn('Failed to restore image after batch:', err);
+                }
+                this.hideLoadingOverlay();
+                this.setDepthGenerationBusy(false);
+                await syncPendingBatch();
+            }
+        };
+
+        const startBatch = async (files) => {
+            if (processor.isRunning || this.recorder.isRecording || this.recorder.isBatchRunning) return;
+            if (this.depthGenerationInProgress) return;
+
+            let manifest;
+            try {
+                manifest = await processor.queue(files, this.buildSettingsSnapshot());
+            } catch (err) {
+                this.showLoadingOverlay(err.message);
+                await new Promise((resolve) => setTimeout(resolve, 1200));
+                this.hideLoadingOverlay();
+                return;
+            }
+            await runManifest(manifest);
+        };
+
+        [filesInput, folderInput].forEach((input) => {
+            if (!input) return;
+            input.addEventListener('change', async (e) => {
+                const files = Array.from(e.target.files || []);
+                input.value = '';
+                if (files.length > 0) {
+                    await startBatch(files);
+                }
+            });
+        });
+
+        section.addEventListener('dragover', (e) => {
+            e.preventDefault();
+            section.classList.add('drag-over');
+        });
+        section.addEventListener('dragleave', (e) => {
+            if (!section.contains(e.relatedTarget)) {
+                section.classList.remove('drag-over');
+            }
+        });
+        section.addEventListener('drop', async (e) => {
+            e.preventDefault();
+            section.classList.remove('drag-over');
+            try {
+                const files = await collectDroppedFiles(e.dataTransfer);
+                if (files.length > 0) {
+                    await startBatch(files);
+                }
+            } catch (err) {
+                console.error('Could not read dropped files:', err);
+            }
+        });
+
+        if (resumeBtn) {
+            resumeBtn.addEventListener('click', async () => {
+                if (processor.isRunning || this.recorder.isRecording || this.recorder.isBatchRunning) return;
+                if (this.depthGenerationInProgress) return;
+                const manifest = await syncPendingBatch();
+                if (manifest) {
+                    await runManifest(manifest);
+                }
+            });
+        }
+
+        if (discardBtn) {
+            discardBtn.addEventListener('click', async () => {
+                if (processor.isRunning) return;
+                await processor.clear();
+                await syncPendingBatch();
+            });
+        }
+
+        syncPendingBatch();
+    }
+
+    bindStillControls() {
+        const sizeSelect = document.getElementById('still-size');
+        const ssaaSelect = document.getElementById('still-ssaa');
+        const formatSelect = document.getElementById('still-format');
+        const timeInput = document.getElementById('still-time');
+        const saveBtn = document.getElementById('save-still-btn');
+        if (!saveBtn) return;
+
+        for (const select of [sizeSelect, ssaaSelect, formatSelect]) {
+            if (select) {
+                select.addEventListener('change', () => this.scheduleSettingsSave());
+            }
+        }
+
+        saveBtn.addEventListener('click', async () => {
+            if (this.recorder.isRecording || this.recorder.isBatchRunning) return;
+
+            const rawTime = timeInput ? timeInput.value.trim() : '';
+            const timeSec = rawTime === '' ? null : Math.max(0, parseFloat(rawTime) || 0);
+
+            saveBtn.disabled = true;
+            this.showLoadingOverlay('Rendering still...');
+
+            try {
+                // Let the overlay paint before the (blocking) GPU render and readback.
+                await new Promise((resolve) => requestAnimationFrame(() => resolve()));
+                await this.recorder.saveStill({
+                    longSide: sizeSelect ? parseInt(sizeSelect.value, 10) : 3840,
+                    ssaa: ssaaSelect ? parseInt(ssaaSelect.value, 10) || 1 : 1,
+                    format: formatSelect ? formatSelect.value : 'png',
+                    timeSec
+                });
+            } catch (err) {
+                console.error('Still export failed:', err);
+                this.showLoadingOverlay(isContextLostError(err)
+                    ? 'The GPU was reset while rendering the still. Save it again once the preview is back.'
+                    : 'Still export failed. See console for details.');
+                await new Promise((resolve) => setTimeout(resolve, 1200));
+            } finally {
+                this.hideLoadingOverlay();
+                saveBtn.disabled = false;
             }
         });
     }
@@ -1085,6 +1966,18 @@ export class UI {
     getExportQualityLabel(format, quality) {
         const clampedQuality = Math.max(1, Math.min(100, Math.round(Number(quality) || 50)));
 
+        if (format === 'image-sequence') {
+            return this.recorder.sequenceImageType === 'jpeg' ? `${clampedQuality}%` : 'Lossless (PNG)';
+        }
+
+        if (format === 'apng') {
+            return 'Lossless (APNG)';
+        }
+
+        if (format === 'webp') {
+            return clampedQuality >= 100 ? 'Best (lossless where supported)' : `${clampedQuality}%`;
+        }
+
         if (format === 'gif') {
             const sampleStep = this.recorder.getGifEncoderQualityFromSlider(clampedQuality);
             return `${clampedQuality}% (sample ${sampleStep})`;
@@ -1097,19 +1990,17 @@ export class UI {
         return `${clampedQuality}% (${bitrate.toFixed(1)} Mbps)`;
     }
 
-    getDefaultExportSize(aspectRatio) {
-        let ratio;
-        if (aspectRatio && aspectRatio.w > 0 && aspectRatio.h > 0) {
-            ratio = aspectRatio.w / aspectRatio.h;
-        } else {
-            const rect = this.renderer.canvas.getBoundingClientRect();
-            ratio = rect.height > 0 ? rect.width / rect.height : (16 / 9);
+    // Realtime recordings skip frames the renderer couldn't deliver in time; say so.
+    // GIF exports encode during capture and report how far behind the encoder is.
+    formatRecordingProgress({ elapsedSec, totalSec, droppedFrames = 0, encodedRatio = null }) {
+        let text = `${elapsedSec.toFixed(1)}s / ${totalSec.toFixed(1)}s`;
+        if (Number.isFinite(encodedRatio)) {
+            text += `, ${Math.round(encodedRatio * 100)}% encoded`;
         }
-
-        const isLandscape = ratio > 1;
-        const width = isLandscape ? 1920 : 1080;
-        const height = Math.max(1, Math.round(width / ratio));
-        return { width, height };
+        if (droppedFrames > 0) {
+            text += ` (${droppedFrames} ${droppedFrames === 1 ? 'frame' : 'frames'} dropped)`;
+        }
+        return text;
     }
 
     updateExportDurationText() {
@@ -1124,7 +2015,10 @@ export class UI {
 
     updateAllSliders() {
         const names = ['height', 'steady', 'focus', 'zoom', 'isometric',
-                       'dolly', 'invert', 'quality', 'smoothing', 'edgeFix', 'ssaa'];
+                       'dolly', 'invert', 'quality', 'smoothing', 'edgeFix', 'edgeFixSmoothing', 'ssaa',
+                       'alphaDepthCutoff', 'stereoSeparation', 'aperture', 'focalDepth', 'layerSplitNear', 'layerSplitFar', 'lift', 'gamma', 'gain', 'lutStrength',
+                       'sharpenAmount', 'chromaticAmount', 'vignetteAmount', 'vignetteSoftness',
+                       'grainAmount', 'grainSize'];
 
         for (const name of names) {
             const slider = document.getElementById(`${name}-slider`);
@@ -1138,7 +2032,18 @@ export class UI {
             }
         }
 
-        document.getElementById('mirror-checkbox').checked = this.state.mirror;
+        this.syncEdgeModeUI();
+        document.getElementById('inpaint-checkbox').checked = this.state.inpaint;
+        document.getElementById('hierarchicalMarch-checkbox').checked = this.state.hierarchicalMarch;
+        document.getElementById('accumulationSamples-slider').value = this.state.accumulationSamples;
+        document.getElementById('accumulationSamples-value').textContent = this.state.accumulationSamples;
+        document.getElementById('progressiveRefine-checkbox').checked = this.state.progressiveRefine;
+        this.syncAlphaOutputUI();
+        this.syncStereoUI();
+        this.syncQuiltUI();
+        document.getElementById('bokeh-shape').value = String(this.state.bokehBlades);
+        this.syncDepthLayersUI();
+        this.syncPostEffectsUI();
         document.getElementById('max-resolution').value = String(this.state.maxResolution);
         document.getElementById('auto-depth-checkbox').checked = this.autoDepthEnabled;
         document.getElementById('motion-intensity').value = String(this.motion.intensity);
@@ -1170,74 +2075,11 @@ export class UI {
         const persisted = this.persistedSettings;
         if (!persisted) return;
 
-        const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
-        const numOrNull = (value) => {
-            const parsed = Number(value);
-            return Number.isFinite(parsed) ? parsed : null;
-        };
-
-        const stateData = persisted.state || {};
-        const applyStateNumber = (key, min = null, max = null) => {
-            const value = numOrNull(stateData[key]);
-            if (value === null) return;
-            this.state[key] = (min === null || max === null) ? value : clamp(value, min, max);
-        };
-
-        applyStateNumber('height', 0, 2);
-        applyStateNumber('steady', 0, 1);
-        applyStateNumber('focus', 0, 1);
-        applyStateNumber('zoom', 0.1, 3);
-        applyStateNumber('_targetZoom', 0.1, 3);
-        applyStateNumber('isometric', 0, 1);
-        applyStateNumber('dolly', 0, 20);
-        applyStateNumber('invert', 0, 1);
-        applyStateNumber('quality', 0.1, 1);
-        applyStateNumber('smoothing', 0, 0.99);
-        applyStateNumber('edgeFix', 0, 1);
-        applyStateNumber('ssaa', 1, 2);
-
-        applyStateNumber('offsetX');
-        applyStateNumber('offsetY');
-        applyStateNumber('_targetOffsetX');
-        applyStateNumber('_targetOffsetY');
-        applyStateNumber('centerX');
-        applyStateNumber('centerY');
-        applyStateNumber('originX');
-        applyStateNumber('originY');
-
-        if (typeof stateData.mirror === 'boolean') {
-            this.state.mirror = stateData.mirror;
-        }
-
-        const maxResolution = parseInt(stateData.maxResolution, 10);
-        if ([0, 1024, 1920, 2560, 3840].includes(maxResolution)) {
-            this.state.maxResolution = maxResolution;
-        }
-
         if (typeof persisted.autoDepthEnabled === 'boolean') {
             this.autoDepthEnabled = persisted.autoDepthEnabled;
         }
 
-        const motionData = persisted.motion || {};
-        if (typeof motionData.preset === 'string' && motionData.preset in PRESETS) {
-            this.motion.preset = motionData.preset;
-        } else {
-            this.motion.preset = 'none';
-        }
-
-        const intensity = numOrNull(motionData.intensity);
-        if (intensity !== null) {
-            this.motion.intensity = clamp(intensity, 0.1, 3);
-        }
-
-        const speed = numOrNull(motionData.speed);
-        if (speed !== null) {
-            this.motion.speed = clamp(speed, 0.1, 3);
-        }
-
-        this.motion.running = this.motion.preset !== 'none';
-        this.state.motionEnabled = this.motion.running;
-        this.motion.time = 0;
+        this.applyRenderSettings(persisted);
 
         const exportData = persisted.export || {};
         const aspectSelect = document.getElementById('aspect-ratio');
@@ -1256,11 +2098,53 @@ export class UI {
             }
         }
 
+        const resolutionSelect = document.getElementById('export-resolution');
+        const hasOption = (select, value) => Array.from(select.options).some((option) => option.value === String(value));
+        if (resolutionSelect && hasOption(resolutionSelect, parseInt(exportData.resolution, 10))) {
+            resolutionSelect.value = String(parseInt(exportData.resolution, 10));
+        }
+
         const formatSelect = document.getElementById('export-format');
-        if (formatSelect && ['webm', 'mp4', 'gif'].includes(exportData.format)) {
+        if (formatSelect && EXPORT_FORMATS.includes(exportData.format)) {
             formatSelect.value = exportData.format;
         }
 
+        const sequenceTypeSelect = document.getElementById('sequence-image-type');
+        if (sequenceTypeSelect && ['png', 'jpeg'].includes(exportData.sequenceImageType)) {
+            sequenceTypeSelect.value = exportData.sequenceImageType;
+        }
+
+        const gifDitherSelect = document.getElementById('gif-dither');
+        if (gifDitherSelect && typeof exportData.gifDither === 'string' && hasOption(gifDitherSelect, exportData.gifDither)) {
+            gifDitherSelect.value = exportData.gifDither;
+        }
+
+        const gifGlobalPaletteCheckbox = document.getElementById('gif-global-palette');
+        if (gifGlobalPaletteCheckbox && typeof exportData.gifGlobalPalette === 'boolean') {
+            gifGlobalPaletteCheckbox.checked = exportData.gifGlobalPalette;
+        }
+
+        const playCountSelect = document.getElementById('play-count');
+        if (playCountSelect && hasOption(playCountSelect, parseInt(exportData.playCount, 10))) {
+            playCountSelect.value = String(parseInt(exportData.playCount, 10));
+        }
+
+        const stillData = exportData.still || {};
+        const restoreSelect = (id, value) => {
+            const select = document.getElementById(id);
+            if (select && value !== undefined && hasOption(select, value)) {
+                select.value = String(value);
+            }
+        };
+        restoreSelect('still-size', stillData.size);
+        restoreSelect('still-ssaa', stillData.ssaa);
+        restoreSelect('still-format', stillData.format);
+
+        const offlineCheckbox = document.getElementById('offline-export-checkbox');
+        if (offlineCheckbox && typeof exportData.offline === 'boolean') {
+            offlineCheckbox.checked = exportData.offline;
+        }
+
         const exportQuality = exportData.quality || {};
         const parseExportQuality = (value, fallback) => {
             const parsed = Number.parseInt(String(value), 10);
@@ -1271,14 +2155,13 @@ export class UI {
             return Number.isFinite(parsed) ? Math.max(12, Math.min(60, parsed)) : fallback;
         };
 
-        this.pendingExportQuality = {
-            webm: parseExportQuality(exportQuality.webm, 50),
-            mp4: parseExportQuality(exportQuality.mp4, 50),
-            gif: parseExportQuality(exportQuality.gif, 70)
-        };
+        this.pendingExportQuality = Object.fromEntries(EXPORT_FORMATS.map((format) => [
+            format,
+            parseExportQuality(exportQuality[format], DEFAULT_EXPORT_QUALITY[format])
+        ]));
         this.pendingExportFps = parseExportFps(exportData.fps, this.pendingExportFps);
 
-        const activeExportFormat = formatSelect && ['webm', 'mp4', 'gif'].includes(formatSelect.value)
+        const activeExportFormat = formatSelect && EXPORT_FORMATS.includes(formatSelect.value)
             ? formatSelect.value
             : 'webm';
         const exportQualitySlider = document.getElementById('export-quality-slider');
@@ -1303,6 +2186,149 @@ export class UI {
         }
     }
 
+    // Render state (camera, lens, post stack) and motion part of a settings snapshot;
+    // shared by restore-on-load and batch runs.
+    applyRenderSettings(settings) {
+        const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+        const numOrNull = (value) => {
+            const parsed = Number(value);
+            return Number.isFinite(parsed) ? parsed : null;
+        };
+
+        const stateData = settings.state || {};
+        const applyStateNumber = (key, min = null, max = null) => {
+            const value = numOrNull(stateData[key]);
+            if (value === null) return;
+            this.state[key] = (min === null || max === null) ? value : clamp(value, min, max);
+        };
+
+        applyStateNumber('height', 0, 2);
+        applyStateNumber('steady', 0, 1);
+        applyStateNumber('focus', 0, 1);
+        applyStateNumber('zoom', 0.1, 3);
+        applyStateNumber('_targetZoom', 0.1, 3);
+        applyStateNumber('isometric', 0, 1);
+        applyStateNumber('dolly', 0, 20);
+        applyStateNumber('invert', 0, 1);
+        applyStateNumber('quality', 0.1, 1);
+        applyStateNumber('smoothing', 0, 0.99);
+        applyStateNumber('edgeFix', 0, 1);
+        applyStateNumber('edgeFixSmoothing', 0, 1);
+        applyStateNumber('ssaa', 1, 2);
+        applyStateNumber('accumulationSamples', 1, MAX_ACCUMULATION_SAMPLES);
+        this.state.accumulationSamples = Math.round(this.state.accumulationSamples);
+        applyStateNumber('alphaDepthCutoff', 0, 1);
+        applyStateNumber('stereoSeparation', 0, 0.5);
+        applyStateNumber('quiltColumns', 1, 16);
+        applyStateNumber('quiltRows', 1, 16);
+        applyStateNumber('quiltViewCone', 5, 90);
+        applyStateNumber('focalDepth', 0, 1);
+        applyStateNumber('aperture', 0, 1);
+        applyStateNumber('layerSplitNear', 0.05, 0.95);
+        applyStateNumber('layerSplitFar', 0.05, 0.95);
+        applyStateNumber('lift', -0.5, 0.5);
+        applyStateNumber('gamma', 0.2, 3);
+        applyStateNumber('gain', 0, 2);
+        applyStateNumber('lutStrength', 0, 1);
+        applyStateNumber('sharpenAmount', 0, 2);
+        applyStateNumber('chromaticAmount', 0, 1);
+        applyStateNumber('vignetteAmount', 0, 1);
+        applyStateNumber('vignetteSoftness', 0, 1);
+        applyStateNumber('grainAmount', 0, 0.5);
+        applyStateNumber('grainSize', 1, 4);
+
+        for (const effect of POST_EFFECTS) {
+            if (typeof stateData[`${effect}Enabled`] === 'boolean') {
+                this.state[`${effect}Enabled`] = stateData[`${effect}Enabled`];
+            }
+        }
+
+        // Must name every effect exactly once.
+        const postOrder = stateData.postOrder;
+        if (Array.isArray(postOrder) && postOrder.length === POST_EFFECTS.length
+            && POST_EFFECTS.every((effect) => postOrder.includes(effect))) {
+            this.state.postOrder = [...postOrder];
+        }
+
+        if (typeof stateData.lutName === 'string') {
+            this.state.lutName = stateData.lutName;
+        }
+
+        applyStateNumber('offsetX');
+        applyStateNumber('offsetY');
+        applyStateNumber('_targetOffsetX');
+        applyStateNumber('_targetOffsetY');
+        applyStateNumber('centerX');
+        applyStateNumber('centerY');
+        applyStateNumber('originX');
+        applyStateNumber('originY');
+
+        if (EDGE_MODES.includes(stateData.edgeMode)) {
+            this.state.edgeMode = stateData.edgeMode;
+        } else if (typeof stateData.mirror === 'boolean') {
+            // Settings from before edge modes: mirror on/off, off meaning a black border
+            this.state.edgeMode = stateData.mirror ? 'mirror' : 'color';
+            this.state.edgeColor = '#000000';
+        }
+        if (typeof stateData.edgeColor === 'string' && /^#[0-9a-f]{6}$/i.test(stateData.edgeColor)) {
+            this.state.edgeColor = stateData.edgeColor;
+        }
+        if (typeof stateData.inpaint === 'boolean') {
+            this.state.inpaint = stateData.inpaint;
+        }
+        if (typeof stateData.hierarchicalMarch === 'boolean') {
+            this.state.hierarchicalMarch = stateData.hierarchicalMarch;
+        }
+        if (typeof stateData.progressiveRefine === 'boolean') {
+            this.state.progressiveRefine = stateData.progressiveRefine;
+        }
+        if (typeof stateData.alphaOutput === 'boolean') {
+            this.state.alphaOutput = stateData.alphaOutput;
+        }
+
+        if (STEREO_MODES.includes(stateData.stereoMode)) {
+            this.state.stereoMode = stateData.stereoMode;
+        }
+        if (typeof stateData.quiltEnabled === 'boolean') {
+            this.state.quiltEnabled = stateData.quiltEnabled;
+        }
+
+        if (['off', 'split', 'upload'].includes(stateData.layerMode)) {
+            this.state.layerMode = stateData.layerMode;
+        }
+
+        const bokehBlades = parseInt(stateData.bokehBlades, 10);
+        if ([0, 5, 6, 8].includes(bokehBlades)) {
+            this.state.bokehBlades = bokehBlades;
+        }
+
+        const maxResolution = parseInt(stateData.maxResolution, 10);
+        if ([0, 1024, 1920, 2560, 3840].includes(maxResolution)) {
+            this.state.maxResolution = maxResolution;
+        }
+
+        const motionData = settings.motion || {};
+        if (typeof motionData.preset === 'string' && motionData.preset in PRESETS) {
+            this.motion.preset = motionData.preset;
+        } else {
+            this.motion.preset = 'none';
+        }
+
+        const intensity = numOrNull(motionData.intensity);
+        if (intensity !== null) {
+            this.motion.intensity = clamp(intensity, 0.1, 3);
+        }
+
+        const speed = numOrNull(motionData.speed);
+        if (speed !== null) {
+            this.motion.speed = clamp(speed, 0.1, 3);
+        }
+
+        this.motion.running = this.motion.preset !== 'none';
+        this.state.motionEnabled = this.motion.running;
+        this.motion.time = 0;
+    }
+
     bindPersistenceTriggers() {
         const save = () => this.scheduleSettingsSave();
         this.renderer.canvas.addEventListener('mouseup', save);
@@ -1339,8 +2365,17 @@ export class UI {
 
     buildSettingsSnapshot() {
         const aspectSelect = document.getElementById('aspect-ratio');
+        const resolutionSelect = document.getElementById('export-resolution');
         const loopsSlider = document.getElementById('loops-slider');
         const formatSelect = document.getElementById('export-format');
+        const offlineCheckbox = document.getElementById('offline-export-checkbox');
+        const sequenceTypeSelect = document.getElementById('sequence-image-type');
+        const playCountSelect = document.getElementById('play-count');
+        const gifDitherSelect = document.getElementById('gif-dither');
+        const gifGlobalPaletteCheckbox = document.getElementById('gif-global-palette');
+        const stillSizeSelect = document.getElementById('still-size');
+        const stillSsaaSelect = document.getElementById('still-ssaa');
+        const stillFormatSelect = document.getElementById('still-format');
         const sanitizeQuality = (value, fallback) => {
             const parsed = Number.parseInt(String(value), 10);
             return Number.isFinite(parsed) ? Math.max(1, Math.min(100, parsed)) : fallback;
@@ -1352,17 +2387,12 @@ export class UI {
         const fps = this.recorder
             ? this.recorder.getExportFps()
             : sanitizeFps(this.pendingExportFps, 24);
-        const quality = this.recorder
-            ? {
-                webm: this.recorder.getExportQuality('webm'),
-                mp4: this.recorder.getExportQuality('mp4'),
-                gif: this.recorder.getExportQuality('gif')
-            }
-            : {
-                webm: sanitizeQuality(this.pendingExportQuality.webm, 50),
-                mp4: sanitizeQuality(this.pendingExportQuality.mp4, 50),
-                gif: sanitizeQuality(this.pendingExportQuality.gif, 70)
-            };
+        const quality = Object.fromEntries(EXPORT_FORMATS.map((format) => [
+            format,
+            this.recorder
+                ? this.recorder.getExportQuality(format)
+                : sanitizeQuality(this.pendingExportQuality[format], DEFAULT_EXPORT_QUALITY[format])
+        ]));
 
         return {
             version: 1,
@@ -1376,11 +2406,44 @@ export class UI {
                 isometric: this.state.isometric,
                 dolly: this.state.dolly,
                 invert: this.state.invert,
-                mirror: this.state.mirror,
+                edgeMode: this.state.edgeMode,
+                edgeColor: this.state.edgeColor,
                 quality: this.state.quality,
                 smoothing: this.state.smoothing,
                 edgeFix: this.state.edgeFix,
+                edgeFixSmoothing: this.state.edgeFixSmoothing,
                 ssaa: this.state.ssaa,
+                inpaint: this.state.inpaint,
+                hierarchicalMarch: this.state.hierarchicalMarch,
+                accumulationSamples: this.state.accumulationSamples,
+                progressiveRefine: this.state.progressiveRefine,
+                alphaOutput: this.state.alphaOutput,
+                alphaDepthCutoff: this.state.alphaDepthCutoff,
+                stereoMode: this.state.stereoMode,
+                stereoSeparation: this.state.stereoSeparation,
+                quiltEnabled: this.state.quiltEnabled,
+                quiltColumns: this.state.quiltColumns,
+                quiltRows: this.state.quiltRows,
+                quiltViewCone: this.state.quiltViewCone,
+                focalDepth: this.state.focalDepth,
+                aperture: this.state.aperture,
+                bokehBlades: this.state.bokehBlades,
+                layerMode: this.state.layerMode,
+                layerSplitNear: this.state.layerSplitNear,
+                layerSplitFar: this.state.layerSplitFar,
+                postOrder: [...this.state.postOrder],
+                ...Object.fromEntries(POST_EFFECTS.map((effect) => [`${effect}Enabled`, this.state[`${effect}Enabled`]])),
+                lift: this.state.lift,
+                gamma: this.state.gamma,
+                gain: this.state.gain,
+                lutStrength: this.state.lutStrength,
+                lutName: this.state.lutName,
+                sharpenAmount: this.state.sharpenAmount,
+                chromaticAmount: this.state.chromaticAmount,
+                vignetteAmount: this.state.vignetteAmount,
+                vignetteSoftness: this.state.vignetteSoftness,
+                grainAmount: this.state.grainAmount,
+                grainSize: this.state.grainSize,
                 maxResolution: this.state.maxResolution,
                 offsetX: this.state.offsetX,
                 offsetY: this.state.offsetY,
@@ -1398,8 +2461,19 @@ export class UI {
             },
             export: {
                 aspect: aspectSelect ? aspectSelect.value : '16:9',
+                resolution: resolutionSelect ? (parseInt(resolutionSelect.value, 10) || 1080) : 1080,
                 loops: loopsSlider ? (parseInt(loopsSlider.value, 10) || 1) : 1,
                 format: formatSelect ? formatSelect.value : 'webm',
+                offline: offlineCheckbox ? offlineCheckbox.checked : true,
+                sequenceImageType: sequenceTypeSelect ? sequenceTypeSelect.value : 'png',
+                playCount: playCountSelect ? (parseInt(playCountSelect.value, 10) || 0) : 0,
+                gifDither: gifDitherSelect ? gifDitherSelect.value : 'none',
+                gifGlobalPalette: gifGlobalPaletteCheckbox ? gifGlobalPaletteCheckbox.checked : false,
+                still: {
+                    size: stillSizeSelect ? parseInt(stillSizeSelect.value, 10) : 3840,
+                    ssaa: stillSsaaSelect ? parseInt(stillSsaaSelect.value, 10) : 2,
+                    format: stillFormatSelect ? stillFormatSelect.value : 'png'
+                },
                 fps,
                 quality
             },
@@ -1474,35 +2548,81 @@ export class UI {
         }
     }
 
-    async imageDataToBlob(imageData) {
-        const canvas = document.createElement('canvas');
-        canvas.width = imageData.width;
-        canvas.height = imageData.height;
+    async deleteMediaBlob(key) {
+        try {
+            const db = await this.openMediaDb();
+            if (!db) return;
 
-        const ctx = canvas.getContext('2d');
-        if (!ctx) {
-            throw new Error('Could not create canvas context for depth persistence');
+            await new Promise((resolve, reject) => {
+                const tx = db.transaction(this.mediaStoreName, 'readwrite');
+                tx.objectStore(this.mediaStoreName).delete(key);
+                tx.oncomplete = () => resolve();
+                tx.onerror = () => reject(tx.error || new Error(`Failed to delete media: ${key}`));
+                tx.onabort = () => reject(tx.error || new Error(`Aborted deleting media: ${key}`));
+            });
+        } catch (err) {
+            console.warn(`Failed to delete media asset "${key}":`, err);
         }
-
-        ctx.putImageData(imageData, 0, 0);
-        return new Promise((resolve, reject) => {
-            canvas.toBlob((blob) => {
-                if (blob) resolve(blob);
-                else reject(new Error('Failed to convert depth image to blob'));
-            }, 'image/png');
-        });
     }
 
-    async saveDepthImageData(imageData) {
+    // Stored as a 16-bit PNG so a reload keeps the model's precision
+    async saveDepthMap(depthMap) {
         try {
-            const blob = await this.imageDataToBlob(imageData);
+            const blob = await encodeDepthPng(depthMap);
             await this.saveMediaBlob('depth', blob);
         } catch (err) {
             console.warn('Failed to persist generated depth map:', err);
         }
     }
 
+    async restorePersistedLut() {
+        const lutBlob = await this.loadMediaBlob('lut');
+        if (!(lutBlob instanceof Blob)) {
+            await this.renderer.clearLut();
+            return;
+        }
+
+        try {
+            await this.renderer.setLut(parseCubeLut(await lutBlob.text()));
+        } catch (err) {
+            console.warn('Stored LUT could not be loaded:', err);
+            await this.renderer.clearLut();
+        }
+    }
+
+    async restorePersistedAlphaMask() {
+        const maskBlob = await this.loadMediaBlob('alpha-mask');
+        if (maskBlob instanceof Blob) {
+            try {
+                await this.renderer.loadAlphaMask(maskBlob);
+            } catch (err) {
+                console.warn('Stored alpha mask could not be loaded:', err);
+            }
+        }
+        this.syncAlphaOutputUI();
+    }
+
+    async restorePersistedLayers() {
+        for (let i = 0; i < MAX_LAYERS; i++) {
+            for (const kind of ['image', 'depth']) {
+                const blob = await this.loadMediaBlob(`layer-${i}-${kind}`);
+                if (!(blob instanceof Blob)) continue;
+
+                try {
+                    await this.renderer.loadLayer(i, kind, blob);
+                } catch (err) {
+                    console.warn(`Stored layer ${i} ${kind} could not be loaded:`, err);
+                }
+            }
+        }
+        this.syncDepthLayersUI();
+    }
+
     async restorePersistedMedia() {
+        await this.restorePersistedLut();
+        await this.restorePersistedLayers();
+        await this.restorePersistedAlphaMask();
+
         const originalBlob = await this.loadMediaBlob('image-original');
         const imageBlob = await this.loadMediaBlob('image');
 
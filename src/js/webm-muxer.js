@@ -0,0 +1,386 @@
+// Minimal WebM (Matroska) muxer for a single constant-frame-rate video track.
+// Frames are buffered in memory, so element sizes, the SeekHead and Cues can be
+// written up front and the resulting file is fully seekable.
+// VP8/VP9 alpha travels as a second encoded frame in each block's BlockAdditions.
+
+const textEncoder = new TextEncoder();
+
+const EBML_IDS = {
+    EBML: 0x1a45dfa3,
+    EBMLVersion: 0x4286,
+    EBMLReadVersion: 0x42f7,
+    EBMLMaxIDLength: 0x42f2,
+    EBMLMaxSizeLength: 0x42f3,
+    DocType: 0x4282,
+    DocTypeVersion: 0x4287,
+    DocTypeReadVersion: 0x4285,
+    Segment: 0x18538067,
+    SeekHead: 0x114d9b74,
+    Seek: 0x4dbb,
+    SeekID: 0x53ab,
+    SeekPosition: 0x53ac,
+    Info: 0x1549a966,
+    TimestampScale: 0x2ad7b1,
+    MuxingApp: 0x4d80,
+    WritingApp: 0x5741,
+    Duration: 0x4489,
+    Tracks: 0x1654ae6b,
+    TrackEntry: 0xae,
+    TrackNumber: 0xd7,
+    TrackUID: 0x73c5,
+    TrackType: 0x83,
+    FlagLacing: 0x9c,
+    MaxBlockAdditionID: 0x55ee,
+    CodecID: 0x86,
+    CodecPrivate: 0x63a2,
+    DefaultDuration: 0x23e383,
+    Video: 0xe0,
+    PixelWidth: 0xb0,
+    PixelHeight: 0xba,
+    AlphaMode: 0x53c0,
+    Cluster: 0x1f43b675,
+    Timestamp: 0xe7,
+    SimpleBlock: 0xa3,
+    BlockGroup: 0xa0,
+    Block: 0xa1,
+    ReferenceBlock: 0xfb,
+    BlockAdditions: 0x75a1,
+    BlockMore: 0xa6,
+    BlockAddID: 0xee,
+    BlockAdditional: 0xa5,
+    Cues: 0x1c53bb6b,
+    CuePoint: 0xbb,
+    CueTime: 0xb3,
+    CueTrackPositions: 0xb7,
+    CueTrack: 0xf7,
+    CueClusterPosition: 0xf1
+};
+
+const CODEC_IDS = {
+    vp8: 'V_VP8',
+    vp9: 'V_VP9',
+    av1: 'V_AV1'
+};
+
+// Longest relative block timestamp a cluster may hold (signed 16-bit, in ms).
+const MAX_CLUSTER_SPAN_MS = 30000;
+
+function idBytes(id) {
+    const bytes = [];
+    let value = id;
+    while (value > 0) {
+        bytes.unshift(value & 0xff);
+        value = Math.floor(value / 256);
+    }
+    return bytes;
+}
+
+function sizeBytes(size) {
+    let length = 1;
+    while (length < 8 && size >= Math.pow(2, 7 * length) - 1) {
+        length++;
+    }
+
+    const bytes = new Array(length).fill(0);
+    let value = size;
+    for (let i = length - 1; i >= 0; i--) {
+        bytes[i] = value & 0xff;
+        value = Math.floor(value / 256);
+    }
+    bytes[0] |= 1 << (8 - length);
+    return bytes;
+}
+
+function uintBytes(value, fixedLength = 0) {
+    const bytes = [];
+    let remaining = value;
+    do {
+        bytes.unshift(remaining & 0xff);
+        remaining = Math.floor(remaining / 256);
+    } while (remaining > 0);
+
+    while (bytes.length < fixedLength) {
+        bytes.unshift(0);
+    }
+    return bytes;
+}
+
+// Shortest two's-complement encoding of a signed integer
+function intBytes(value) {
+    const bytes = [value & 0xff];
+    let remaining = value >> 8;
+    while (!((remaining === 0 && !(bytes[0] & 0x80)) || (remaining === -1 && (bytes[0] & 0x80)))) {
+        bytes.unshift(remaining & 0xff);
+        remaining >>= 8;
+    }
+    return bytes;
+}
+
+function float64Bytes(value) {
+    const view = new DataView(new ArrayBuffer(8));
+    view.setFloat64(0, value);
+    return Array.from(new Uint8Array(view.buffer));
+}
+
+function concat(parts) {
+    let length = 0;
+    for (const part of parts) length += part.length;
+    const out = new Uint8Array(length);
+    let offset = 0;
+    for (const part of parts) {
+        out.set(part, offset);
+        offset += part.length;
+    }
+    return out;
+}
+
+function element(id, payload) {
+    const body = payload instanceof Uint8Array ? payload : new Uint8Array(payload);
+    return concat([new Uint8Array(idBytes(id)), new Uint8Array(sizeBytes(body.length)), body]);
+}
+
+function master(id, children) {
+    return element(id, concat(children));
+}
+
+function uintElement(id, value, fixedLength = 0) {
+    return element(id, uintBytes(value, fixedLength));
+}
+
+function intElement(id, value) {
+    return element(id, intBytes(value));
+}
+
+function stringElement(id, text) {
+    return element(id, textEncoder.encode(text));
+}
+
+function floatElement(id, value) {
+    return element(id, float64Bytes(value));
+}
+
+export class WebmMuxer {
+    constructor({ family, width, height, fps, alpha = false }) {
+        this.family = family;        // 'vp8' | 'vp9' | 'av1'
+        this.width = width;
+        this.height = height;
+        this.fps = fps;
+        this.alpha = alpha;          // chunks carry metadata.alphaSideData
+        this.frames = [];
+        this.codecPrivate = null;
+    }
+
+    addChunk(chunk, metadata) {
+        if (metadata && metadata.decoderConfig && metadata.decoderConfig.description && !this.codecPrivate) {
+            const description = metadata.decoderConfig.description;
+            this.codecPrivate = ArrayBuffer.isView(description)
+                ? new Uint8Array(description.buffer.slice(description.byteOffset, description.byteOffset + description.byteLength))
+                : new Uint8Array(description.slice(0));
+        }
+
+        const data = new Uint8Array(chunk.byteLength);
+        chunk.copyTo(data);
+
+        let alphaData = null;
+        if (this.alpha && metadata && metadata.alphaSideData) {
+            const side = metadata.alphaSideData;
+            alphaData = ArrayBuffer.isView(side)
+                ? new Uint8Array(side.buffer.slice(side.byteOffset, side.byteOffset + side.byteLength))
+                : new Uint8Array(side.slice(0));
+        }
+
+        const previous = this.frames[this.frames.length - 1];
+        const timestampMs = Math.round((this.frames.length * 1000) / this.fps);
+        this.frames.push({
+            data,
+            alphaData,
+            keyFrame: chunk.type === 'key',
+            timestampMs,
+            // Delta frames in a BlockGroup name the frame they depend on, relative to their own time
+            referenceMs: previous ? previous.timestampMs - timestampMs : 0
+        });
+    }
+
+    buildHeader() {
+        return master(EBML_IDS.EBML, [
+            uintElement(EBML_IDS.EBMLVersion, 1),
+            uintElement(EBML_IDS.EBMLReadVersion, 1),
+            uintElement(EBML_IDS.EBMLMaxIDLength, 4),
+            uintElement(EBML_IDS.EBMLMaxSizeLength, 8),
+            stringElement(EBML_IDS.DocType, 'webm'),
+            uintElement(EBML_IDS.DocTypeVersion, 4),
+            uintElement(EBML_IDS.DocTypeReadVersion, 2)
+        ]);
+    }
+
+    buildInfo() {
+        const durationMs = (this.frames.length * 1000) / this.fps;
+        return master(EBML_IDS.Info, [
+            uintElement(EBML_IDS.TimestampScale, 1000000),
+            stringElement(EBML_IDS.MuxingApp, 'DepthFlow WebGL'),
+            stringElement(EBML_IDS.WritingApp, 'DepthFlow WebGL'),
+            floatElement(EBML_IDS.Duration, durationMs)
+        ]);
+    }
+
+    buildVideoSettings() {
+        const settings = [
+            uintElement(EBML_IDS.PixelWidth, this.width),
+            uintElement(EBML_IDS.PixelHeight, this.height)
+        ];
+        if (this.alpha) {
+            settings.push(uintElement(EBML_IDS.AlphaMode, 1));
+        }
+        return settings;
+    }
+
+    buildTracks() {
+        const entry = [
+            uintElement(EBML_IDS.TrackNumber, 1),
+            uintElement(EBML_IDS.TrackUID, 1),
+            uintElement(EBML_IDS.TrackType, 1),
+            uintElement(EBML_IDS.FlagLacing, 0),
+            stringElement(EBML_IDS.CodecID, CODEC_IDS[this.family] || 'V_VP9'),
+            uintElement(EBML_IDS.DefaultDuration, Math.round(1e9 / this.fps))
+        ];
+
+        if (this.alpha) {
+            entry.push(uintElement(EBML_IDS.MaxBlockAdditionID, 1));
+        }
+
+        if (this.codecPrivate) {
+            entry.push(element(EBML_IDS.CodecPrivate, this.codecPrivate));
+        }
+
+        entry.push(master(EBML_IDS.Video, this.buildVideoSettings()));
+        return master(EBML_IDS.Tracks, [master(EBML_IDS.TrackEntry, entry)]);
+    }
+
+    // Returns the block as [header, payload(, trailer)] so frame data is never copied again.
+    buildBlock(frame, relativeMs) {
+        const blockHeader = [
+            0x81,                                       // track number 1 as vint
+            (relativeMs >> 8) & 0xff,
+            relativeMs & 0xff,
+            frame.keyFrame && !frame.alphaData ? 0x80 : 0x00
+        ];
+        const size = blockHeader.length + frame.data.length;
+
+        if (!frame.alphaData) {
+            const header = new Uint8Array([...idBytes(EBML_IDS.SimpleBlock), ...sizeBytes(size), ...blockHeader]);
+            return [header, frame.data];
+        }
+
+        // Alpha needs a BlockGroup; a group without ReferenceBlock is a keyframe.
+        const trailer = concat([
+            master(EBML_IDS.BlockAdditions, [
+                master(EBML_IDS.BlockMore, [
+                    uintElement(EBML_IDS.BlockAddID, 1),
+                    element(EBML_IDS.BlockAdditional, frame.alphaData)
+                ])
+            ]),
+            ...(frame.keyFrame ? [] : [intElement(EBML_IDS.ReferenceBlock, frame.referenceMs)])
+        ]);
+        const blockElementHeader = [...idBytes(EBML_IDS.Block), ...sizeBytes(size), ...blockHeader];
+        const groupSize = blockElementHeader.length + frame.data.length + trailer.length;
+        const header = new Uint8Array([...idBytes(EBML_IDS.BlockGroup), ...sizeBytes(groupSize), ...blockElementHeader]);
+        return [header, frame.data, trailer];
+    }
+
+    buildClusters() {
+        const clusters = [];
+        let current = null;
+
+        for (const frame of this.frames) {
+            const startNew = !current
+                || frame.keyFrame
+                || frame.timestampMs - current.timestampMs > MAX_CLUSTER_SPAN_MS;
+
+            if (startNew) {
+                current = { timestampMs: frame.timestampMs, blocks: [] };
+                clusters.push(current);
+            }
+
+            current.blocks.push(this.buildBlock(frame, frame.timestampMs - current.timestampMs));
+        }
+
+        return clusters.map((cluster) => {
+            const body = [uintElement(EBML_IDS.Timestamp, cluster.timestampMs)];
+            for (const block of cluster.blocks) body.push(...block);
+
+            const bodySize = body.reduce((sum, part) => sum + part.length, 0);
+            const header = new Uint8Array([...idBytes(EBML_IDS.Cluster), ...sizeBytes(bodySize)]);
+            return {
+                timestampMs: cluster.timestampMs,
+                parts: [header, ...body],
+                size: header.length + bodySize
+            };
+        });
+    }
+
+    buildSeekHead(positions) {
+        // Positions are written as 8-byte integers so the SeekHead size is fixed.
+        const seek = (id, position) => master(EBML_IDS.Seek, [
+            element(EBML_IDS.SeekID, idBytes(id)),
+            uintElement(EBML_IDS.SeekPosition, position, 8)
+        ]);
+
+        return master(EBML_IDS.SeekHead, [
+            seek(EBML_IDS.Info, positions.info),
+            seek(EBML_IDS.Tracks, positions.tracks),
+            seek(EBML_IDS.Cues, positions.cues)
+        ]);
+    }
+
+    buildCues(clusters, firstClusterPosition) {
+        let position = firstClusterPosition;
+        const points = [];
+
+        for (const cluster of clusters) {
+            points.push(master(EBML_IDS.CuePoint, [
+                uintElement(EBML_IDS.CueTime, cluster.timestampMs),
+                master(EBML_IDS.CueTrackPositions, [
+                    uintElement(EBML_IDS.CueTrack, 1),
+                    uintElement(EBML_IDS.CueClusterPosition, position)
+                ])
+            ]));
+            position += cluster.size;
+        }
+
+        return master(EBML_IDS.Cues, points);
+    }
+
+    finalize() {
+        if (this.frames.length === 0) {
+            throw new Error('No video frames were encoded');
+        }
+
+        const header = this.buildHeader();
+        const info = this.buildInfo();
+        const tracks = this.buildTracks();
+        const clusters = this.buildClusters();
+        this.frames = [];
+
+        // Segment-relative positions; SeekHead has a fixed size so measure it first.
+        const seekHeadSize = this.buildSeekHead({ info: 0, tracks: 0, cues: 0 }).length;
+        const infoPosition = seekHeadSize;
+        const tracksPosition = infoPosition + info.length;
+        const firstClusterPosition = tracksPosition + tracks.length;
+        const clustersSize = clusters.reduce((sum, cluster) => sum + cluster.size, 0);
+        const cuesPosition = firstClusterPosition + clustersSize;
+
+        const seekHead = this.buildSeekHead({ info: infoPosition, tracks: tracksPosition, cues: cuesPosition });
+        const cues = this.buildCues(clusters, firstClusterPosition);
+
+        const segmentSize = cuesPosition + cues.length;
+        const segmentHeader = concat([
+            new Uint8Array(idBytes(EBML_IDS.Segment)),
+            new Uint8Array(sizeBytes(segmentSize))
+        ]);
+
+        return new Blob(
+            [header, segmentHeader, seekHead, info, tracks, ...clusters.flatMap((cluster) => cluster.parts), cues],
+            { type: 'video/webm' }
+        );
+    }
+}
@@ -0,0 +1,126 @@
+// Builds an animated WebP from individually encoded still WebP frames
+// (canvas.toBlob output). Frame bitstreams are copied into ANMF chunks untouched.
+
+const textEncoder = new TextEncoder();
+const textDecoder = new TextDecoder();
+
+const FLAG_ANIMATION = 0x02;
+const FLAG_ALPHA = 0x10;
+const ANMF_NO_BLEND = 0x02;
+
+function u16le(value) {
+    return [value & 0xff, (value >>> 8) & 0xff];
+}
+
+function u24le(value) {
+    return [value & 0xff, (value >>> 8) & 0xff, (value >>> 16) & 0xff];
+}
+
+function u32le(value) {
+    return [value & 0xff, (value >>> 8) & 0xff, (value >>> 16) & 0xff, (value >>> 24) & 0xff];
+}
+
+// RIFF chunk with the padding byte required for odd payload sizes.
+function riffChunk(fourcc, payload) {
+    const padded = payload.length + (payload.length & 1);
+    const out = new Uint8Array(8 + padded);
+    out.set(textEncoder.encode(fourcc), 0);
+    out.set(u32le(payload.length), 4);
+    out.set(payload, 8);
+    return out;
+}
+
+function readWebpChunks(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    if (bytes.length < 12
+        || textDecoder.decode(bytes.subarray(0, 4)) !== 'RIFF'
+        || textDecoder.decode(bytes.subarray(8, 12)) !== 'WEBP') {
+        throw new Error('Not a WebP file');
+    }
+
+    const chunks = [];
+    let offset = 12;
+    while (offset + 8 <= bytes.length) {
+        const fourcc = textDecoder.decode(bytes.subarray(offset, offset + 4));
+        const size = view.getUint32(offset + 4, true);
+        const start = offset + 8;
+        if (start + size > bytes.length) {
+            throw new Error(`Truncated WebP chunk ${fourcc}`);
+        }
+        chunks.push({ fourcc, data: bytes.subarray(start, start + size) });
+        offset = start + size + (size & 1);
+    }
+    return chunks;
+}
+
+export class WebpMuxer {
+    constructor({ width, height, fps, plays = 0 }) {
+        this.width = width;
+        this.height = height;
+        this.fps = fps;
+        this.plays = plays;          // 0 = loop forever
+        this.frames = [];
+        this.hasAlpha = false;
+    }
+
+    addFrame(webpBytes) {
+        // Keep only the image bitstream: ALPH + VP8, or VP8L. VP8X/metadata are dropped.
+        const chunks = readWebpChunks(webpBytes).filter((chunk) => ['ALPH', 'VP8 ', 'VP8L'].includes(chunk.fourcc));
+        if (!chunks.some((chunk) => chunk.fourcc === 'VP8 ' || chunk.fourcc === 'VP8L')) {
+            throw new Error('WebP frame has no image data');
+        }
+
+        if (chunks.some((chunk) => chunk.fourcc === 'ALPH' || chunk.fourcc === 'VP8L')) {
+            this.hasAlpha = true;
+        }
+
+        this.frames.push(chunks.map((chunk) => riffChunk(chunk.fourcc, chunk.data)));
+    }
+
+    // Millisecond durations that add up exactly to frames / fps over the whole clip.
+    getFrameDuration(index) {
+        return Math.round(((index + 1) * 1000) / this.fps) - Math.round((index * 1000) / this.fps);
+    }
+
+    buildFrame(index, imageChunks) {
+        const header = [
+            ...u24le(0), ...u24le(0),             // x/y offset (divided by 2)
+            ...u24le(this.width - 1),
+            ...u24le(this.height - 1),
+            ...u24le(this.getFrameDuration(index)),
+            ANMF_NO_BLEND                         // dispose: none, blend: overwrite
+        ];
+
+        const size = header.length + imageChunks.reduce((sum, chunk) => sum + chunk.length, 0);
+        const payload = new Uint8Array(size);
+        payload.set(header, 0);
+        let offset = header.length;
+        for (const chunk of imageChunks) {
+            payload.set(chunk, offset);
+            offset += chunk.length;
+        }
+        return riffChunk('ANMF', payload);
+    }
+
+    finalize() {
+        if (this.frames.length === 0) {
+            throw new Error('No WebP frames were encoded');
+        }
+
+        const vp8x = riffChunk('VP8X', new Uint8Array([
+            FLAG_ANIMATION | (this.hasAlpha ? FLAG_ALPHA : 0), 0, 0, 0,
+            ...u24le(this.width - 1),
+            ...u24le(this.height - 1)
+        ]));
+        const anim = riffChunk('ANIM', new Uint8Array([
+            ...u32le(0xff000000),                 // background: opaque black (BGRA)
+            ...u16le(Math.min(0xffff, this.plays))
+        ]));
+        const frames = this.frames.map((chunks, index) => this.buildFrame(index, chunks));
+        this.frames = [];
+
+        const bodySize = 4 + vp8x.length + anim.length + frames.reduce((sum, frame) => sum + frame.length, 0);
+        const header = new Uint8Array([...textEncoder.encode('RIFF'), ...u32le(bodySize), ...textEncoder.encode('WEBP')]);
+        return new Blob([header, vp8x, anim, ...frames], { type: 'image/webp' });
+    }
+}
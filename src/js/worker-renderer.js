@@ -0,0 +1,335 @@
+import {
+    MAX_LAYERS,
+    getAccumulationSamples,
+    getQuiltLayout,
+    hasAlphaOutput,
+    isContextLostError,
+    keepFraming,
+    measureCanvas
+} from './renderer.js';
+
+// Stand-in for Renderer that drives one in render-worker.js on the canvas's
+// OffscreenCanvas. Same surface as far as the app uses it: State is posted as a
+// snapshot with each render() and before every call, methods that change what is
+// drawn resolve when the worker has run them, and fire-and-forget calls log failures.
+// The worker draws and refines frames in its own loop.
+export class WorkerRenderer {
+    constructor(canvas, state, worker) {
+        this.canvas = canvas;
+        this.state = state;
+        this.worker = worker;
+        this.ready = false;         // set once the worker has set up its context
+        this.nextId = 1;
+        this.pending = new Map();   // id -> { resolve, reject }
+
+        // Reported by the worker once its context exists
+        this.gpuEdgeFix = false;
+        this.colorBufferFloat = false;
+        this.contextAlpha = false;
+        this.maxRenderSize = 0;
+
+        // Kept on this side for the synchronous queries of the UI and recorder
+        this.width = 1;
+        this.height = 1;
+        this.dpr = 1;
+        this.lastAspect = 0;
+        this.resizeObserver = null;
+        this.postedPoses = null;        // cycle poses the worker has, reposted when they change
+        this.alphaMaskLoaded = false;
+        this.layersLoaded = Array.from({ length: MAX_LAYERS }, () => ({ image: false, depth: false }));
+
+        this.contextLost = false;
+        this.contextRestored = null;    // promise for whenContextRestored()
+        this.resolveContextRestored = null;
+        this.rejectContextRestored = null;
+
+        // Same callbacks as Renderer
+        this.onLayersReady = null;
+        this.getCyclePoses = null;
+        this.onContextLost = null;
+        this.onContextRestored = null;
+    }
+
+    // A WorkerRenderer with its worker started, or null without OffscreenCanvas with
+    // WebGL 2 or module workers; the app then renders on the main thread with Renderer
+    static create(canvas, state) {
+        if (typeof OffscreenCanvas === 'undefined' || typeof Worker === 'undefined'
+            || typeof canvas.transferControlToOffscreen !== 'function') {
+            return null;
+        }
+
+        // Browsers cap live WebGL contexts, so the probe gives its context back
+        const probe = new OffscreenCanvas(1, 1).getContext('webgl2');
+        if (!probe) return null;
+        const loseContext = probe.getExtension('WEBGL_lose_context');
+        if (loseContext) loseContext.loseContext();
+
+        // Engines without module workers never read the type option
+        let moduleWorker = false;
+        const options = {
+            get type() {
+                moduleWorker = true;
+                return 'module';
+            }
+        };
+        let worker;
+        try {
+            worker = new Worker(new URL('render-worker.js', import.meta.url), options);
+        } catch {
+            return null;
+        }
+        if (!moduleWorker) {
+            worker.terminate();
+            return null;
+        }
+
+        return new WorkerRenderer(canvas, state, worker);
+    }
+
+    async init() {
+        this.resize();
+        const offscreen = this.canvas.transferControlToOffscreen();
+
+        this.worker.onmessage = (event) => this.handleMessage(event.data);
+        this.worker.onerror = (event) => {
+            event.preventDefault();
+            const pending = [...this.pending.values()];
+            this.pending.clear();
+            for (const { reject } of pending) {
+                reject(new Error(event.message || 'Render worker failed'));
+            }
+        };
+
+        const capabilities = await this.request({
+            type: 'init',
+            canvas: offscreen,
+            state: this.state.snapshot(),
+            size: { width: this.width, height: this.height, dpr: this.dpr }
+        }, [offscreen]);
+        Object.assign(this, capabilities);
+        this.ready = true;
+
+        if (typeof ResizeObserver !== 'undefined') {
+            this.resizeObserver = new ResizeObserver(() => this.resize());
+            this.resizeObserver.observe(this.canvas);
+        }
+        window.addEventListener('resize', () => this.resize());
+    }
+
+    handleMessage(message) {
+        switch (message.type) {
+            case 'result': {
+                const pending = this.pending.get(message.id);
+                if (!pending) return;
+                this.pending.delete(message.id);
+                if (message.error) {
+                    // Keep the name so isAbortError() / isContextLostError() still work
+                    const err = new Error(message.error.message);
+                    err.name = message.error.name;
+                    // Can arrive ahead of 'context-lost'; waiters need to see the loss already
+                    if (isContextLostError(err)) {
+                        this.contextLost = true;
+                    }
+                    pending.reject(err);
+                } else {
+                    pending.resolve(message.value);
+                }
+                break;
+            }
+
+            case 'layers-ready':
+                if (this.onLayersReady) this.onLayersReady();
+                break;
+
+            case 'context-lost':
+                this.contextLost = true;
+                // A failed rebuild left its rejected promise behind; this loss gets a new one
+                if (!this.resolveContextRestored) this.contextRestored = null;
+                this.whenContextRestored();
+                if (this.onContextLost) this.onContextLost();
+                break;
+
+            case 'context-restored':
+                if (message.error) {
+                    const err = new Error(message.error);
+                    // The rejected promise stays, so later waiters fail too instead of hanging
+                    if (this.rejectContextRestored) this.rejectContextRestored(err);
+                    this.resolveContextRestored = null;
+                    this.rejectContextRestored = null;
+                    if (this.onContextRestored) this.onContextRestored(err);
+                    break;
+                }
+                this.contextLost = false;
+                if (this.resolveContextRestored) this.resolveContextRestored();
+                this.contextRestored = null;
+                this.resolveContextRestored = null;
+                this.rejectContextRestored = null;
+                if (this.onContextRestored) this.onContextRestored(null);
+                break;
+        }
+    }
+
+    request(message, transfer = []) {
+        const id = this.nextId++;
+        return new Promise((resolve, reject) => {
+            this.pending.set(id, { resolve, reject });
+            this.worker.postMessage({ ...message, id }, transfer);
+        });
+    }
+
+    postState(draw) {
+        // getCyclePoses() hands back the same array until the motion cycle changes
+        let poses = null;
+        if (this.state.edgeMode === 'autozoom' && this.getCyclePoses) {
+            poses = this.getCyclePoses();
+            if (poses === this.postedPoses) {
+                poses = null;
+            } else {
+                this.postedPoses = poses;
+            }
+        }
+        this.worker.postMessage({ type: 'state', state: this.state.snapshot(), poses, draw });
+    }
+
+    // Runs a Renderer method in the worker against the current state
+    call(method, ...args) {
+        this.postState(false);
+        return this.request({ type: 'call', method, args });
+    }
+
+    send(method, ...args) {
+        this.call(method, ...args).catch((err) => console.error(`Render worker ${method}() failed:`, err));
+    }
+
+    // Idle frames are refined by the worker, so refine requests have nothing to send
+    render({ refine = false } = {}) {
+        if (!refine) this.postState(true);
+    }
+
+    isRefining() {
+        return false;
+    }
+
+    isContextLost() {
+        return this.contextLost;
+    }
+
+    // Resolves when the worker reports its context rebuilt, and rejects with the
+    // error it reports if the rebuild failed
+    whenContextRestored() {
+        if (!this.contextLost) return Promise.resolve();
+        if (!this.contextRestored) {
+            this.contextRestored = new Promise((resolve, reject) => {
+                this.resolveContextRestored = resolve;
+                this.rejectContextRestored = reject;
+            });
+            this.contextRestored.catch(() => {});
+        }
+        return this.contextRestored;
+    }
+
+    // Queries that only read the state (and the reported capabilities) run on this side
+    hasAlphaOutput() {
+        return hasAlphaOutput(this.state);
+    }
+
+    getQuiltLayout() {
+        return getQuiltLayout(this.state);
+    }
+
+    getAccumulationSamples() {
+        return getAccumulationSamples(this.state, this.colorBufferFloat);
+    }
+
+    resize() {
+        const { width, height, dpr } = measureCanvas(this.canvas);
+        if (this.width === width && this.height === height && this.dpr === dpr) {
+            return;
+        }
+
+        this.lastAspect = keepFraming(this.state, this.lastAspect, width / height);
+        this.width = width;
+        this.height = height;
+        this.dpr = dpr;
+        // Until then the size goes out with the init request
+        if (this.ready) {
+            this.worker.postMessage({ type: 'resize', width, height, dpr });
+        }
+    }
+
+    getCanvasSize() {
+        return { width: this.width, height: this.height };
+    }
+
+    getMaxRenderSize() {
+        return this.maxRenderSize;
+    }
+
+    loadImage(blob) {
+        return this.call('loadImage', blob);
+    }
+
+    loadDepth(blob) {
+        return this.call('loadDepth', blob);
+    }
+
+    // The map is copied, so callers can keep using it
+    loadDepthMap(depthMap) {
+        return this.call('loadDepthMap', depthMap);
+    }
+
+    async loadLayer(index, kind, blob) {
+        await this.call('loadLayer', index, kind, blob);
+        this.layersLoaded[index][kind] = true;
+    }
+
+    async loadAlphaMask(blob) {
+        await this.call('loadAlphaMask', blob);
+        this.alphaMaskLoaded = true;
+    }
+
+    async clearAlphaMask() {
+        this.alphaMaskLoaded = false;
+        await this.call('clearAlphaMask');
+    }
+
+    async clearUploadedLayers() {
+        for (const slot of this.layersLoaded) {
+            slot.image = false;
+            slot.depth = false;
+        }
+        await this.call('clearUploadedLayers');
+    }
+
+    hasAlphaMask() {
+        return this.alphaMaskLoaded;
+    }
+
+    hasUploadedLayer(index, kind) {
+        return this.layersLoaded[index][kind];
+    }
+
+    setLut(lut) {
+        return this.call('setLut', lut);
+    }
+
+    clearLut() {
+        return this.call('clearLut');
+    }
+
+    renderExportFrame(width, height, options = {}) {
+        return this.call('renderExportFrame', width, height, options);
+    }
+
+    releaseExportTarget() {
+        this.send('releaseExportTarget');
+    }
+
+    waitForLayers() {
+        return this.call('waitForLayers');
+    }
+
+    simulateContextLoss() {
+        this.send('simulateContextLoss');
+    }
+}
@@ -0,0 +1,178 @@
+// Minimal store-only ZIP writer. Entries are kept as Blob parts so large frame
+// sequences can be handed to the browser without one big contiguous buffer.
+// ZIP64 records are added automatically once offsets pass the 32-bit limit.
+
+import { crc32 } from './crc32.js';
+
+const textEncoder = new TextEncoder();
+
+const UINT32_MAX = 0xffffffff;
+const VERSION_DEFAULT = 20;
+const VERSION_ZIP64 = 45;
+const FLAG_UTF8 = 0x0800;
+
+function writer(size) {
+    const bytes = new Uint8Array(size);
+    const view = new DataView(bytes.buffer);
+    let offset = 0;
+
+    return {
+        bytes,
+        u16(value) {
+            view.setUint16(offset, value, true);
+            offset += 2;
+        },
+        u32(value) {
+            view.setUint32(offset, value >>> 0, true);
+            offset += 4;
+        },
+        u64(value) {
+            view.setUint32(offset, value % 0x100000000, true);
+            view.setUint32(offset + 4, Math.floor(value / 0x100000000), true);
+            offset += 8;
+        },
+        raw(data) {
+            bytes.set(data, offset);
+            offset += data.length;
+        }
+    };
+}
+
+// DOS date/time fields used by local and central headers.
+function dosDateTime(date) {
+    const time = (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2);
+    const day = ((Math.max(1980, date.getFullYear()) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+    return { time, day };
+}
+
+export class ZipWriter {
+    constructor({ type = 'application/zip' } = {}) {
+        this.type = type;
+        this.parts = [];
+        this.entries = [];
+        this.offset = 0;
+        this.stamp = dosDateTime(new Date());
+    }
+
+    // data: Uint8Array, or a Blob plus its precomputed CRC-32 in `crc`.
+    add(name, data, crc = null) {
+        const nameBytes = textEncoder.encode(name);
+        const size = data instanceof Blob ? data.size : data.byteLength;
+        const checksum = crc === null ? crc32(data) : crc;
+
+        if (size >= UINT32_MAX) {
+            throw new Error(`ZIP entry "${name}" is too large`);
+        }
+
+        const localOffset = this.offset;
+        const header = writer(30 + nameBytes.length);
+        header.u32(0x04034b50);
+        header.u16(VERSION_DEFAULT);
+        header.u16(FLAG_UTF8);
+        header.u16(0);                    // stored, no compression
+        header.u16(this.stamp.time);
+        header.u16(this.stamp.day);
+        header.u32(checksum);
+        header.u32(size);
+        header.u32(size);
+        header.u16(nameBytes.length);
+        header.u16(0);
+        header.raw(nameBytes);
+
+        this.parts.push(header.bytes, data);
+        this.offset += header.bytes.length + size;
+        this.entries.push({ nameBytes, size, crc: checksum, localOffset });
+    }
+
+    // Add a Blob, reading it in slices only to compute the checksum.
+    async addBlob(name, blob) {
+        const sliceSize = 8 * 1024 * 1024;
+        let checksum = 0;
+        for (let offset = 0; offset < blob.size; offset += sliceSize) {
+            const bytes = new Uint8Array(await blob.slice(offset, offset + sliceSize).arrayBuffer());
+            checksum = crc32(bytes, checksum);
+        }
+        this.add(name, blob, checksum);
+    }
+
+    buildCentralEntry(entry) {
+        const zip64 = entry.localOffset >= UINT32_MAX;
+        const extraSize = zip64 ? 12 : 0;
+        const out = writer(46 + entry.nameBytes.length + extraSize);
+
+        out.u32(0x02014b50);
+        out.u16(zip64 ? VERSION_ZIP64 : VERSION_DEFAULT);
+        out.u16(zip64 ? VERSION_ZIP64 : VERSION_DEFAULT);
+        out.u16(FLAG_UTF8);
+        out.u16(0);
+        out.u16(this.stamp.time);
+        out.u16(this.stamp.day);
+        out.u32(entry.crc);
+        out.u32(entry.size);
+        out.u32(entry.size);
+        out.u16(entry.nameBytes.length);
+        out.u16(extraSize);
+        out.u16(0);                       // comment length
+        out.u16(0);                       // disk number
+        out.u16(0);                       // internal attributes
+        out.u32(0);                       // external attributes
+        out.u32(zip64 ? UINT32_MAX : entry.localOffset);
+        out.raw(entry.nameBytes);
+
+        if (zip64) {
+            out.u16(0x0001);
+            out.u16(8);
+            out.u64(entry.localOffset);
+        }
+
+        return out.bytes;
+    }
+
+    finalize() {
+        const central = this.entries.map((entry) => this.buildCentralEntry(entry));
+        const centralOffset = this.offset;
+        const centralSize = central.reduce((sum, bytes) => sum + bytes.length, 0);
+        const count = this.entries.length;
+        const zip64 = count >= 0xffff || centralOffset >= UINT32_MAX || centralOffset + centralSize >= UINT32_MAX;
+
+        const trailer = [];
+        if (zip64) {
+            const record = writer(56);
+            record.u32(0x06064b50);
+            record.u64(44);               // size of the remaining record
+            record.u16(VERSION_ZIP64);
+            record.u16(VERSION_ZIP64);
+            record.u32(0);
+            record.u32(0);
+            record.u64(count);
+            record.u64(count);
+            record.u64(centralSize);
+            record.u64(centralOffset);
+
+            const locator = writer(20);
+            locator.u32(0x07064b50);
+            locator.u32(0);
+            locator.u64(centralOffset + centralSize);
+            locator.u32(1);
+
+            trailer.push(record.bytes, locator.bytes);
+        }
+
+        const end = writer(22);
+        end.u32(0x06054b50);
+        end.u16(0);
+        end.u16(0);
+        end.u16(zip64 ? 0xffff : count);
+        end.u16(zip64 ? 0xffff : count);
+        end.u32(zip64 ? UINT32_MAX : centralSize);
+        end.u32(zip64 ? UINT32_MAX : centralOffset);
+        end.u16(0);
+        trailer.push(end.bytes);
+
+        const blob = new Blob([...this.parts, ...central, ...trailer], { type: this.type });
+        this.parts = [];
+        this.entries = [];
+        this.offset = 0;
+        return blob;
+    }
+}
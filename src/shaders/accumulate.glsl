@@ -0,0 +1,29 @@
+#version 300 es
+precision highp float;
+
+// ============================================
+// DepthFlow WebGL - Accumulation Pass
+// Adds jittered samples into a float buffer (with additive blending) and
+// resolves their average. Samples are summed premultiplied, so transparent
+// samples don't darken the color of the opaque ones.
+// ============================================
+
+in vec2 vUV;
+in vec2 vGluv;
+
+out vec4 fragColor;
+
+uniform sampler2D uSource;
+uniform bool uResolve;      // false: add uSource as one sample, true: average the sums in uSource
+uniform float uSampleCount;
+
+void main() {
+    vec4 color = texture(uSource, vUV);
+
+    if (!uResolve) {
+        fragColor = vec4(color.rgb * color.a, color.a);
+        return;
+    }
+
+    fragColor = color.a > 0.0 ? vec4(color.rgb / color.a, color.a / uSampleCount) : vec4(0.0);
+}
@@ -0,0 +1,44 @@
+#version 300 es
+precision highp float;
+
+// ============================================
+// DepthFlow WebGL - Depth Pyramid Pass
+// Writes one level of the max/min depth mip chain used for empty-space
+// skipping in computeParallax(). Cell (x, y) of level 0 bounds the bilinear
+// patch between texels (x, y) and (x + 1, y + 1), so the bounds hold for
+// filtered samples too; each level above merges 2x2 cells of the one below.
+// ============================================
+
+out vec4 fragColor;
+
+uniform sampler2D uSource;  // depth map for level 0, else the pyramid limited to the level below
+uniform bool uFromDepth;
+
+void main() {
+    ivec2 size = textureSize(uSource, 0);
+    ivec2 cell = ivec2(gl_FragCoord.xy);
+
+    ivec2 first = uFromDepth ? cell : cell * 2;
+    ivec2 last = first + 1;
+
+    // Mip sizes round down, so the last cell of a level also takes the odd
+    // row or column left over below it
+    if (!uFromDepth) {
+        ivec2 levelSize = max(size / 2, ivec2(1));
+        if (cell.x == levelSize.x - 1) last.x = size.x - 1;
+        if (cell.y == levelSize.y - 1) last.y = size.y - 1;
+    }
+    last = min(last, size - 1);
+
+    float highest = 0.0;
+    float lowest = 1.0;
+    for (int y = first.y; y <= last.y; y++) {
+        for (int x = first.x; x <= last.x; x++) {
+            vec2 bounds = texelFetch(uSource, ivec2(x, y), 0).rg;
+            highest = max(highest, bounds.r);
+            lowest = min(lowest, uFromDepth ? bounds.r : bounds.g);
+        }
+    }
+
+    fragColor = vec4(highest, lowest, 0.0, 1.0);
+}
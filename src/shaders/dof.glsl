@@ -0,0 +1,83 @@
+#version 300 es
+precision highp float;
+
+// ============================================
+// DepthFlow WebGL - Depth of Field Pass
+// Gathers a circle-of-confusion blur from the scene pass,
+// which stores the parallax hit depth in alpha and its real alpha in uCoverage.
+// ============================================
+
+in vec2 vUV;
+in vec2 vGluv;
+
+out vec4 fragColor;
+
+uniform sampler2D uScene;
+uniform sampler2D uCoverage;
+
+uniform vec2 uResolution;
+uniform float uFrameScale;   // gluv scale matching the export crop framing
+
+uniform float uFocalDepth;   // 0.0 - 1.0, default 0.5 - depth that stays sharp (1.0 = nearest)
+uniform float uAperture;     // 0.0 - 1.0, default 0.0 - blur strength, 0 disables the pass
+uniform int uBokehBlades;    // 0 = round bokeh, otherwise the polygon side count
+
+const float PI = 3.14159265359;
+const float GOLDEN_ANGLE = 2.39996323;
+const int DOF_SAMPLES = 64;
+
+// Largest blur radius as a fraction of the frame height at full aperture
+const float MAX_COC = 0.025;
+
+float circleOfConfusion(float depth, float maxRadius) {
+    return abs(depth - uFocalDepth) * uAperture * maxRadius;
+}
+
+// Distance from the center to the edge of a regular polygon, relative to its circumradius
+float polygonRadius(float theta, float blades) {
+    float segment = 2.0 * PI / blades;
+    return cos(PI / blades) / cos(mod(theta, segment) - segment * 0.5);
+}
+
+void main() {
+    vec2 texel = 1.0 / uResolution;
+    vec4 center = texture(uScene, vUV);
+
+    // Blur is sized against the canvas framing, so exports match the preview
+    float maxRadius = MAX_COC * uResolution.y / uFrameScale;
+    float centerCoc = circleOfConfusion(center.a, maxRadius);
+    float searchRadius = uAperture * maxRadius;
+
+    // Colors are weighted by coverage so transparent pixels don't darken what they blur into
+    float centerCoverage = texture(uCoverage, vUV).r;
+    vec3 color = center.rgb * centerCoverage;
+    float coverage = centerCoverage;
+    float totalWeight = 1.0;
+
+    // Golden-angle spiral covers the disk evenly for any sample count
+    for (int i = 1; i < DOF_SAMPLES; i++) {
+        float fi = float(i);
+        float theta = fi * GOLDEN_ANGLE;
+        float shape = uBokehBlades >= 3 ? polygonRadius(theta, float(uBokehBlades)) : 1.0;
+        float r = sqrt(fi / float(DOF_SAMPLES)) * searchRadius;
+
+        vec2 offset = vec2(cos(theta), sin(theta)) * r * shape;
+        vec2 sampleUV = vUV + offset * texel;
+        vec4 s = texture(uScene, sampleUV);
+
+        // A farther sample must not spread over a nearer, sharper pixel
+        float sampleCoc = circleOfConfusion(s.a, maxRadius);
+        if (s.a < center.a) {
+            sampleCoc = min(sampleCoc, centerCoc);
+        }
+
+        // Compare in the bokeh's own metric so highlights spread into the polygon shape
+        float weight = clamp(sampleCoc - r + 1.0, 0.0, 1.0);
+        float sampleCoverage = texture(uCoverage, sampleUV).r * weight;
+        color += s.rgb * sampleCoverage;
+        coverage += sampleCoverage;
+        totalWeight += weight;
+    }
+
+    fragColor = vec4(coverage > 0.0 ? color / coverage : vec3(0.0), coverage / totalWeight);
+}
@@ -0,0 +1,40 @@
+#version 300 es
+precision highp float;
+
+// ============================================
+// DepthFlow WebGL - Depth Edge Fix Pass
+// One axis of the separable depth filter, run at the depth map's size:
+// a max filter that dilates near surfaces over their edges, then an
+// optional gaussian that smooths the dilated steps.
+// ============================================
+
+out vec4 fragColor;
+
+uniform sampler2D uSource;
+uniform ivec2 uDirection;   // (1, 0) horizontal or (0, 1) vertical
+uniform int uRadius;        // in depth map pixels
+uniform bool uSmooth;       // false = max filter, true = gaussian
+
+void main() {
+    ivec2 size = textureSize(uSource, 0);
+    ivec2 pixel = ivec2(gl_FragCoord.xy);
+
+    float sigma = max(float(uRadius) * 0.5, 0.5);
+    float result = 0.0;
+    float totalWeight = 0.0;
+
+    for (int i = -uRadius; i <= uRadius; i++) {
+        ivec2 tap = clamp(pixel + uDirection * i, ivec2(0), size - 1);
+        float value = texelFetch(uSource, tap, 0).r;
+
+        if (uSmooth) {
+            float weight = exp(-float(i * i) / (2.0 * sigma * sigma));
+            result += value * weight;
+            totalWeight += weight;
+        } else {
+            result = max(result, value);
+        }
+    }
+
+    fragColor = vec4(uSmooth ? result / totalWeight : result, 0.0, 0.0, 1.0);
+}
@@ -11,15 +11,33 @@ precision highp float;
 in vec2 vUV;
 in vec2 vGluv;
 
-// Output
-out vec4 fragColor;
+// Outputs; coverage gets its own target when the depth-of-field pass needs alpha for depth
+layout(location = 0) out vec4 fragColor;
+layout(location = 1) out vec4 fragCoverage;
 
 // Textures
 uniform sampler2D uImage;
 uniform sampler2D uDepth;
+uniform sampler2D uImageBackground;  // inpainted layer behind foreground edges
+uniform sampler2D uDepthBackground;
+
+// Layered depth image, front to back; alpha in the image is layer coverage.
+// Sampler arrays can't be indexed in loops in GLSL ES 3.00, hence the numbering.
+uniform int uLayerCount;    // 0 = single uImage/uDepth pair
+uniform sampler2D uLayerImage0;
+uniform sampler2D uLayerDepth0;
+uniform sampler2D uLayerImage1;
+uniform sampler2D uLayerDepth1;
+uniform sampler2D uLayerImage2;
+uniform sampler2D uLayerDepth2;
+
+uniform sampler2D uAlphaMask;   // white keeps, black drops; pinned to the image like its colors
+uniform sampler2D uDepthRaw;    // depth before the edge fix, only bound for DEBUG_DEPTH_RAW
+uniform sampler2D uDepthPyramid; // max (r) and min (g) depth mip chain of uDepth, see depth-pyramid.glsl
 
 // Resolution & aspect
 uniform vec2 uResolution;
+uniform float uFrameScale;   // gluv scale matching the export crop framing
 uniform float uImageAspect;  // Source image width/height
 
 // Parallax parameters
@@ -30,9 +48,18 @@ uniform float uZoom;        // 0.1 - 3.0, default 1.0 - camera zoom
 uniform float uIsometric;   // 0.0 - 1.0, default 0.0 - perspective vs orthographic
 uniform float uDolly;       // 0.0 - 20.0, default 0.0 - ray origin push back
 uniform float uInvert;      // 0.0 - 1.0, default 0.0 - depth map inversion blend
-uniform bool uMirror;       // default true - mirror edges
+uniform int uEdgeMode;      // see EDGE_MODES in renderer.js; default mirror
+uniform vec3 uEdgeColor;    // fill for rays that leave the image in EDGE_COLOR mode
 uniform float uQuality;     // 0.0 - 1.0, default 0.5 - ray march quality
 uniform float uSSAA;        // 1.0 - 2.0, default 1.0 - supersampling factor
+uniform bool uDepthAlpha;   // write the hit depth to alpha for the depth-of-field pass
+uniform bool uInpaint;      // show the background layer where rays hit a depth edge
+uniform bool uAlphaOutput;  // transparent where rays leave the image, past uDepthCutoff or outside the mask
+uniform float uDepthCutoff; // 0.0 - 1.0, default 0.0 (off) - nearness below which surfaces drop out
+uniform bool uHasAlphaMask;
+uniform int uDebugMode;     // see DEBUG_MODES in renderer.js; 0 = normal shading
+uniform bool uHierarchical; // skip empty space over uDepth with uDepthPyramid
+uniform int uPyramidLevels;
 
 // Camera position (animated by mouse)
 uniform vec2 uOffset;       // -2.0 to 2.0 - parallax displacement
@@ -46,6 +73,19 @@ uniform vec2 uOrigin;       // Ray origin shift
 const float PI = 3.14159265359;
 const float TAU = 6.28318530718;
 
+const int EDGE_MIRROR = 0;
+const int EDGE_CLAMP = 1;
+const int EDGE_BLUR = 2;
+const int EDGE_COLOR = 3;
+// The transparent edge mode (4) is uAlphaOutput without a cutoff or mask
+
+const int DEBUG_DEPTH_RAW = 1;
+const int DEBUG_DEPTH = 2;
+const int DEBUG_STEPS = 3;
+const int DEBUG_HITS = 4;
+const int DEBUG_EDGES = 5;
+const int DEBUG_PLANES = 6;
+
 // ============================================
 // Utility Functions
 // ============================================
@@ -71,29 +111,108 @@ vec2 gluvToStuv(vec2 gluv, float aspect) {
     return stuv;
 }
 
-// Sample texture with aspect ratio correction and optional mirroring
-vec4 sampleTexture(sampler2D tex, vec2 gluv, bool mirror, float aspect) {
+// Sample texture with aspect ratio correction; outside the image it mirrors
+// in EDGE_MIRROR mode and clamps to the border otherwise
+vec4 sampleTexture(sampler2D tex, vec2 gluv, float aspect) {
     // Handle mirrored repeat
-    if (mirror) {
+    if (uEdgeMode == EDGE_MIRROR) {
         gluv = mirroredRepeat(gluv, aspect);
     }
 
     return texture(tex, gluvToStuv(gluv, aspect));
 }
 
+// Color lookup. In EDGE_BLUR mode, points past the border average a disc around
+// the nearest border point that widens with the distance, instead of streaking.
+vec4 sampleColor(sampler2D tex, vec2 gluv) {
+    vec2 bounds = vec2(uImageAspect, 1.0);
+    vec2 inside = clamp(gluv, -bounds, bounds);
+    float spread = length(gluv - inside);
+    if (uEdgeMode != EDGE_BLUR || spread <= 0.0) {
+        return sampleTexture(tex, gluv, uImageAspect);
+    }
+
+    vec4 sum = vec4(0.0);
+    for (int i = 0; i < 12; i++) {
+        float angle = float(i) * 2.39996323;  // golden angle
+        float radius = spread * 0.75 * sqrt((float(i) + 0.5) / 12.0);
+        sum += sampleTexture(tex, inside + radius * vec2(cos(angle), sin(angle)), uImageAspect);
+    }
+    return sum / 12.0;
+}
+
 // ============================================
 // Parallax Ray Marching
 // ============================================
 
+// Depth as the parallax sees it (1.0 = nearest), so focal depth follows the invert blend
+float surfaceDepth(float depthValue) {
+    return mix(depthValue, 1.0 - depthValue, uInvert);
+}
+
+// Ray through the depth pyramid: position in level 0 cells (texel centers at
+// whole numbers) and height above the base plane, both linear in the walk
+struct PyramidRay {
+    vec2 texelStart;
+    vec2 texelDelta;
+    float ceilingStart;
+    float ceilingDelta;
+};
+
+bool insidePyramid(vec2 texel) {
+    vec2 size = vec2(textureSize(uDepthPyramid, 0));
+    return all(greaterThanEqual(texel, vec2(-0.5))) && all(lessThanEqual(texel, size - 0.5));
+}
+
+// Furthest walk the ray reaches from walk without meeting the surface bound of
+// its cell at this level: where it leaves the cell, or sooner where it drops to
+// the bound (crossed). Returns walk when the ray is already below the bound.
+float skipCell(PyramidRay ray, int level, float walk, out bool crossed) {
+    vec2 size = vec2(textureSize(uDepthPyramid, 0));
+    vec2 levelSize = vec2(textureSize(uDepthPyramid, level));
+    float cellSize = exp2(float(level));
+    vec2 texel = ray.texelStart + ray.texelDelta * walk;
+
+    // The first and last cells reach the image border, and the last also
+    // covers what rounding the mip sizes down left over
+    vec2 cell = min(floor(max(texel, 0.0) / cellSize), levelSize - 1.0);
+    vec2 lower = mix(cell * cellSize, vec2(-0.5), vec2(equal(cell, vec2(0.0))));
+    vec2 upper = mix((cell + 1.0) * cellSize, size - 0.5, vec2(equal(cell, levelSize - 1.0)));
+
+    // Highest surface in the cell; inversion can turn either bound into the top
+    vec2 bounds = texelFetch(uDepthPyramid, ivec2(cell), level).rg;
+    float top = uHeight * max(mix(bounds.r, 1.0 - bounds.r, uInvert), mix(bounds.g, 1.0 - bounds.g, uInvert));
+
+    crossed = false;
+    float ceiling = ray.ceilingStart + ray.ceilingDelta * walk;
+    if (ceiling < top) return walk;
+
+    vec2 exits = vec2(1e6);
+    vec2 boundary = mix(lower, upper, step(0.0, ray.texelDelta));
+    if (abs(ray.texelDelta.x) > 1e-6) exits.x = (boundary.x - texel.x) / ray.texelDelta.x;
+    if (abs(ray.texelDelta.y) > 1e-6) exits.y = (boundary.y - texel.y) / ray.texelDelta.y;
+    float exitWalk = walk + min(exits.x, exits.y) + 1e-5;
+
+    float crossWalk = (top - ray.ceilingStart) / min(ray.ceilingDelta, -1e-6);
+    crossed = crossWalk < exitWalk;
+    return min(exitWalk, crossWalk);
+}
+
 struct DepthResult {
     vec2 gluv;          // Final UV coordinate after parallax
     float depthValue;   // Depth value at intersection
     bool outOfBounds;   // Ray missed the scene
+    float wall;         // 0-1, how much the ray hit the side of a depth edge
+    float steps;        // Pass 1 iterations taken
+    bool converged;     // Pass 1 went below the surface before reaching the far plane
 };
 
-DepthResult computeParallax(vec2 screenGluv) {
+// hierarchical: depthMap is uDepth and uDepthPyramid can skip empty space
+DepthResult computeParallax(vec2 screenGluv, sampler2D depthMap, bool hierarchical) {
     DepthResult result;
     result.outOfBounds = false;
+    result.steps = 0.0;
+    result.converged = false;
 
     // Convert absolute to relative values
     float relFocus = uFocus * uHeight;
@@ -145,17 +264,61 @@ DepthResult computeParallax(vec2 screenGluv) {
 
     // Ray march state
     float walk = 0.0;
-    float lastDepth = 0.0;
-    vec2 hitGluv = screenGluv;
-    float hitDepth = 0.0;
+    float lastWalk = 0.0;
+    vec2 hitGluv = mix(rayOrigin, intersect, safe).xy;
+    float hitDepth = sampleTexture(depthMap, hitGluv, uImageAspect).r;
+    float lastDepth = hitDepth;
+
+    PyramidRay pyramidRay;
+    int level = uPyramidLevels - 1;
+    bool skipped = false;
+    if (hierarchical) {
+        vec2 size = vec2(textureSize(uDepthPyramid, 0));
+        vec3 start = mix(rayOrigin, intersect, safe);
+        pyramidRay.texelStart = gluvToStuv(start.xy, uImageAspect) * size - 0.5;
+        pyramidRay.texelDelta = gluvToStuv(intersect.xy, uImageAspect) * size - 0.5 - pyramidRay.texelStart;
+        pyramidRay.ceilingStart = 1.0 - start.z;
+        pyramidRay.ceilingDelta = start.z - intersect.z;
+    }
 
     // ========================================
     // Pass 1: Forward march with coarse steps
-    // Find approximate intersection by overshooting
+    // Find approximate intersection by overshooting. With the pyramid, stretches
+    // where the ray stays above a cell's highest surface are skipped in one step,
+    // climbing a level after each skip and descending when the ray gets close.
+    // Only the linear steps count against the step budget; the loop bound just
+    // leaves room for the pyramid's skips and descents on top of them.
     // ========================================
-    for (int i = 0; i < 200; i++) {
-        if (walk > 1.0) break;
+    int probes = 0;
+    for (int i = 0; i < 1000; i++) {
+        if (walk > 1.0 || probes >= 200) break;
+        result.steps += 1.0;
+
+        if (hierarchical && insidePyramid(pyramidRay.texelStart + pyramidRay.texelDelta * walk)) {
+            bool crossed;
+            float next = min(skipCell(pyramidRay, level, walk, crossed), 1.0 + probeStep);
+            if (next > walk) {
+                walk = next;
+                lastWalk = walk;
+                skipped = true;
+                level = crossed ? max(level - 1, 0) : min(level + 1, uPyramidLevels - 1);
+                continue;
+            }
+            if (level > 0) {
+                level--;
+                continue;
+            }
+        }
+
+        // The depth before this step feeds the edge test below
+        if (skipped) {
+            hitDepth = sampleTexture(depthMap, mix(rayOrigin, intersect, mix(safe, 1.0, walk)).xy, uImageAspect).r;
+            skipped = false;
+        }
+
+        lastWalk = walk;
         walk += probeStep;
+        probes++;
 
         // Interpolate between origin and intersection plane
         vec3 point = mix(rayOrigin, intersect, mix(safe, 1.0, walk));
@@ -163,7 +326,7 @@ DepthResult computeParallax(vec2 screenGluv) {
 
         // Sample depth at current position
         lastDepth = hitDepth;
-        hitDepth = sampleTexture(uDepth, hitGluv, uMirror, uImageAspect).r;
+        hitDepth = sampleTexture(depthMap, hitGluv, uImageAspect).r;
 
         // Apply depth inversion blend
         float surface = uHeight * mix(hitDepth, 1.0 - hitDepth, uInvert);
@@ -173,14 +336,21 @@ DepthResult computeParallax(vec2 screenGluv) {
 
         // Check if we're inside the surface (ray went through)
         if (ceiling < surface) {
+            result.converged = true;
             break;  // Overshoot detected, proceed to refinement
         }
     }
 
+    // A big depth jump across the overshooting step means the ray went into the
+    // side of an edge, where the depth map has no real pixels. The threshold
+    // brackets EDGE_THRESHOLD in inpaint-worker.js.
+    float jump = surfaceDepth(hitDepth) - surfaceDepth(lastDepth);
+    result.wall = smoothstep(0.04, 0.1, jump);
+
     // ========================================
     // Pass 2: Binary refinement
     // ========================================
-    float lo = walk - probeStep;
+    float lo = lastWalk;
     float hi = walk;
 
     for (int i = 0; i < 8; i++) {
@@ -188,7 +358,7 @@ DepthResult computeParallax(vec2 screenGluv) {
         vec3 point = mix(rayOrigin, intersect, mix(safe, 1.0, mid));
         hitGluv = point.xy;
 
-        hitDepth = sampleTexture(uDepth, hitGluv, uMirror, uImageAspect).r;
+        hitDepth = sampleTexture(depthMap, hitGluv, uImageAspect).r;
         float surface = uHeight * mix(hitDepth, 1.0 - hitDepth, uInvert);
         float ceiling = 1.0 - point.z;
 
@@ -202,13 +372,13 @@ DepthResult computeParallax(vec2 screenGluv) {
     walk = lo;
     vec3 finalPoint = mix(rayOrigin, intersect, mix(safe, 1.0, walk));
     hitGluv = finalPoint.xy;
-    hitDepth = sampleTexture(uDepth, hitGluv, uMirror, uImageAspect).r;
+    hitDepth = sampleTexture(depthMap, hitGluv, uImageAspect).r;
 
     result.gluv = hitGluv;
     result.depthValue = hitDepth;
 
-    // Check if final UV is out of bounds (only matters when not mirroring)
-    if (!uMirror) {
+    // Check if final UV is out of bounds (only matters when rays may show the edge fill)
+    if (uEdgeMode == EDGE_COLOR || uAlphaOutput || uDebugMode == DEBUG_HITS) {
         vec2 agluv = hitGluv / vec2(uImageAspect, 1.0);
         if (abs(agluv.x) > 1.0 || abs(agluv.y) > 1.0) {
             result.outOfBounds = true;
@@ -218,30 +388,193 @@ DepthResult computeParallax(vec2 screenGluv) {
     return result;
 }
 
+// Opacity of a surface hit in alpha output: surfaces farther than the cutoff
+// and anything the mask excludes drop out, with a short ramp against aliasing
+float matte(DepthResult hit) {
+    if (!uAlphaOutput) return 1.0;
+
+    float alpha = 1.0;
+    if (uDepthCutoff > 0.0) {
+        alpha = smoothstep(uDepthCutoff - 0.02, uDepthCutoff + 0.02, surfaceDepth(hit.depthValue));
+    }
+    if (uHasAlphaMask) {
+        vec4 mask = sampleTexture(uAlphaMask, hit.gluv, uImageAspect);
+        alpha *= mask.r * mask.a;
+    }
+    return alpha;
+}
+
+// Front-to-back "over" of one layer. Hits on the side of a depth edge are
+// treated as empty so the ray passes behind the layer; the back layer is opaque.
+void compositeLayer(sampler2D image, sampler2D depthMap, bool back, vec2 gluv,
+                    inout vec4 accum, inout float depthSum) {
+    if (accum.a >= 0.999) return;
+
+    DepthResult hit = computeParallax(gluv, depthMap, false);
+    if (hit.outOfBounds) return;
+
+    vec4 color = sampleColor(image, hit.gluv);
+    float alpha = (back ? 1.0 : color.a * (1.0 - hit.wall)) * matte(hit);
+    float weight = (1.0 - accum.a) * alpha;
+    accum += vec4(color.rgb * weight, weight);
+    depthSum += surfaceDepth(hit.depthValue) * weight;
+}
+
+bool shadeLayers(vec2 gluv, out vec4 shaded, out float opacity) {
+    vec4 accum = vec4(0.0);
+    float depthSum = 0.0;
+
+    compositeLayer(uLayerImage0, uLayerDepth0, uLayerCount == 1, gluv, accum, depthSum);
+    if (uLayerCount > 1) {
+        compositeLayer(uLayerImage1, uLayerDepth1, uLayerCount == 2, gluv, accum, depthSum);
+    }
+    if (uLayerCount > 2) {
+        compositeLayer(uLayerImage2, uLayerDepth2, true, gluv, accum, depthSum);
+    }
+
+    opacity = uAlphaOutput ? accum.a : 1.0;
+    if (accum.a <= 0.0) {
+        shaded = vec4(0.0);
+        return false;
+    }
+    shaded = vec4(accum.rgb, depthSum) / accum.a;
+    return true;
+}
+
+// Color and surface depth (in alpha) seen along one ray, plus its opacity in
+// alpha output; false when it misses.
+// Rays that end on the side of an edge march again through the background layer.
+bool shadeSample(vec2 gluv, out vec4 shaded, out float opacity) {
+    if (uLayerCount > 0) {
+        return shadeLayers(gluv, shaded, opacity);
+    }
+
+    shaded = vec4(0.0);
+    opacity = 0.0;
+    DepthResult depth = computeParallax(gluv, uDepth, uHierarchical);
+    if (depth.outOfBounds) {
+        return false;
+    }
+
+    vec3 color = sampleColor(uImage, depth.gluv).rgb;
+    float surface = surfaceDepth(depth.depthValue);
+    opacity = matte(depth);
+
+    if (uInpaint && depth.wall > 0.0) {
+        DepthResult behind = computeParallax(gluv, uDepthBackground, false);
+        if (!behind.outOfBounds) {
+            vec3 fill = sampleColor(uImageBackground, behind.gluv).rgb;
+            color = mix(color, fill, depth.wall);
+            surface = mix(surface, surfaceDepth(behind.depthValue), depth.wall);
+            opacity = mix(opacity, matte(behind), depth.wall);
+        }
+    }
+
+    shaded = vec4(color, surface);
+    return true;
+}
+
+// What rays that leave the image show in the color edge mode and in alpha output
+vec4 edgeFill() {
+    return uAlphaOutput ? vec4(0.0) : vec4(uEdgeColor, 1.0);
+}
+
+// Straight color and alpha; with uDepthAlpha the depth-of-field pass gets the
+// hit depth in alpha instead and reads alpha from the coverage target.
+void writeOutput(vec3 color, float alpha, float depth) {
+    fragColor = vec4(color, uDepthAlpha ? depth : alpha);
+    fragCoverage = vec4(alpha);
+}
+
+// ============================================
+// Debug Views
+// ============================================
+
+// Blue (0) through green to red (1)
+vec3 heatmap(float t) {
+    return clamp(1.5 - abs(4.0 * clamp(t, 0.0, 1.0) - vec3(3.0, 2.0, 1.0)), 0.0, 1.0);
+}
+
+// Screen-space line where value crosses level, about 1.5 pixels wide
+float isoline(float value, float level) {
+    float width = max(fwidth(value) * 1.5, 1e-4);
+    return 1.0 - smoothstep(0.0, width, abs(value - level));
+}
+
+// One unshaded ray showing what the marcher did; single sample, no SSAA
+vec3 debugView(vec2 gluv) {
+    DepthResult hit = computeParallax(gluv, uDepth, uHierarchical);
+    float surface = surfaceDepth(hit.depthValue);
+    float luma = dot(sampleTexture(uImage, hit.gluv, uImageAspect).rgb, vec3(0.299, 0.587, 0.114));
+    vec3 backdrop = vec3(luma * 0.5);
+
+    if (uDebugMode == DEBUG_DEPTH_RAW) {
+        return vec3(sampleTexture(uDepthRaw, hit.gluv, uImageAspect).r);
+    }
+    if (uDebugMode == DEBUG_DEPTH) {
+        return vec3(hit.depthValue);
+    }
+    if (uDebugMode == DEBUG_STEPS) {
+        return heatmap(hit.steps / (mix(50.0, 120.0, uQuality) + 1.0));
+    }
+    if (uDebugMode == DEBUG_HITS) {
+        // Green: surface hit, blue: reached the far plane, red: left the image; yellow marks edge walls
+        vec3 tint = hit.outOfBounds ? vec3(1.0, 0.1, 0.1)
+            : hit.converged ? vec3(0.1, 0.8, 0.2) : vec3(0.2, 0.3, 1.0);
+        tint = mix(tint, vec3(1.0, 0.9, 0.1), hit.wall);
+        return backdrop + tint * 0.5;
+    }
+    if (uDebugMode == DEBUG_EDGES) {
+        // Magenta: rays that hit the side of a depth edge; cyan: depth jumps between pixels
+        float jump = smoothstep(0.02, 0.06, fwidth(surface));
+        vec3 color = mix(backdrop, vec3(0.1, 0.9, 1.0), jump);
+        return mix(color, vec3(1.0, 0.1, 0.9), hit.wall);
+    }
+
+    // DEBUG_PLANES: faint contours every 0.1, steady plane in orange, focus plane in cyan
+    float contour = isoline(fract(surface * 10.0 + 0.5), 0.5) * 0.25;
+    vec3 color = backdrop + vec3(contour);
+    color = mix(color, vec3(1.0, 0.55, 0.1), isoline(surface, uSteady));
+    return mix(color, vec3(0.1, 0.8, 1.0), isoline(surface, uFocus));
+}
+
 // ============================================
 // Main
 // ============================================
 
 void main() {
+    if (uDebugMode != 0) {
+        vec3 color = debugView(vGluv);
+        fragColor = vec4(color, 1.0);
+        fragCoverage = vec4(1.0);
+        return;
+    }
+
+    vec4 fill = edgeFill();
+
     // SSAA: Supersampling anti-aliasing
     // When ssaa > 1, we sample multiple times per pixel and average
     if (uSSAA <= 1.0) {
         // No SSAA - single sample
-        DepthResult depth = computeParallax(vGluv);
-        if (depth.outOfBounds) {
-            fragColor = vec4(0.0, 0.0, 0.0, 1.0);
+        vec4 shaded;
+        float opacity;
+        if (!shadeSample(vGluv, shaded, opacity)) {
+            writeOutput(fill.rgb, fill.a, 0.0);
             return;
         }
-        fragColor = sampleTexture(uImage, depth.gluv, uMirror, uImageAspect);
+        writeOutput(shaded.rgb, opacity, shaded.a);
     } else {
         // SSAA enabled - sample multiple points within the pixel
-        vec4 color = vec4(0.0);
+        vec3 color = vec3(0.0);
+        float depthSum = 0.0;
+        float opacitySum = 0.0;
+        float hits = 0.0;
         float totalSamples = 0.0;
         int samples = int(uSSAA);
 
         // Pixel size in gluv space
         float screenAspect = uResolution.x / uResolution.y;
-        vec2 pixelSize = vec2(2.0 * screenAspect, 2.0) / uResolution;
+        vec2 pixelSize = vec2(2.0 * screenAspect, 2.0) * uFrameScale / uResolution;
 
         // Jittered grid sampling within the pixel
         for (int y = 0; y < samples; y++) {
@@ -250,18 +583,27 @@ void main() {
                 vec2 offset = (vec2(float(x), float(y)) + 0.5) / float(samples) - 0.5;
                 vec2 sampleGluv = vGluv + offset * pixelSize;
 
-                DepthResult depth = computeParallax(sampleGluv);
-                if (!depth.outOfBounds) {
-                    color += sampleTexture(uImage, depth.gluv, uMirror, uImageAspect);
-                    totalSamples += 1.0;
+                vec4 shaded;
+                float opacity;
+                totalSamples += 1.0;
+                if (shadeSample(sampleGluv, shaded, opacity)) {
+                    // Opacity-weighted, so dropped-out samples don't tint the edge
+                    color += shaded.rgb * opacity;
+                    opacitySum += opacity;
+                    depthSum += shaded.a;
+                    hits += 1.0;
                 }
             }
         }
 
-        if (totalSamples > 0.0) {
-            fragColor = color / totalSamples;
+        // Samples that left the image blend in the edge fill, so the border is antialiased too
+        float coverage = opacitySum / totalSamples;
+        vec3 hitColor = opacitySum > 0.0 ? color / opacitySum : fill.rgb;
+        float depth = hits > 0.0 ? depthSum / hits : 0.0;
+        if (uAlphaOutput) {
+            writeOutput(hitColor, coverage, depth);
         } else {
-            fragColor = vec4(0.0, 0.0, 0.0, 1.0);
+            writeOutput(mix(fill.rgb, hitColor, coverage), 1.0, depth);
         }
     }
 }
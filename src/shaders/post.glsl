@@ -0,0 +1,122 @@
+#version 300 es
+precision highp float;
+precision highp sampler3D;
+
+// ============================================
+// DepthFlow WebGL - Post-Processing Pass
+// One effect per draw; the renderer ping-pongs between
+// buffers to apply the enabled effects in order.
+// ============================================
+
+in vec2 vUV;
+in vec2 vGluv;
+
+out vec4 fragColor;
+
+uniform sampler2D uSource;
+uniform sampler3D uLut;
+
+uniform vec2 uResolution;
+uniform int uEffect;             // see POST_EFFECTS in renderer.js
+
+uniform float uVignetteAmount;   // 0.0 - 1.0, darkening at the corners
+uniform float uVignetteSoftness; // 0.0 - 1.0, width of the falloff
+uniform float uGrainAmount;      // 0.0 - 1.0, noise strength
+uniform float uGrainSize;        // 1.0 - 4.0, grain cell size at 1080p
+uniform float uGrainSeed;        // motion time based, the same for every view of a frame
+uniform float uLift;             // -0.5 - 0.5, shadows offset
+uniform float uGamma;            // 0.2 - 3.0, midtones
+uniform float uGain;             // 0.0 - 2.0, highlights multiplier
+uniform float uLutStrength;      // 0.0 - 1.0, blend with the ungraded color
+uniform float uLutSize;          // LUT_3D_SIZE of the loaded cube
+uniform vec3 uLutDomainMin;
+uniform vec3 uLutDomainMax;
+uniform float uChromaticAmount;  // 0.0 - 1.0, red/blue split at the corners
+uniform float uSharpenAmount;    // 0.0 - 2.0, unsharp mask strength
+
+const int EFFECT_VIGNETTE = 0;
+const int EFFECT_GRAIN = 1;
+const int EFFECT_GRADE = 2;
+const int EFFECT_LUT = 3;
+const int EFFECT_CHROMATIC = 4;
+const int EFFECT_SHARPEN = 5;
+
+// Sizes are relative to a 1080px-tall frame so exports look like the preview
+float frameScale() {
+    return uResolution.y / 1080.0;
+}
+
+float hash(vec3 p) {
+    p = fract(p * 0.1031);
+    p += dot(p, p.zyx + 31.32);
+    return fract((p.x + p.y) * p.z);
+}
+
+vec3 vignette(vec3 color) {
+    vec2 centered = vUV * 2.0 - 1.0;
+    float dist = length(centered) / sqrt(2.0);
+    float falloff = smoothstep(1.0 - uVignetteSoftness * 0.9 - 0.1, 1.0, dist);
+    return color * (1.0 - falloff * uVignetteAmount);
+}
+
+vec3 grain(vec3 color) {
+    vec2 cell = floor(gl_FragCoord.xy / max(1.0, uGrainSize * frameScale()));
+    float noise = hash(vec3(cell, uGrainSeed)) - 0.5;
+    // Less grain in the highlights, like film
+    float luma = dot(color, vec3(0.2126, 0.7152, 0.0722));
+    return color + noise * uGrainAmount * (1.0 - luma * 0.5);
+}
+
+vec3 liftGammaGain(vec3 color) {
+    color = uGain * (color + uLift * (1.0 - color));
+    return pow(max(color, 0.0), vec3(1.0 / uGamma));
+}
+
+vec3 applyLut(vec3 color) {
+    vec3 normalized = clamp((color - uLutDomainMin) / (uLutDomainMax - uLutDomainMin), 0.0, 1.0);
+    // Sample texel centers so 0 and 1 land exactly on the first and last entries
+    vec3 uvw = normalized * ((uLutSize - 1.0) / uLutSize) + 0.5 / uLutSize;
+    return mix(color, texture(uLut, uvw).rgb, uLutStrength);
+}
+
+vec3 chromaticAberration() {
+    vec2 offset = (vUV - 0.5) * uChromaticAmount * 0.02;
+    return vec3(
+        texture(uSource, vUV + offset).r,
+        texture(uSource, vUV).g,
+        texture(uSource, vUV - offset).b
+    );
+}
+
+vec3 sharpen(vec3 color) {
+    vec2 texel = 1.0 / uResolution;
+    vec3 blur = (
+        texture(uSource, vUV + vec2(texel.x, 0.0)).rgb +
+        texture(uSource, vUV - vec2(texel.x, 0.0)).rgb +
+        texture(uSource, vUV + vec2(0.0, texel.y)).rgb +
+        texture(uSource, vUV - vec2(0.0, texel.y)).rgb
+    ) * 0.25;
+    return color + (color - blur) * uSharpenAmount;
+}
+
+void main() {
+    vec4 source = texture(uSource, vUV);
+    vec3 color = source.rgb;
+
+    if (uEffect == EFFECT_VIGNETTE) {
+        color = vignette(color);
+    } else if (uEffect == EFFECT_GRAIN) {
+        color = grain(color);
+    } else if (uEffect == EFFECT_GRADE) {
+        color = liftGammaGain(color);
+    } else if (uEffect == EFFECT_LUT) {
+        color = applyLut(color);
+    } else if (uEffect == EFFECT_CHROMATIC) {
+        color = chromaticAberration();
+    } else if (uEffect == EFFECT_SHARPEN) {
+        color = sharpen(color);
+    }
+
+    // Keep coverage from the transparent edge mode
+    fragColor = vec4(clamp(color, 0.0, 1.0), source.a);
+}
@@ -0,0 +1,43 @@
+#version 300 es
+precision highp float;
+
+// ============================================
+// DepthFlow WebGL - Stereo Compose Pass
+// Combines the two eye views into an anaglyph, side-by-side
+// or top-bottom frame. Half-width layouts squeeze each eye 2:1.
+// ============================================
+
+in vec2 vUV;
+in vec2 vGluv;
+
+out vec4 fragColor;
+
+uniform sampler2D uLeft;
+uniform sampler2D uRight;
+uniform int uLayout;        // index in STEREO_MODES (renderer.js)
+
+const int STEREO_ANAGLYPH = 1;
+const int STEREO_TOP_BOTTOM = 4;
+
+void main() {
+    if (uLayout == STEREO_ANAGLYPH) {
+        // Red-cyan: red from the left eye, green and blue from the right
+        vec4 left = texture(uLeft, vUV);
+        vec4 right = texture(uRight, vUV);
+        fragColor = vec4(left.r, right.gb, max(left.a, right.a));
+        return;
+    }
+
+    // Left eye on the left, or on top (GL rows run bottom-up)
+    vec2 uv = vUV;
+    bool leftEye;
+    if (uLayout == STEREO_TOP_BOTTOM) {
+        leftEye = vUV.y >= 0.5;
+        uv.y = leftEye ? vUV.y * 2.0 - 1.0 : vUV.y * 2.0;
+    } else {
+        leftEye = vUV.x < 0.5;
+        uv.x = leftEye ? vUV.x * 2.0 : vUV.x * 2.0 - 1.0;
+    }
+
+    fragColor = leftEye ? texture(uLeft, uv) : texture(uRight, uv);
+}
@@ -8,14 +8,16 @@ out vec2 vUV;
 out vec2 vGluv;
 
 uniform vec2 uResolution;
+uniform float uFrameScale;  // < 1.0 when an export frame is wider than the canvas crop
+uniform vec2 uJitter;       // sub-pixel shift in clip space for accumulated samples
 
 void main() {
-    gl_Position = vec4(aPosition, 0.0, 1.0);
+    gl_Position = vec4(aPosition + uJitter, 0.0, 1.0);
 
     // Standard UV (0-1)
     vUV = aPosition * 0.5 + 0.5;
 
     // GL UV with aspect ratio
     float aspect = uResolution.x / uResolution.y;
-    vGluv = aPosition * vec2(aspect, 1.0);
+    vGluv = aPosition * vec2(aspect, 1.0) * uFrameScale;
 }